@@ -0,0 +1,187 @@
+/**
+ * Channel Formats
+ * Length limits, emoji and hashtag rules, and call-to-action styles for every
+ * channel the listing copy is written for
+ *
+ * Each format:
+ * - label: human-readable channel name
+ * - fields: output fields and their limits (JSON Schema string keywords:
+ *   maxLength in characters, maxWords in words)
+ * - emoji: maximum number of emoji across all fields (0 forbids them)
+ * - hashtags: { min, max } hashtags returned in a separate `hashtags` field,
+ *   or null when the channel takes none
+ * - contactInfo: whether URLs, email addresses and phone numbers may appear
+ * - footerField: field an agent profile's contact block and disclaimer are
+ *   appended to, or null when the channel carries neither
+ * - cta: call-to-action style given to the model
+ * - guidelines: extra writing instructions for the channel
+ *
+ * MLS remarks take their length limit, label and extra rules from the
+ * property's market (config/markets); the values here are the fallback.
+ */
+
+const CHANNEL_FORMATS = {
+  mls: {
+    label: 'MLS public remarks',
+    fields: {
+      remarks: {
+        type: 'string',
+        description: 'Public remarks for the MLS listing',
+        maxLength: 1000
+      }
+    },
+    emoji: 0,
+    hashtags: null,
+    contactInfo: false,
+    footerField: null,
+    cta: 'None; MLS remarks describe the property only',
+    guidelines: [
+      'Plain prose with no ALL-CAPS words or exclamation-heavy phrasing',
+      'No agent names, showing instructions or contact details'
+    ]
+  },
+
+  facebook: {
+    label: 'Facebook post',
+    fields: {
+      post: {
+        type: 'string',
+        description: 'Post text',
+        maxLength: 1200,
+        maxWords: 150
+      }
+    },
+    emoji: 3,
+    hashtags: { min: 0, max: 3 },
+    contactInfo: true,
+    footerField: 'post',
+    cta: 'Friendly invitation to message the page or comment to book a showing',
+    guidelines: [
+      'Open with a one-line hook',
+      'Short paragraphs that read well on a phone'
+    ]
+  },
+
+  instagram: {
+    label: 'Instagram caption',
+    fields: {
+      caption: {
+        type: 'string',
+        description: 'Caption text without hashtags',
+        maxLength: 1800,
+        maxWords: 120
+      }
+    },
+    emoji: 5,
+    hashtags: { min: 5, max: 15 },
+    contactInfo: false,
+    footerField: 'caption',
+    cta: 'Point readers to the link in bio or a DM for details',
+    guidelines: [
+      'Lead with the most photogenic feature',
+      'Keep hashtags out of the caption; return them in the hashtags field'
+    ]
+  },
+
+  zillow: {
+    label: 'Zillow-style summary',
+    fields: {
+      summary: {
+        type: 'string',
+        description: 'Listing summary for portal sites',
+        maxLength: 800,
+        maxWords: 120
+      }
+    },
+    emoji: 0,
+    hashtags: null,
+    contactInfo: false,
+    footerField: null,
+    cta: 'Closing sentence encouraging a tour, without contact details',
+    guidelines: [
+      'Lead with layout, size and the standout features',
+      'Factual and scannable'
+    ]
+  },
+
+  sms: {
+    label: 'SMS blurb',
+    fields: {
+      message: {
+        type: 'string',
+        description: 'Text message',
+        maxLength: 160
+      }
+    },
+    emoji: 0,
+    hashtags: null,
+    contactInfo: true,
+    footerField: null,
+    cta: 'Short reply prompt, e.g. "Reply YES for a showing"',
+    guidelines: [
+      'One or two sentences: beds, baths, price and the top feature',
+      'No emoji, so the message stays a single SMS segment'
+    ]
+  },
+
+  email: {
+    label: 'Email',
+    fields: {
+      subject: {
+        type: 'string',
+        description: 'Email subject line',
+        maxLength: 60
+      },
+      body: {
+        type: 'string',
+        description: 'Email body',
+        maxLength: 1500,
+        maxWords: 200
+      }
+    },
+    emoji: 1,
+    hashtags: null,
+    contactInfo: true,
+    footerField: 'body',
+    cta: 'Clear closing line asking the reader to reply or schedule a showing',
+    guidelines: [
+      'Subject names the home\'s standout feature or the neighborhood',
+      'Body opens with a greeting-free first sentence about the home'
+    ]
+  },
+
+  flyer: {
+    label: 'Print flyer',
+    fields: {
+      headline: {
+        type: 'string',
+        description: 'Flyer headline',
+        maxLength: 50
+      },
+      blurb: {
+        type: 'string',
+        description: 'Flyer body copy',
+        maxLength: 600,
+        maxWords: 80
+      },
+      bullets: {
+        type: 'array',
+        description: 'Feature bullets',
+        minItems: 3,
+        maxItems: 5,
+        items: { type: 'string', minLength: 1, maxLength: 60 }
+      }
+    },
+    emoji: 0,
+    hashtags: null,
+    contactInfo: false,
+    footerField: null,
+    cta: 'None; the flyer template adds agent contact details',
+    guidelines: [
+      'Short, print-friendly sentences',
+      'Bullets are noun phrases, not sentences'
+    ]
+  }
+};
+
+module.exports = { CHANNEL_FORMATS };
@@ -62,6 +62,15 @@ async function createTables() {
       )
     `);
 
+    await client.query(`
+      ALTER TABLE workflows ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255)
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS workflows_idempotency_key_idx
+      ON workflows (idempotency_key) WHERE idempotency_key IS NOT NULL
+    `);
+
     // Jobs table
     await client.query(`
       CREATE TABLE IF NOT EXISTS jobs (
@@ -78,6 +87,327 @@ async function createTables() {
       )
     `);
 
+    await client.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS depends_on JSONB NOT NULL DEFAULT '[]'::jsonb
+    `);
+
+    await client.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0
+    `);
+
+    await client.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS queue_job_id VARCHAR(255)
+    `);
+
+    await client.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS step_config JSONB
+    `);
+
+    // Workflow approvals table (one row per sign-off requested by an approval step)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS workflow_approvals (
+        id SERIAL PRIMARY KEY,
+        workflow_id INTEGER NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        step_name VARCHAR(255) NOT NULL,
+        assigned_to VARCHAR(255),
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        timeout_minutes INTEGER,
+        on_timeout VARCHAR(20),
+        escalate_to VARCHAR(255),
+        due_at TIMESTAMP,
+        escalated_at TIMESTAMP,
+        timeout_job_id VARCHAR(255),
+        decided_by VARCHAR(255),
+        comment TEXT,
+        decided_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // An approval step waits on at most one pending request at a time
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS workflow_approvals_pending_idx
+      ON workflow_approvals (job_id) WHERE status = 'pending'
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS workflow_approvals_workflow_idx
+      ON workflow_approvals (workflow_id, created_at DESC)
+    `);
+
+    // Workflow definitions table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS workflow_definitions (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        version INTEGER NOT NULL,
+        description TEXT,
+        definition JSONB NOT NULL,
+        source VARCHAR(50) NOT NULL DEFAULT 'api',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (name, version)
+      )
+    `);
+
+    // Workflow schedules table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS workflow_schedules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        workflow_type VARCHAR(255) NOT NULL,
+        property_id VARCHAR(255),
+        input JSONB,
+        cron_expression VARCHAR(100),
+        run_at TIMESTAMPTZ,
+        timezone VARCHAR(64) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        last_fired_at TIMESTAMPTZ,
+        last_workflow_id INTEGER REFERENCES workflows(id) ON DELETE SET NULL,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((cron_expression IS NULL) <> (run_at IS NULL))
+      )
+    `);
+
+    // Description variants table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS description_variants (
+        id SERIAL PRIMARY KEY,
+        variant_id UUID NOT NULL UNIQUE,
+        generation_id UUID NOT NULL,
+        property_id VARCHAR(255) NOT NULL,
+        workflow_id INTEGER REFERENCES workflows(id) ON DELETE SET NULL,
+        label VARCHAR(10) NOT NULL,
+        headline TEXT,
+        description TEXT NOT NULL,
+        highlights JSONB,
+        compliance JSONB,
+        metadata JSONB,
+        status VARCHAR(50) NOT NULL DEFAULT 'proposed',
+        channel VARCHAR(50),
+        decided_by VARCHAR(255),
+        decision_note TEXT,
+        decided_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE description_variants ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en'
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS description_variants_property_idx
+      ON description_variants (property_id, created_at DESC)
+    `);
+
+    // Agent profiles table (brand voice, disclaimer and contact block per agent)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_profiles (
+        id SERIAL PRIMARY KEY,
+        agent_id VARCHAR(100) NOT NULL UNIQUE,
+        name VARCHAR(255) NOT NULL,
+        brokerage VARCHAR(255),
+        voice TEXT,
+        tone VARCHAR(50),
+        signature_phrases JSONB NOT NULL DEFAULT '[]'::jsonb,
+        banned_phrases JSONB NOT NULL DEFAULT '[]'::jsonb,
+        disclaimer TEXT,
+        contact_block TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Properties table (one row per listing, keyed by the propertyId clients send)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS properties (
+        id SERIAL PRIMARY KEY,
+        property_id VARCHAR(255) NOT NULL UNIQUE,
+        address VARCHAR(255) NOT NULL,
+        street VARCHAR(255),
+        city VARCHAR(255),
+        state VARCHAR(50),
+        postal_code VARCHAR(20),
+        neighborhood VARCHAR(255),
+        market VARCHAR(50),
+        price INTEGER NOT NULL,
+        bedrooms INTEGER NOT NULL,
+        bathrooms NUMERIC(5, 2) NOT NULL,
+        sqft INTEGER NOT NULL,
+        property_type VARCHAR(50) NOT NULL,
+        features JSONB NOT NULL DEFAULT '[]'::jsonb,
+        photos JSONB NOT NULL DEFAULT '[]'::jsonb,
+        status VARCHAR(50) NOT NULL DEFAULT 'active',
+        agent_id VARCHAR(100) REFERENCES agent_profiles(agent_id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Property price history table (the first price and every change)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS property_price_history (
+        id SERIAL PRIMARY KEY,
+        property_id VARCHAR(255) NOT NULL REFERENCES properties(property_id) ON DELETE CASCADE,
+        price INTEGER NOT NULL,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS property_price_history_property_idx
+      ON property_price_history (property_id, changed_at DESC)
+    `);
+
+    // Workflows and description variants reference their property. NOT VALID
+    // leaves rows written before properties existed alone; new rows are checked.
+    for (const table of ['workflows', 'description_variants']) {
+      await client.query(`
+        DO $$
+        BEGIN
+          IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = '${table}_property_id_fkey') THEN
+            ALTER TABLE ${table} ADD CONSTRAINT ${table}_property_id_fkey
+            FOREIGN KEY (property_id) REFERENCES properties(property_id) NOT VALID;
+          END IF;
+        END $$
+      `);
+    }
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS workflows_property_idx ON workflows (property_id, created_at DESC)
+    `);
+
+    // Content assets table (every generated piece of copy, with its approval)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS content_assets (
+        id SERIAL PRIMARY KEY,
+        asset_id UUID NOT NULL UNIQUE,
+        property_id VARCHAR(255) NOT NULL REFERENCES properties(property_id),
+        workflow_id INTEGER REFERENCES workflows(id) ON DELETE SET NULL,
+        generation_id UUID NOT NULL,
+        channel VARCHAR(50) NOT NULL,
+        language VARCHAR(10) NOT NULL DEFAULT 'en',
+        label VARCHAR(10) NOT NULL DEFAULT 'A',
+        variant_id UUID,
+        content JSONB NOT NULL,
+        compliance JSONB,
+        compliance_status VARCHAR(50),
+        node_id VARCHAR(255),
+        prompt_version VARCHAR(50),
+        provider VARCHAR(50),
+        model VARCHAR(255),
+        metadata JSONB,
+        status VARCHAR(50) NOT NULL DEFAULT 'proposed',
+        revision INTEGER NOT NULL DEFAULT 1,
+        decided_by VARCHAR(255),
+        decision_note TEXT,
+        decided_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (generation_id, channel, label)
+      )
+    `);
+
+    // Set when flagged copy was approved on an explicit override
+    await client.query(`
+      ALTER TABLE content_assets ADD COLUMN IF NOT EXISTS compliance_override BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS content_assets_property_idx
+      ON content_assets (property_id, channel, language, created_at DESC)
+    `);
+
+    // At most one approved asset per property, channel and language
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS content_assets_approved_idx
+      ON content_assets (property_id, channel, language) WHERE status = 'approved'
+    `);
+
+    // Content asset revisions table (the generated copy and every edit)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS content_asset_revisions (
+        id SERIAL PRIMARY KEY,
+        asset_id UUID NOT NULL REFERENCES content_assets(asset_id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        content JSONB NOT NULL,
+        compliance JSONB,
+        edited_by VARCHAR(255),
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (asset_id, revision)
+      )
+    `);
+
+    // Description batches table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS description_batches (
+        id SERIAL PRIMARY KEY,
+        status VARCHAR(50) NOT NULL DEFAULT 'running',
+        options JSONB NOT NULL DEFAULT '{}'::jsonb,
+        total_items INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+
+    // Description batch items table (one row per property in a batch)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS description_batch_items (
+        id SERIAL PRIMARY KEY,
+        batch_id INTEGER REFERENCES description_batches(id) ON DELETE CASCADE,
+        item_index INTEGER NOT NULL,
+        property_id VARCHAR(255),
+        property_data JSONB NOT NULL,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        result JSONB,
+        error TEXT,
+        errors JSONB,
+        queue_job_id VARCHAR(255),
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        UNIQUE (batch_id, item_index)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS description_batch_items_status_idx
+      ON description_batch_items (batch_id, status)
+    `);
+
+    // LLM usage table (one row per LLM call; TIMESTAMPTZ so spend can be
+    // bucketed by day and month in any timezone)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id SERIAL PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        model VARCHAR(255) NOT NULL,
+        node_id VARCHAR(255) NOT NULL,
+        workflow_id INTEGER REFERENCES workflows(id) ON DELETE SET NULL,
+        property_id VARCHAR(255),
+        agent_id VARCHAR(255),
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        latency_ms INTEGER NOT NULL DEFAULT 0,
+        estimated_cost NUMERIC(12, 6),
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS llm_usage_created_at_idx ON llm_usage (created_at)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS llm_usage_property_idx ON llm_usage (property_id, created_at)
+    `);
+
     // System logs table
     await client.query(`
       CREATE TABLE IF NOT EXISTS system_logs (
@@ -0,0 +1,203 @@
+/**
+ * Fair Housing Advertising Rules
+ * Phrases that are prohibited or risky under the Fair Housing Act (and Colorado's
+ * additional protected classes) when used in listing copy
+ *
+ * Each rule:
+ * - id: stable identifier reported with every flag
+ * - category: protected class the phrase touches
+ * - severity: 'prohibited' (states a preference or limitation) or 'risky'
+ *   (commonly read as steering; review before publishing)
+ * - pattern: case-insensitive regular expression source
+ * - reason: why the phrase is flagged
+ * - suggestion: property-focused replacement used by auto-rewrite, or null to
+ *   remove the phrase
+ *
+ * Rules target phrases about the people a home suits, not the home itself.
+ */
+
+const FAIR_HOUSING_RULES = [
+  // Familial status
+  {
+    id: 'familial-perfect-for-families',
+    category: 'familial_status',
+    severity: 'prohibited',
+    pattern: '\\b(?:perfect|ideal|great)\\s+for\\s+(?:a\\s+)?(?:young\\s+|growing\\s+|large\\s+)?famil(?:y|ies)\\b',
+    reason: 'Describes the buyer\'s family status instead of the property',
+    suggestion: 'offering room to grow'
+  },
+  {
+    id: 'familial-kids',
+    category: 'familial_status',
+    severity: 'prohibited',
+    pattern: '\\b(?:perfect|ideal|great)\\s+for\\s+(?:kids|children)\\b',
+    reason: 'States a preference for households with children',
+    suggestion: 'with generous play and living space'
+  },
+  {
+    id: 'familial-no-children',
+    category: 'familial_status',
+    severity: 'prohibited',
+    pattern: '\\b(?:no\\s+(?:kids|children)|adults\\s+only|adult\\s+living)\\b',
+    reason: 'States a limitation on households with children',
+    suggestion: null
+  },
+  {
+    id: 'familial-family-neighborhood',
+    category: 'familial_status',
+    severity: 'risky',
+    pattern: '\\bfamily[- ](?:friendly\\s+)?(?:neighborhood|community|area)\\b',
+    reason: 'Suggests the neighborhood is meant for families with children',
+    suggestion: 'welcoming neighborhood'
+  },
+  {
+    id: 'familial-household-type',
+    category: 'familial_status',
+    severity: 'risky',
+    pattern: '\\b(?:perfect|ideal|great)\\s+for\\s+(?:empty[- ]nesters|newlyweds|couples|singles)\\b',
+    reason: 'Targets a household type rather than describing the property',
+    suggestion: 'easy to enjoy'
+  },
+
+  // Age
+  {
+    id: 'age-target-buyer',
+    category: 'age',
+    severity: 'risky',
+    pattern: '\\b(?:perfect|ideal|great)\\s+for\\s+(?:retirees|seniors|young\\s+professionals|first[- ]time\\s+buyers)\\b',
+    reason: 'Targets buyers by age or life stage',
+    suggestion: 'easy to enjoy'
+  },
+
+  // Religion
+  {
+    id: 'religion-nearby-worship',
+    category: 'religion',
+    severity: 'prohibited',
+    pattern: '\\b(?:walking\\s+distance\\s+to|near(?:by)?|close\\s+to|steps\\s+from)\\s+(?:(?:the|several|many|local)\\s+)?(?:church(?:es)?|synagogues?|temples?|mosques?|parish(?:es)?)\\b',
+    reason: 'Naming places of worship as a selling point signals a religious preference',
+    suggestion: 'close to local amenities'
+  },
+  {
+    id: 'religion-community',
+    category: 'religion',
+    severity: 'prohibited',
+    pattern: '\\b(?:christian|catholic|jewish|muslim|mormon)\\s+(?:home|community|neighborhood|area|family)\\b',
+    reason: 'Describes the religion of the community or intended buyer',
+    suggestion: 'community'
+  },
+
+  // Race, color and national origin
+  {
+    id: 'race-neighborhood',
+    category: 'race_national_origin',
+    severity: 'prohibited',
+    pattern: '\\b(?:white|black|hispanic|latino|asian|ethnic|integrated|segregated)\\s+(?:neighborhood|community|area|block)\\b',
+    reason: 'Describes the race, color or national origin of residents',
+    suggestion: 'neighborhood'
+  },
+  {
+    id: 'national-origin-language',
+    category: 'race_national_origin',
+    severity: 'prohibited',
+    pattern: '\\benglish[- ]speaking\\b',
+    reason: 'States a national origin preference',
+    suggestion: null
+  },
+  {
+    id: 'exclusive-neighborhood',
+    category: 'race_national_origin',
+    severity: 'risky',
+    pattern: '\\b(?:exclusive|restricted|select)\\s+(?:neighborhood|community|area|enclave)\\b',
+    reason: 'Historically used to signal exclusion of protected groups',
+    suggestion: 'sought-after neighborhood'
+  },
+  {
+    id: 'steering-safe-neighborhood',
+    category: 'race_national_origin',
+    severity: 'risky',
+    pattern: '\\b(?:safe|crime[- ]free|low[- ]crime)\\s+(?:neighborhood|community|area|street)\\b',
+    reason: 'Safety claims about a neighborhood are a common steering signal',
+    suggestion: 'established neighborhood'
+  },
+
+  // Sex
+  {
+    id: 'sex-target-buyer',
+    category: 'sex',
+    severity: 'prohibited',
+    pattern: '\\b(?:perfect|ideal|great)\\s+for\\s+(?:a\\s+)?(?:single\\s+)?(?:man|woman|men|women|bachelors?|bachelorettes?|gentlem[ae]n|lad(?:y|ies))\\b',
+    reason: 'States a preference based on sex',
+    suggestion: 'easy to enjoy'
+  },
+  {
+    id: 'sex-master-bedroom',
+    category: 'sex',
+    severity: 'risky',
+    pattern: '\\bmaster\\s+(bed(?:room)?|suite|bath(?:room)?)\\b',
+    reason: 'Many MLSs ask for "primary" instead of "master"',
+    suggestion: 'primary $1'
+  },
+
+  // Disability
+  {
+    id: 'disability-limitation',
+    category: 'disability',
+    severity: 'prohibited',
+    pattern: '\\b(?:no\\s+wheelchairs|able[- ]bodied|must\\s+be\\s+able\\s+to\\s+climb\\s+stairs|not\\s+suitable\\s+for\\s+(?:the\\s+)?(?:handicapped|disabled))\\b',
+    reason: 'States a limitation based on disability',
+    suggestion: null
+  },
+  {
+    id: 'disability-walking-distance',
+    category: 'disability',
+    severity: 'risky',
+    pattern: '\\bwalking\\s+distance\\b',
+    reason: 'Describes the buyer\'s mobility; describe the distance instead',
+    suggestion: 'a short distance'
+  },
+
+  // Spanish copy
+  {
+    id: 'es-familial-ideal-para-familias',
+    category: 'familial_status',
+    severity: 'prohibited',
+    pattern: '\\b(?:perfecta?|ideal)\\s+para\\s+(?:una\\s+)?(?:familias?|niños|hijos)\\b',
+    reason: 'Describes the buyer\'s family status instead of the property',
+    suggestion: 'con espacio para crecer'
+  },
+  {
+    id: 'es-familial-solo-adultos',
+    category: 'familial_status',
+    severity: 'prohibited',
+    pattern: '\\b(?:solo|sólo)\\s+(?:para\\s+)?adultos\\b|\\bsin\\s+niños\\b',
+    reason: 'States a limitation on households with children',
+    suggestion: null
+  },
+  {
+    id: 'es-religion-cerca-de-iglesias',
+    category: 'religion',
+    severity: 'prohibited',
+    pattern: '\\b(?:cerca\\s+de|a\\s+pasos\\s+de)\\s+(?:la\\s+|las\\s+|varias\\s+)?(?:iglesias?|templos?|sinagogas?|mezquitas?|parroquias?)\\b',
+    reason: 'Naming places of worship as a selling point signals a religious preference',
+    suggestion: 'cerca de servicios locales'
+  },
+  {
+    id: 'es-target-buyer',
+    category: 'age',
+    severity: 'risky',
+    pattern: '\\b(?:perfecta?|ideal)\\s+para\\s+(?:jubilados|personas\\s+mayores|jóvenes\\s+profesionales|parejas|solteros)\\b',
+    reason: 'Targets buyers by age or household type',
+    suggestion: 'fácil de disfrutar'
+  },
+  {
+    id: 'es-sex-master-bedroom',
+    category: 'sex',
+    severity: 'risky',
+    pattern: '\\brecámara\\s+(?:del\\s+)?(?:amo|master)\\b',
+    reason: 'Many MLSs ask for "principal" instead of "master"',
+    suggestion: 'recámara principal'
+  }
+];
+
+module.exports = { FAIR_HOUSING_RULES };
@@ -0,0 +1,111 @@
+/**
+ * Feature Claims
+ * Property features that listing copy commonly claims and buyers expect to
+ * see at a showing
+ *
+ * Each rule:
+ * - id: stable identifier reported with every flag
+ * - claim: the feature, as shown in reports
+ * - pattern: case-insensitive regular expression source matched against the
+ *   copy (English and Spanish)
+ * - evidence: case-insensitive regular expression source matched against the
+ *   property's features (including features seen in its photos), neighborhood
+ *   and property type; the claim is supported when it matches
+ *
+ * Copy that makes a claim with no evidence is flagged for review, not changed.
+ */
+
+const FEATURE_CLAIMS = [
+  {
+    id: 'mountain-views',
+    claim: 'mountain views',
+    pattern: '\\bmountain\\s+(?:views?|vistas?)\\b|\\bvistas?\\s+(?:a|de)\\s+(?:las\\s+)?monta[ñn]as',
+    evidence: 'mountain|monta[ñn]a'
+  },
+  {
+    id: 'water-views',
+    claim: 'lake or water views',
+    pattern: '\\b(?:lake|water|river)(?:front|\\s+views?)\\b|\\bvistas?\\s+al\\s+(?:lago|r[ií]o)\\b',
+    evidence: 'lake|water|river|lago|r[ií]o'
+  },
+  {
+    id: 'vaulted-ceilings',
+    claim: 'vaulted ceilings',
+    pattern: '\\b(?:vaulted|cathedral)\\s+ceilings?\\b|\\btechos?\\s+(?:abovedados?|de\\s+catedral)\\b',
+    evidence: 'vault|cathedral|abovedad'
+  },
+  {
+    id: 'quartz-counters',
+    claim: 'quartz counters',
+    pattern: '\\bquartz\\b|\\bcuarzo\\b',
+    evidence: 'quartz|cuarzo'
+  },
+  {
+    id: 'granite-counters',
+    claim: 'granite counters',
+    pattern: '\\bgranite\\b|\\bgranito\\b',
+    evidence: 'granite|granito'
+  },
+  {
+    id: 'hardwood-floors',
+    claim: 'hardwood floors',
+    pattern: '\\bhardwoods?(?:\\s+floor(?:s|ing)?)?\\b|\\bpisos?\\s+de\\s+madera\\b',
+    evidence: 'hardwood|wood\\s+floor|madera'
+  },
+  {
+    id: 'fireplace',
+    claim: 'fireplace',
+    pattern: '\\bfireplaces?\\b|\\bchimeneas?\\b',
+    evidence: 'fireplace|chimenea'
+  },
+  {
+    id: 'stainless-appliances',
+    claim: 'stainless steel appliances',
+    pattern: '\\bstainless(?:\\s+steel)?\\b|\\bacero\\s+inoxidable\\b',
+    evidence: 'stainless|inoxidable'
+  },
+  {
+    id: 'kitchen-island',
+    claim: 'kitchen island',
+    pattern: '\\b(?:kitchen|center|centre)\\s+island\\b|\\bisla\\s+(?:de\\s+cocina|central)\\b',
+    evidence: 'island|isla'
+  },
+  {
+    id: 'pool',
+    claim: 'pool',
+    pattern: '\\b(?:swimming\\s+)?pool\\b|\\bpiscina\\b|\\balberca\\b',
+    evidence: 'pool|piscina|alberca'
+  },
+  {
+    id: 'finished-basement',
+    claim: 'finished basement',
+    pattern: '\\bfinished\\s+basement\\b|\\bs[óo]tano\\s+terminado\\b',
+    evidence: 'basement|s[óo]tano'
+  },
+  {
+    id: 'walk-in-closet',
+    claim: 'walk-in closet',
+    pattern: '\\bwalk-?in\\s+closets?\\b|\\bvestidor\\b',
+    evidence: 'closet|vestidor'
+  },
+  {
+    id: 'garage',
+    claim: 'garage',
+    pattern: '\\bgarage\\b|\\bgaraje\\b|\\bcochera\\b',
+    evidence: 'garage|garaje|cochera'
+  },
+  {
+    id: 'renovated',
+    claim: 'renovation',
+    pattern: '\\b(?:newly\\s+|fully\\s+)?(?:renovated|remodeled|updated)\\b|\\b(?:renovad|remodelad)[ao]s?\\b',
+    evidence: 'renovat|remodel|updat|new|renovad|remodelad|nuev'
+  },
+  {
+    id: 'acreage',
+    claim: 'acreage',
+    pattern: '\\b(?:acres?|acreage)\\b|\\bhect[áa]reas?\\b',
+    evidence: 'acre|hect[áa]rea'
+  }
+];
+
+module.exports = { FEATURE_CLAIMS };
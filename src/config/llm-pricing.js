@@ -0,0 +1,85 @@
+/**
+ * LLM Pricing
+ * Estimated USD cost per million tokens, used to price every recorded LLM call
+ *
+ * Prices are matched by provider, then by the longest model-name prefix, so
+ * dated model versions ("gpt-4o-2024-08-06") use their family's price.
+ * LLM_PRICING_JSON overrides or extends the table with the same shape, e.g.
+ * {"openai": {"gpt-4o": {"input": 2.5, "output": 10}}}.
+ *
+ * Check the providers' current price lists when updating these values.
+ */
+
+const DEFAULT_PRICING = {
+  openai: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+  },
+  anthropic: {
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 }
+  },
+  local: {
+    '': { input: 0, output: 0 }
+  },
+  mock: {
+    '': { input: 0, output: 0 }
+  }
+};
+
+// Azure deployments are billed at the OpenAI model's price
+DEFAULT_PRICING.azure = DEFAULT_PRICING.openai;
+
+function loadPricing() {
+  if (!process.env.LLM_PRICING_JSON) {
+    return DEFAULT_PRICING;
+  }
+
+  const overrides = JSON.parse(process.env.LLM_PRICING_JSON);
+  const pricing = { ...DEFAULT_PRICING };
+
+  for (const [provider, models] of Object.entries(overrides)) {
+    pricing[provider] = { ...(pricing[provider] || {}), ...models };
+  }
+
+  return pricing;
+}
+
+const LLM_PRICING = loadPricing();
+
+/**
+ * Price of a model in USD per million tokens
+ *
+ * @returns {{ input: number, output: number }|null} null when the model has no price
+ */
+function getModelPrice(provider, model) {
+  const models = LLM_PRICING[provider] || {};
+  const match = Object.keys(models)
+    .filter(prefix => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match !== undefined ? models[match] : null;
+}
+
+/**
+ * Estimated cost of one call in USD; null when the model has no price
+ */
+function estimateCost(provider, model, usage) {
+  const price = getModelPrice(provider, model);
+
+  if (!price) {
+    return null;
+  }
+
+  return ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1e6;
+}
+
+module.exports = {
+  LLM_PRICING,
+  getModelPrice,
+  estimateCost
+};
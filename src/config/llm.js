@@ -0,0 +1,78 @@
+/**
+ * LLM Configuration
+ * Provider selection and per-provider settings for AI content generation
+ *
+ * LLM_PROVIDER selects the provider used by every content node:
+ * openai (default), anthropic, azure, local (any OpenAI-compatible server) or
+ * mock (deterministic offline responses for testing the pipeline).
+ *
+ * jsonMode sends OpenAI's `response_format: json_object` when a node asks for
+ * JSON output; turn it off (e.g. OPENAI_JSON_MODE=false) for models or servers
+ * that do not support it, and the prompt alone asks for JSON.
+ */
+
+const toInt = (value, fallback) => parseInt(value) || fallback;
+
+function getProviderSettings() {
+  const env = process.env;
+
+  return {
+    openai: {
+      apiKey: env.OPENAI_API_KEY,
+      baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: env.OPENAI_MODEL || 'gpt-4o',
+      timeout: toInt(env.OPENAI_TIMEOUT_MS, 60000),
+      maxTokens: toInt(env.OPENAI_MAX_TOKENS, 500),
+      jsonMode: env.OPENAI_JSON_MODE !== 'false'
+    },
+    anthropic: {
+      apiKey: env.ANTHROPIC_API_KEY,
+      baseUrl: env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+      apiVersion: env.ANTHROPIC_API_VERSION || '2023-06-01',
+      model: env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+      timeout: toInt(env.ANTHROPIC_TIMEOUT_MS, 60000),
+      maxTokens: toInt(env.ANTHROPIC_MAX_TOKENS, 500)
+    },
+    azure: {
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      endpoint: env.AZURE_OPENAI_ENDPOINT,
+      deployment: env.AZURE_OPENAI_DEPLOYMENT,
+      apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+      model: env.AZURE_OPENAI_MODEL || env.AZURE_OPENAI_DEPLOYMENT,
+      timeout: toInt(env.AZURE_OPENAI_TIMEOUT_MS, 60000),
+      maxTokens: toInt(env.AZURE_OPENAI_MAX_TOKENS, 500),
+      jsonMode: env.AZURE_OPENAI_JSON_MODE !== 'false'
+    },
+    local: {
+      apiKey: env.LOCAL_LLM_API_KEY,
+      baseUrl: env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      model: env.LOCAL_LLM_MODEL || 'llama3.1',
+      timeout: toInt(env.LOCAL_LLM_TIMEOUT_MS, 120000),
+      maxTokens: toInt(env.LOCAL_LLM_MAX_TOKENS, 500),
+      jsonMode: env.LOCAL_LLM_JSON_MODE !== 'false'
+    },
+    mock: {
+      model: 'mock-listing-writer',
+      timeout: 0,
+      maxTokens: toInt(env.MOCK_LLM_MAX_TOKENS, 500)
+    }
+  };
+}
+
+/**
+ * Get the settings of an LLM provider
+ *
+ * @param {string} providerName - Provider name, defaults to LLM_PROVIDER
+ * @returns {Object} Provider settings including its `name`
+ */
+function getLLMConfig(providerName = process.env.LLM_PROVIDER || 'openai') {
+  const settings = getProviderSettings()[providerName];
+
+  if (!settings) {
+    throw new Error(`Unknown LLM provider "${providerName}"; expected one of ${Object.keys(getProviderSettings()).join(', ')}`);
+  }
+
+  return { name: providerName, ...settings };
+}
+
+module.exports = { getLLMConfig };
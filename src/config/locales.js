@@ -0,0 +1,81 @@
+/**
+ * Locales
+ * Languages listing copy can be written in, with the locale used for number
+ * and currency formatting and the phrases used for fallback copy and SEO keywords
+ *
+ * Templates use {placeholders} filled from the property and its market.
+ */
+
+const LOCALES = {
+  en: {
+    name: 'English',
+    locale: 'en-US',
+    currency: 'USD',
+    propertyTypes: {
+      house: 'house',
+      condo: 'condo',
+      townhouse: 'townhouse',
+      'multi-family': 'multi-family home',
+      manufactured: 'manufactured home',
+      land: 'land'
+    },
+    headline: 'Stunning {bedrooms} Bed, {bathrooms} Bath {propertyType} in {place}',
+    highlights: {
+      rooms: '{bedrooms} bedrooms, {bathrooms} bathrooms',
+      size: '{sqft} square feet'
+    },
+    seo: [
+      '{city} {state} real estate',
+      '{city} homes for sale',
+      '{neighborhood} homes',
+      '{bedrooms} bedroom home {city}',
+      '{propertyType} for sale {city}'
+    ]
+  },
+
+  es: {
+    name: 'Spanish',
+    locale: 'es-US',
+    currency: 'USD',
+    propertyTypes: {
+      house: 'casa',
+      condo: 'condominio',
+      townhouse: 'casa adosada',
+      'multi-family': 'propiedad multifamiliar',
+      manufactured: 'casa prefabricada',
+      land: 'terreno'
+    },
+    headline: '{propertyType} de {bedrooms} recámaras y {bathrooms} baños en {place}',
+    highlights: {
+      rooms: '{bedrooms} recámaras, {bathrooms} baños',
+      size: '{sqft} pies cuadrados'
+    },
+    seo: [
+      'bienes raíces en {city}, {state}',
+      'casas en venta en {city}',
+      'casas en {neighborhood}',
+      'casa de {bedrooms} recámaras en {city}',
+      '{propertyType} en venta en {city}'
+    ]
+  }
+};
+
+const LANGUAGES = Object.keys(LOCALES);
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Get a locale by language code
+ *
+ * @returns {Object|null} Locale with its `language` code, or null when unknown
+ */
+function getLocale(language) {
+  return LOCALES[language] ? { language, ...LOCALES[language] } : null;
+}
+
+module.exports = {
+  LOCALES,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getLocale
+};
@@ -0,0 +1,167 @@
+/**
+ * Market Profiles
+ * City, neighborhoods, local SEO terms, MLS rules and timezone for every
+ * market the team lists in
+ *
+ * A property's market is chosen by, in order: the request's `market` option,
+ * `propertyData.market`, the property's city (`propertyData.city` or the city
+ * in its address), its neighborhood, then DEFAULT_MARKET. A property in a city
+ * without a profile uses the default market's MLS rules under its own city name.
+ *
+ * seoTerms are specific to the profile's city; `region` names the wider area.
+ *
+ * Check the MLS rules against each MLS's current input guidelines before
+ * relying on them.
+ */
+
+const MARKETS = {
+  loveland: {
+    city: 'Loveland',
+    region: 'Northern Colorado',
+    state: 'Colorado',
+    stateCode: 'CO',
+    timezone: 'America/Denver',
+    neighborhoods: ['Centerra', 'Mariana Butte', 'Lake Loveland', 'Boyd Lake', 'Downtown Loveland', 'Thompson Valley', 'Kendall Brook'],
+    seoTerms: ['Loveland CO homes', 'Northern Colorado real estate', 'homes near Boyd Lake', 'Sweetheart City homes'],
+    mls: {
+      name: 'IRES',
+      remarksMaxLength: 1000,
+      rules: ['No showing instructions, agent names or contact details in public remarks']
+    }
+  },
+
+  fort_collins: {
+    city: 'Fort Collins',
+    region: 'Northern Colorado',
+    state: 'Colorado',
+    stateCode: 'CO',
+    timezone: 'America/Denver',
+    neighborhoods: ['Old Town', 'Midtown', 'Harmony Corridor', 'Rigden Farm', 'Observatory Village', 'Waterfield', 'Timnath Ranch'],
+    seoTerms: ['Fort Collins CO homes', 'Northern Colorado real estate', 'homes near Old Town Fort Collins', 'Horsetooth Reservoir homes'],
+    mls: {
+      name: 'IRES',
+      remarksMaxLength: 1000,
+      rules: ['No showing instructions, agent names or contact details in public remarks']
+    }
+  },
+
+  greeley: {
+    city: 'Greeley',
+    region: 'Northern Colorado',
+    state: 'Colorado',
+    stateCode: 'CO',
+    timezone: 'America/Denver',
+    neighborhoods: ['West Greeley', 'Downtown Greeley', 'St. Michaels', 'Promontory', 'Mountain View', 'Kelly Farm'],
+    seoTerms: ['Greeley CO homes', 'Weld County real estate', 'Northern Colorado real estate', 'West Greeley homes'],
+    mls: {
+      name: 'IRES',
+      remarksMaxLength: 1000,
+      rules: ['No showing instructions, agent names or contact details in public remarks']
+    }
+  },
+
+  denver: {
+    city: 'Denver',
+    region: 'Denver metro',
+    state: 'Colorado',
+    stateCode: 'CO',
+    timezone: 'America/Denver',
+    neighborhoods: ['Highlands', 'Washington Park', 'Capitol Hill', 'Cherry Creek', 'Stapleton', 'Central Park', 'Sloan\'s Lake', 'Baker', 'RiNo', 'Park Hill'],
+    seoTerms: ['Denver CO homes', 'Denver metro real estate', 'Front Range homes', 'Denver homes for sale near downtown'],
+    mls: {
+      name: 'REcolorado',
+      remarksMaxLength: 2000,
+      rules: [
+        'No showing instructions, agent names or contact details in public remarks',
+        'No website addresses or references to other listings'
+      ]
+    }
+  }
+};
+
+const MARKET_IDS = Object.keys(MARKETS);
+
+const DEFAULT_MARKET = process.env.DEFAULT_MARKET || 'loveland';
+
+/**
+ * Get a market profile by id
+ *
+ * @returns {Object|null} Profile with its `id`, or null when unknown
+ */
+function getMarket(marketId) {
+  return MARKETS[marketId] ? { id: marketId, ...MARKETS[marketId] } : null;
+}
+
+/**
+ * A market profile applied to a property in another city of the market:
+ * the city name is the property's, and the profile's city-specific SEO terms
+ * give way to the region
+ */
+function forCity(market, city) {
+  if (!city || city.toLowerCase() === market.city.toLowerCase()) {
+    return market;
+  }
+
+  return {
+    ...market,
+    city,
+    seoTerms: [`${market.region} real estate`]
+  };
+}
+
+/**
+ * City of an address such as "123 Main St, Loveland, CO 80537"
+ */
+function cityFromAddress(address) {
+  const parts = (address || '').split(',').map(part => part.trim()).filter(Boolean);
+  return parts.length >= 3 ? parts[parts.length - 2] : null;
+}
+
+/**
+ * Choose the market for a property
+ *
+ * @param {Object} propertyData - Property details (market, city, address, neighborhood)
+ * @param {string} requestedMarket - Market id that overrides the property's own
+ * @returns {Object} Market profile plus the property's `city` and `state`
+ *   (which differ from the profile's when the city has no profile)
+ */
+function resolveMarket(propertyData = {}, requestedMarket = null) {
+  const explicit = requestedMarket || propertyData.market;
+
+  if (explicit) {
+    const market = getMarket(explicit);
+    if (!market) {
+      throw new Error(`Unknown market "${explicit}"; expected one of ${MARKET_IDS.join(', ')}`);
+    }
+    return forCity(market, propertyData.city || cityFromAddress(propertyData.address));
+  }
+
+  const city = propertyData.city || cityFromAddress(propertyData.address);
+
+  if (city) {
+    const byCity = MARKET_IDS.find(id => MARKETS[id].city.toLowerCase() === city.toLowerCase());
+    if (byCity) {
+      return getMarket(byCity);
+    }
+  }
+
+  if (propertyData.neighborhood) {
+    const neighborhood = propertyData.neighborhood.toLowerCase();
+    const byNeighborhood = MARKET_IDS.find(id => {
+      return MARKETS[id].neighborhoods.some(name => name.toLowerCase() === neighborhood);
+    });
+    if (byNeighborhood) {
+      return forCity(getMarket(byNeighborhood), city);
+    }
+  }
+
+  return forCity(getMarket(DEFAULT_MARKET), city);
+}
+
+module.exports = {
+  MARKETS,
+  MARKET_IDS,
+  DEFAULT_MARKET,
+  getMarket,
+  resolveMarket
+};
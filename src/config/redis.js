@@ -50,6 +50,11 @@ async function initializeRedis() {
     redis: {
       maxRetriesPerRequest: null,
       enableReadyCheck: false
+    },
+    settings: {
+      // Stalled jobs are failed instead of silently re-run; the orchestrator
+      // and the batch runner recover them according to their retry policies
+      maxStalledCount: 0
     }
   });
 
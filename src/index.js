@@ -12,13 +12,50 @@ const { initializeDatabase } = require('./config/database');
 const { initializeRedis } = require('./config/redis');
 const { WorkflowOrchestrator } = require('./nodes/workflow-orchestrator');
 const { SystemHealthMonitor } = require('./nodes/system-health-monitor');
+const { WorkflowScheduler } = require('./nodes/workflow-scheduler');
 const { ListingDescriptionGenerator } = require('./nodes/listing-description-generator');
+const { createWorkflowRouter } = require('./routes/workflows');
+const { createAgentRouter } = require('./routes/agents');
+const { createWorkflowDefinitionRouter } = require('./routes/workflow-definitions');
+const { createScheduleRouter } = require('./routes/schedules');
+const { createDescriptionVariantRouter } = require('./routes/description-variants');
+const { createDescriptionBatchRouter } = require('./routes/description-batches');
+const { createLLMUsageRouter } = require('./routes/llm-usage');
+const { createPropertyRouter } = require('./routes/properties');
+const { createContentAssetRouter } = require('./routes/content-assets');
+const { AgentProfileStore } = require('./services/agent-profile-store');
+const { ContentLibrary } = require('./services/content-library');
+const { DescriptionBatchRunner } = require('./services/description-batch-runner');
+const { DescriptionVariantStore } = require('./services/description-variant-store');
+const { GenerationCache } = require('./services/generation-cache');
+const { LLMUsageTracker } = require('./services/llm-usage-tracker');
+const { COMPLIANCE_MODES, enforceCompliance } = require('./utils/compliance-checker');
+const { sendError } = require('./utils/http-error');
+const { validatePropertyData } = require('./utils/property-validator');
+const { toPropertyData } = require('./utils/property-record');
+const { validateGenerationOptions } = require('./utils/generation-options');
 const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
+// Core orchestration nodes, initialized in startSystem()
+const orchestrator = new WorkflowOrchestrator();
+const scheduler = new WorkflowScheduler(orchestrator);
+const descriptionVariants = new DescriptionVariantStore();
+const agentProfiles = new AgentProfileStore();
+const contentLibrary = new ContentLibrary();
+const descriptionBatches = new DescriptionBatchRunner({
+  registry: orchestrator.registry,
+  agents: agentProfiles,
+  properties: orchestrator.properties,
+  orchestrator
+});
+const generationCache = new GenerationCache();
+const llmUsage = new LLMUsageTracker();
+
+// Middleware; a batch of MAX_BATCH_ITEMS listings is far past the default 100kb body limit
+app.use('/api/description-batches', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -44,24 +81,136 @@ app.get('/health', (req, res) => {
 // Listing Description Generator endpoint
 app.post('/api/generate-description', async (req, res) => {
   try {
-    const propertyData = req.body.propertyData;
+    const propertyId = req.body.propertyId;
     const options = req.body.options || {};
+    let rawPropertyData = req.body.propertyData;
+
+    // A stored property supplies the data when the request gives only its ID
+    if (!rawPropertyData && propertyId) {
+      const property = await orchestrator.properties.find(propertyId);
+      rawPropertyData = property ? toPropertyData(property) : null;
+    }
     
-    if (!propertyData) {
+    if (!rawPropertyData) {
       return res.status(400).json({
         success: false,
-        error: 'propertyData is required'
+        error: propertyId ? `propertyData is required (no stored property "${propertyId}")` : 'propertyData is required'
       });
     }
-    
-    const generator = new ListingDescriptionGenerator();
-    await generator.initialize();
-    
-    const result = await generator.generateDescription(propertyData, options);
+
+    const { valid, errors, value: propertyData } = validatePropertyData(rawPropertyData);
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid propertyData',
+        errors
+      });
+    }
+
+    const optionErrors = validateGenerationOptions(options);
+
+    if (optionErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: optionErrors.join('; ')
+      });
+    }
+
+    let agentVersion = 'none';
+
+    if (options.agentId !== undefined) {
+      const agent = await agentProfiles.find(options.agentId);
+
+      if (!agent) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown agent "${options.agentId}"`
+        });
+      }
+
+      // Editing the profile changes the copy, so it must not reuse cached results
+      agentVersion = `${agent.agent_id}@${new Date(agent.updated_at).getTime()}`;
+    }
+
+    // Variants are recorded against the property, so it must be stored first
+    if (propertyId) {
+      await orchestrator.properties.ensure(propertyId, propertyData);
+    }
+
+    // Shared with the workflows; initialized once on first use
+    const generator = await orchestrator.registry.resolve('master_content_generator');
+    const { forceRegenerate, ...generationOptions } = options;
+
+    // Identical requests (e.g. n8n retries) reuse the cached result or the generation in flight;
+    // only new generations are refused once the monthly LLM budget is used up. The property is
+    // part of the key because the generation's variant IDs are recorded against it.
+    const cacheKey = generationCache.key(
+      propertyData,
+      generationOptions,
+      `${generator.llm.name}:${generator.llm.config.model}:${generator.version}:${generator.promptVersion}:${agentVersion}:${propertyId || ''}`
+    );
+    const { result: generated, status: cacheStatus } = await generationCache.getOrGenerate(
+      cacheKey,
+      () => generator.generateDescription(propertyData, generationOptions, { propertyId }),
+      { forceRegenerate: forceRegenerate === true }
+    );
+
+    const result = { ...generated, cache: { status: cacheStatus } };
+
+    // The generator refuses new generation once the monthly budget is used up
+    if (result.code === 'LLM_BUDGET_EXCEEDED') {
+      return res.status(402).json(result);
+    }
+
+    // Record the variants and content assets against the property so selections can be tracked;
+    // a cached generation is already on record, so `recorded` stays false for it
+    if (result.success && propertyId) {
+      const generated = result.results ? Object.values(result.results) : [result];
+      let inserted = 0;
+
+      for (const languageResult of generated) {
+        if (languageResult.variants) {
+          inserted += (await descriptionVariants.record({ propertyId }, languageResult)).length;
+        }
+        inserted += (await contentLibrary.record({ propertyId }, languageResult)).length;
+      }
+
+      result.recorded = inserted > 0;
+    }
     
     res.json(result);
   } catch (error) {
-    logger.error('Error in /api/generate-description:', error);
+    sendError(res, 'POST /api/generate-description', error);
+  }
+});
+
+// Fair Housing compliance check for any generated copy
+app.post('/api/compliance/check', (req, res) => {
+  try {
+    const content = req.body.content;
+    const mode = req.body.mode || 'annotate';
+
+    if (!content || (typeof content !== 'string' && typeof content !== 'object')) {
+      return res.status(400).json({
+        success: false,
+        error: 'content is required (text or an object of text fields)'
+      });
+    }
+
+    if (!COMPLIANCE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of ${COMPLIANCE_MODES.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      ...enforceCompliance(content, mode)
+    });
+  } catch (error) {
+    logger.error('Error in /api/compliance/check:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -75,6 +224,17 @@ app.get('/api/nodes/listing-description-generator', (req, res) => {
   res.json(generator.getInfo());
 });
 
+// Workflow management
+app.use('/api/workflows', createWorkflowRouter(orchestrator));
+app.use('/api/workflow-definitions', createWorkflowDefinitionRouter(orchestrator.definitions));
+app.use('/api/schedules', createScheduleRouter(scheduler));
+app.use('/api/description-variants', createDescriptionVariantRouter(descriptionVariants));
+app.use('/api/agents', createAgentRouter(agentProfiles));
+app.use('/api/description-batches', createDescriptionBatchRouter(descriptionBatches));
+app.use('/api/llm-usage', createLLMUsageRouter(llmUsage));
+app.use('/api/properties', createPropertyRouter(orchestrator.properties));
+app.use('/api/content-assets', createContentAssetRouter(contentLibrary));
+
 // Initialize system
 async function startSystem() {
   try {
@@ -92,10 +252,21 @@ async function startSystem() {
     
     // Initialize core nodes
     logger.info('🧠 Initializing core orchestration nodes...');
-    const orchestrator = new WorkflowOrchestrator();
+    // Batch items run on the orchestrator's queue, so their handler must be in place before it starts
+    descriptionBatches.initialize();
     await orchestrator.initialize();
     logger.info('✅ Workflow Orchestrator initialized');
     
+    await scheduler.start();
+    logger.info('✅ Workflow Scheduler started');
+
+    descriptionVariants.initialize();
+    agentProfiles.initialize();
+    contentLibrary.initialize();
+    await descriptionBatches.recoverInFlightItems();
+    generationCache.initialize();
+    llmUsage.initialize();
+    
     const healthMonitor = new SystemHealthMonitor();
     await healthMonitor.start();
     logger.info('✅ System Health Monitor started');
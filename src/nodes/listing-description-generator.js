@@ -9,17 +9,69 @@
  * that highlights key features and appeals to potential buyers.
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
+const { getLLMClient } = require('../providers/llm');
+const { resolveMarket } = require('../config/markets');
+const { LANGUAGES, DEFAULT_LANGUAGE, getLocale } = require('../config/locales');
+const { AgentProfileStore } = require('../services/agent-profile-store');
+const { ContentLibrary } = require('../services/content-library');
+const { DescriptionVariantStore } = require('../services/description-variant-store');
+const { LLMUsageTracker } = require('../services/llm-usage-tracker');
+const { PhotoAnalyzer } = require('../services/photo-analyzer');
+const { enforceCompliance } = require('../utils/compliance-checker');
+const { buildClaimEvidence, checkClaims } = require('../utils/claim-checker');
+const {
+  FORMAT_NAMES,
+  getChannelFormat,
+  buildFormatSchema,
+  describeFormatRules,
+  normalizeFormatContent,
+  checkFormatRules,
+  enforceFormatLimits
+} = require('../utils/channel-formatter');
+const { validateSchema, parseJsonResponse } = require('../utils/json-schema');
+const { countWords } = require('../utils/text');
+const { formatCurrency, formatNumber, fillTemplate } = require('../utils/locale-format');
+const { assertValidPropertyData } = require('../utils/property-validator');
+const { MAX_VALIDATION_ATTEMPTS } = require('../utils/generation-options');
+const { describeAgentVoice, findBannedPhrases, removeBannedPhrases, buildAgentFooter } = require('../utils/agent-profile');
 const logger = require('../utils/logger');
 
+const SYSTEM_PROMPT = 'You are an expert real estate copywriter specializing in creating compelling property listings that attract buyers and generate leads. You write clear, engaging descriptions that highlight key features and create emotional connections. You follow Fair Housing advertising rules: you describe the property, never the kind of person or household it suits. You always answer with a single JSON object and nothing else.';
+
+const FAIR_HOUSING_REQUIREMENT = '- Comply with Fair Housing rules: describe the property and its features, not who should live there ' +
+  '(no references to family status, children, age, religion or places of worship, race, national origin, sex or disability)\n';
+
+// Limits enforced on every generated description
+const HEADLINE_MAX_LENGTH = 80;
+const HIGHLIGHT_MAX_LENGTH = 120;
+const MIN_HIGHLIGHTS = 3;
+const MAX_HIGHLIGHTS = 5;
+const DEFAULT_VALIDATION_ATTEMPTS = 3;
+const MAX_VARIANTS = 5;
+const VARIANT_LABELS = ['A', 'B', 'C', 'D', 'E'];
+
+// Recorded with every generated asset; bump whenever the prompts or system prompt change
+const PROMPT_VERSION = '2026.10';
+
 class ListingDescriptionGenerator {
   constructor() {
     this.nodeId = 'listing-description-generator';
     this.nodeName = 'Listing Description Generator';
     this.section = 'Section 2: The Factory';
     this.version = '1.5.0';
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.apiEndpoint = 'https://api.openai.com/v1/chat/completions';
+    this.promptVersion = PROMPT_VERSION;
+    this.steps = ['master_content_generator'];
+    this.retryPolicy = {
+      maxAttempts: 4,
+      backoff: { type: 'exponential', delay: 2000, maxDelay: 60000 }
+    };
+    this.llm = null;
+    this.variantStore = new DescriptionVariantStore();
+    this.usageTracker = new LLMUsageTracker();
+    this.agentProfiles = new AgentProfileStore();
+    this.contentLibrary = new ContentLibrary();
+    this.photoAnalyzer = new PhotoAnalyzer({ nodeId: this.nodeId });
   }
 
   /**
@@ -28,9 +80,13 @@ class ListingDescriptionGenerator {
   async initialize() {
     logger.info(`[${this.nodeId}] Initializing ${this.nodeName}...`);
     
-    if (!this.apiKey) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
+    this.llm = getLLMClient();
+    this.llm.validateConfig();
+    this.variantStore.initialize();
+    this.usageTracker.initialize();
+    this.agentProfiles.initialize();
+    this.contentLibrary.initialize();
+    this.photoAnalyzer.initialize();
     
     logger.info(`[${this.nodeId}] ✅ ${this.nodeName} initialized successfully`);
     return true;
@@ -48,89 +104,458 @@ class ListingDescriptionGenerator {
    * @param {string} propertyData.propertyType - Type of property (house, condo, etc.)
    * @param {Array<string>} propertyData.features - Key features and amenities
    * @param {string} propertyData.neighborhood - Neighborhood name
+   * @param {string} propertyData.city - City, when the address does not include one
+   * @param {string} propertyData.market - Market profile id (loveland, fort_collins, greeley, denver)
+   * @param {Array<string|Object>} propertyData.photos - Photo URLs or PHOTO_DIR paths; features
+   *   visible in them are merged into `features`
    * @param {Object} options - Generation options
-   * @param {string} options.tone - Tone of the description (professional, luxury, casual)
+   * @param {string} options.tone - Tone of the description (professional, luxury, casual);
+   *   defaults to the agent profile's tone, then professional
    * @param {number} options.maxLength - Maximum length in words
    * @param {boolean} options.includeSEO - Include SEO keywords
+   * @param {string} options.market - Market profile to write for, overriding the property's own
+   * @param {string} options.language - Language to write in (en, es; default en)
+   * @param {Array<string>} options.languages - Write the same request in several languages;
+   *   the result holds one full result per language under `results`
+   * @param {string} options.complianceMode - Fair Housing handling: annotate, rewrite or block
+   *   (defaults to COMPLIANCE_MODE, then annotate)
+   * @param {number} options.variants - Number of alternative descriptions to write (1-5, default 1);
+   *   each gets a variantId, and the first is also returned at the top level
+   * @param {string} options.format - Write copy for one channel instead of the long-form
+   *   description: mls, facebook, instagram, zillow, sms, email or flyer
+   * @param {Array<string>} options.formats - Write copy for several channels from the same data
+   * @param {number} options.maxValidationAttempts - Completions to request before giving up on
+   *   output that fails schema validation (default 3)
+   * @param {string} options.agentId - Agent profile to write as: its voice and phrases go into
+   *   the prompt, its banned phrases are removed and its contact block and disclaimer are appended
+   * @param {Object} options.photoAnalysis - Analysis of the property's photos from an earlier
+   *   property_photos_collector step; the photos are analyzed here when it is not given
+   * @param {Object} attribution - Who the LLM calls are recorded against
+   *   ({ workflowId, propertyId, agentId }, all optional)
    * @returns {Object} Generated description and metadata
    */
-  async generateDescription(propertyData, options = {}) {
+  async generateDescription(propertyData, options = {}, attribution = {}) {
     try {
-      logger.info(`[${this.nodeId}] Generating description for ${propertyData.address}`);
+      return await this._generate(propertyData, options, attribution);
+    } catch (error) {
+      logger.error(`[${this.nodeId}] ❌ Error generating description:`, error.message);
+      
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        propertyAddress: propertyData && propertyData.address,
+        errors: error.errors,
+        compliance: error.compliance,
+        metadata: {
+          generatedAt: new Date().toISOString(),
+          nodeId: this.nodeId,
+          nodeVersion: this.version
+        }
+      };
+    }
+  }
+
+  /**
+   * Generate a description, throwing on failure so workflow retries can
+   * inspect the original error. Refuses to run once the monthly LLM budget
+   * is used up.
+   * @private
+   */
+  async _generate(rawPropertyData, options = {}, attribution = {}) {
+    let propertyData = assertValidPropertyData(rawPropertyData);
+
+    await this.usageTracker.assertWithinBudget();
+
+    // Photos are analyzed once, before languages fan out
+    const photoAnalysis = await this._analyzePhotos(propertyData, options, attribution);
+
+    if (options.languages) {
+      return await this._generateLanguages(propertyData, { ...options, photoAnalysis }, attribution);
+    }
+
+    const locale = getLocale(options.language || DEFAULT_LANGUAGE);
+
+    if (!locale) {
+      throw new Error(`Unknown language "${options.language}"; expected one of ${LANGUAGES.join(', ')}`);
+    }
+
+    const agent = options.agentId ? await this.agentProfiles.get(options.agentId) : null;
+
+    if (agent) {
+      attribution = { ...attribution, agentId: agent.agent_id };
+    }
+
+    if (photoAnalysis) {
+      propertyData = { ...propertyData, features: this._mergeFeatures(propertyData.features, photoAnalysis.features) };
+    }
+
+    logger.info(`[${this.nodeId}] Generating ${locale.name} description for ${propertyData.address}`);
+
+    // Set default options
+    const tone = options.tone || (agent && agent.tone) || 'professional';
+    const maxLength = options.maxLength || 200;
+    const includeSEO = options.includeSEO !== false;
+    const complianceMode = options.complianceMode || process.env.COMPLIANCE_MODE || 'annotate';
+    const market = resolveMarket(propertyData, options.market);
+
+    // Clamped here too: workflow step options reach the generator without the API's validation
+    const maxValidationAttempts = Math.min(
+      Math.max(parseInt(options.maxValidationAttempts) || DEFAULT_VALIDATION_ATTEMPTS, 1),
+      MAX_VALIDATION_ATTEMPTS
+    );
+    const formats = options.formats || (options.format ? [options.format] : null);
+    const claimEvidence = buildClaimEvidence(propertyData);
+    const photos = this._photoMetadata(photoAnalysis);
+
+    if (formats) {
+      if (options.variants > 1) {
+        throw new Error('variants cannot be combined with format or formats');
+      }
+      return await this._generateFormats(propertyData, formats, { tone, includeSEO, complianceMode, maxValidationAttempts, market, locale, agent, attribution, claimEvidence, photos });
+    }
+
+    const variantCount = options.variants || 1;
+
+    if (!Number.isInteger(variantCount) || variantCount < 1 || variantCount > MAX_VARIANTS) {
+      throw new Error(`variants must be a whole number from 1 to ${MAX_VARIANTS}`);
+    }
+
+    // The agent footer counts toward maxLength, so the model writes within what it leaves
+    const footer = agent ? this._descriptionFooter(agent, maxLength) : '';
+    const copyLength = maxLength - countWords(footer);
+
+    const schema = variantCount > 1
+      ? this._variantsSchema(copyLength, variantCount)
+      : this._descriptionSchema(copyLength);
+
+    // Build the AI prompt
+    const prompt = this._buildPrompt(propertyData, { tone, maxLength: copyLength, includeSEO, schema, variantCount, market, locale, agent });
+
+    // Ask for JSON, re-prompting with the validation errors until the output fits the schema
+    const { completion, output, validation } = await this._completeStructured(
+      [{ role: 'user', content: prompt }],
+      schema,
+      maxValidationAttempts,
+      {
+        maxTokens: variantCount > 1 ? variantCount * Math.ceil(copyLength * 1.5 + 150) : undefined,
+        check: agent ? (output) => this._bannedPhraseErrors(agent, output) : undefined,
+        attribution
+      }
+    );
+
+    const drafts = (variantCount > 1 ? (output && output.variants) || [] : [output])
+      .filter(draft => draft && typeof draft.description === 'string' && draft.description.trim() !== '');
+
+    if (drafts.length === 0) {
+      throw new Error(`Model did not return a usable description after ${validation.attempts} attempts: ${validation.errors.join('; ')}`);
+    }
+
+    // Check each variant against Fair Housing rules; blocked variants are dropped
+    const generationId = crypto.randomUUID();
+    const variants = [];
+    const blocked = [];
+    let bannedPhrasesRemoved = 0;
+
+    drafts.forEach((draft, index) => {
+      let copy = {
+        headline: draft.headline || this._generateHeadline(propertyData, market, locale),
+        description: draft.description,
+        highlights: Array.isArray(draft.highlights) && draft.highlights.length > 0
+          ? draft.highlights
+          : this._extractHighlights(propertyData, locale)
+      };
+
+      if (agent) {
+        const { content: cleaned, removed } = removeBannedPhrases(agent, copy);
+        copy = cleaned;
+        bannedPhrasesRemoved += removed;
+      }
+
+      // Claims are the model's; compliance and length cover the copy as published, footer included
+      const claims = checkClaims(copy, claimEvidence);
+
+      if (footer) {
+        copy = { ...copy, description: `${copy.description}\n\n${footer}` };
+      }
+
+      const { content, compliance } = enforceCompliance(copy, complianceMode);
+
+      if (compliance.blocked) {
+        blocked.push(compliance);
+        return;
+      }
+
+      const wordCount = countWords(content.description);
+
+      variants.push({
+        variantId: crypto.randomUUID(),
+        label: VARIANT_LABELS[index],
+        headline: content.headline,
+        description: content.description,
+        highlights: content.highlights,
+        compliance,
+        claims,
+        wordCount,
+        withinMaxLength: wordCount <= maxLength
+      });
+    });
+
+    if (variants.length === 0) {
+      const error = new Error('Generated copy contains phrases prohibited by Fair Housing advertising rules');
+      error.compliance = blocked[0];
+      throw error;
+    }
+
+    // The first variant doubles as the top-level description
+    const primary = variants[0];
+
+    const result = {
+      success: true,
+      propertyAddress: propertyData.address,
+      generationId,
+      variantId: primary.variantId,
+      description: primary.description,
+      headline: primary.headline,
+      highlights: primary.highlights,
+      compliance: primary.compliance,
+      claims: primary.claims,
+      variants,
+      seoKeywords: includeSEO ? this._generateSEOKeywords(propertyData, market, locale) : [],
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        language: locale.language,
+        market: market.id,
+        wordCount: primary.wordCount,
+        maxLength,
+        withinMaxLength: variants.every(variant => variant.withinMaxLength),
+        validation,
+        variantsRequested: variantCount,
+        variantsBlocked: blocked.length,
+        agent: agent ? { agentId: agent.agent_id, name: agent.name, bannedPhrasesRemoved, footerAppended: Boolean(footer) } : null,
+        photos,
+        tone: tone,
+        provider: completion.provider,
+        model: completion.model,
+        promptVersion: this.promptVersion,
+        nodeId: this.nodeId,
+        nodeVersion: this.version
+      }
+    };
 
-      // Set default options
-      const tone = options.tone || 'professional';
-      const maxLength = options.maxLength || 200;
-      const includeSEO = options.includeSEO !== false;
+    if (!validation.valid) {
+      logger.warn(`[${this.nodeId}] Description still fails validation after ${validation.attempts} attempts: ${validation.errors.join('; ')}`);
+    }
+
+    if (variants.some(variant => !variant.claims.supported)) {
+      logger.warn(`[${this.nodeId}] Description claims features not found in the property data or photos`);
+    }
 
-      // Build the AI prompt
-      const prompt = this._buildPrompt(propertyData, { tone, maxLength, includeSEO });
+    logger.info(`[${this.nodeId}] ✅ Description generated successfully (${variants.length} variant(s), ${result.metadata.wordCount} words)`);
+    
+    return result;
+  }
+
+  /**
+   * Run the same request once per language
+   * @private
+   */
+  async _generateLanguages(propertyData, options, attribution) {
+    const { languages, ...rest } = options;
 
-      // Call OpenAI API
-      const response = await axios.post(
-        this.apiEndpoint,
+    if (!Array.isArray(languages) || languages.length === 0) {
+      throw new Error('languages must be a non-empty array');
+    }
+
+    const unknown = languages.filter(language => !LANGUAGES.includes(language));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown language(s) ${unknown.join(', ')}; expected ${LANGUAGES.join(', ')}`);
+    }
+
+    const results = {};
+
+    for (const language of new Set(languages)) {
+      results[language] = await this._generate(propertyData, { ...rest, language }, attribution);
+    }
+
+    return {
+      success: true,
+      propertyAddress: propertyData.address,
+      languages: Object.keys(results),
+      results
+    };
+  }
+
+  /**
+   * Write copy for each requested channel format, one completion (plus
+   * re-prompts) per format, all from the same property data
+   * @private
+   */
+  async _generateFormats(propertyData, formats, options) {
+    const { tone, includeSEO, complianceMode, maxValidationAttempts, market, locale, agent, attribution, claimEvidence, photos } = options;
+
+    if (!Array.isArray(formats) || formats.length === 0) {
+      throw new Error('formats must be a non-empty array');
+    }
+
+    const unknown = formats.filter(name => !FORMAT_NAMES.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown format(s) ${unknown.join(', ')}; expected ${FORMAT_NAMES.join(', ')}`);
+    }
+
+    const channels = {};
+    let completion = null;
+
+    for (const name of new Set(formats)) {
+      const footer = agent ? this._formatFooter(agent, getChannelFormat(name, { market })) : '';
+      const format = getChannelFormat(name, { market, footerLength: footer.length });
+      const schema = buildFormatSchema(format);
+      const prompt = this._buildFormatPrompt(propertyData, format, { tone, includeSEO, schema, market, locale, agent });
+
+      const structured = await this._completeStructured(
+        [{ role: 'user', content: prompt }],
+        schema,
+        maxValidationAttempts,
         {
-          model: 'gpt-4',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an expert real estate copywriter specializing in creating compelling property listings that attract buyers and generate leads. You write clear, engaging descriptions that highlight key features and create emotional connections.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
+          normalize: (output) => normalizeFormatContent(format, output),
+          check: (output) => [
+            ...checkFormatRules(format, output),
+            ...(agent ? this._bannedPhraseErrors(agent, output) : [])
           ],
-          temperature: 0.7,
-          max_tokens: 500
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
+          attribution
         }
       );
+      completion = structured.completion;
 
-      const generatedDescription = response.data.choices[0].message.content.trim();
+      const { output, validation } = structured;
+      const missing = Object.keys(format.fields).filter(field => !output || output[field] === undefined || output[field] === null);
 
-      // Extract sections if the response includes them
-      const sections = this._parseDescription(generatedDescription);
+      if (missing.length > 0) {
+        throw new Error(`Model did not return usable ${format.label} copy after ${validation.attempts} attempts: ${validation.errors.join('; ')}`);
+      }
 
-      const result = {
-        success: true,
-        propertyAddress: propertyData.address,
-        description: sections.main || generatedDescription,
-        headline: sections.headline || this._generateHeadline(propertyData),
-        highlights: sections.highlights || this._extractHighlights(propertyData),
-        seoKeywords: includeSEO ? this._generateSEOKeywords(propertyData) : [],
-        metadata: {
-          generatedAt: new Date().toISOString(),
-          wordCount: generatedDescription.split(' ').length,
-          tone: tone,
-          nodeId: this.nodeId,
-          nodeVersion: this.version
+      // Only the format's own fields are kept, within its hard limits
+      const fields = {};
+      for (const field of Object.keys(schema.properties)) {
+        fields[field] = output[field];
+      }
+      let { content: limited, adjustments } = enforceFormatLimits(format, fields);
+
+      if (agent) {
+        const { content: cleaned, removed } = removeBannedPhrases(agent, limited);
+        if (removed > 0) {
+          limited = cleaned;
+          adjustments = [...adjustments, `removed ${removed} banned phrase(s)`];
         }
+      }
+
+      const claims = checkClaims(limited, claimEvidence);
+
+      if (!claims.supported) {
+        logger.warn(`[${this.nodeId}] ${format.label} copy claims features not found in the property data or photos`);
+      }
+
+      // The footer's room was reserved in the field's limit; compliance covers it with the copy
+      if (footer) {
+        limited = { ...limited, [format.footerField]: `${limited[format.footerField]}\n\n${footer}` };
+        adjustments = [...adjustments, `appended agent footer to ${format.footerField}`];
+      }
+
+      const { content, compliance } = enforceCompliance(limited, complianceMode);
+
+      if (compliance.blocked) {
+        const error = new Error(`Generated ${format.label} copy contains phrases prohibited by Fair Housing advertising rules`);
+        error.compliance = compliance;
+        throw error;
+      }
+
+      if (!validation.valid) {
+        logger.warn(`[${this.nodeId}] ${format.label} still fails validation after ${validation.attempts} attempts: ${validation.errors.join('; ')}`);
+      }
+
+      channels[name] = {
+        format: name,
+        label: format.label,
+        content,
+        compliance,
+        claims,
+        characterCount: Object.keys(format.fields)
+          .reduce((total, field) => total + [].concat(content[field]).join('').length, 0),
+        validation,
+        adjustments
       };
+    }
 
-      logger.info(`[${this.nodeId}] ✅ Description generated successfully (${result.metadata.wordCount} words)`);
-      
-      return result;
+    logger.info(`[${this.nodeId}] ✅ Channel copy generated successfully (${Object.keys(channels).join(', ')})`);
 
-    } catch (error) {
-      logger.error(`[${this.nodeId}] ❌ Error generating description:`, error.message);
-      
-      return {
-        success: false,
-        error: error.message,
-        propertyAddress: propertyData.address,
-        metadata: {
-          generatedAt: new Date().toISOString(),
-          nodeId: this.nodeId,
-          nodeVersion: this.version
+    return {
+      success: true,
+      propertyAddress: propertyData.address,
+      generationId: crypto.randomUUID(),
+      formats: Object.keys(channels),
+      channels,
+      seoKeywords: includeSEO ? this._generateSEOKeywords(propertyData, market, locale) : [],
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        language: locale.language,
+        market: market.id,
+        agent: agent ? { agentId: agent.agent_id, name: agent.name } : null,
+        photos,
+        tone: tone,
+        provider: completion.provider,
+        model: completion.model,
+        promptVersion: this.promptVersion,
+        nodeId: this.nodeId,
+        nodeVersion: this.version
+      }
+    };
+  }
+
+  /**
+   * Execute as a workflow step
+   *
+   * @param {Object} context - Workflow context
+   * @param {Object} context.input - Workflow input ({ propertyData, options })
+   * @param {Object} context.options - Step options from the workflow definition
+   * @param {Object} context.outputs - Outputs of earlier steps, keyed by step name; the
+   *   property_photos_collector output, when present, saves analyzing the photos again
+   * @returns {Object} Generated description and metadata; description variants
+   *   and content assets are recorded against the workflow's property
+   */
+  async execute(context) {
+    const { propertyData, options } = context.input;
+    const photoStep = (context.outputs || {}).property_photos_collector;
+
+    if (!propertyData) {
+      throw new Error(`Workflow ${context.workflowId} has no propertyData in its input`);
+    }
+
+    // Step options from the definition take precedence over the workflow input
+    const result = await this._generate(
+      propertyData,
+      {
+        ...options,
+        ...context.options,
+        photoAnalysis: photoStep && photoStep.photoCount > 0
+          ? { photos: photoStep.photos, features: photoStep.visibleFeatures, provider: photoStep.provider, model: photoStep.model }
+          : undefined
+      },
+      { workflowId: context.workflowId, propertyId: context.propertyId }
+    );
+
+    if (context.propertyId) {
+      const generated = result.results ? Object.values(result.results) : [result];
+      const owner = { propertyId: context.propertyId, workflowId: context.workflowId };
+
+      for (const languageResult of generated) {
+        if (languageResult.variants) {
+          await this.variantStore.record(owner, languageResult);
         }
-      };
+        await this.contentLibrary.record(owner, languageResult);
+      }
     }
+
+    return result;
   }
 
   /**
@@ -138,104 +563,357 @@ class ListingDescriptionGenerator {
    * @private
    */
   _buildPrompt(propertyData, options) {
-    const { address, price, bedrooms, bathrooms, sqft, propertyType, features, neighborhood } = propertyData;
-    const { tone, maxLength, includeSEO } = options;
+    const { tone, maxLength, includeSEO, schema, variantCount, market, locale, agent } = options;
 
     let prompt = `Write a compelling real estate listing description for the following property:\n\n`;
-    prompt += `Address: ${address}\n`;
-    prompt += `Price: $${price.toLocaleString()}\n`;
-    prompt += `Property Type: ${propertyType}\n`;
-    prompt += `Bedrooms: ${bedrooms}\n`;
-    prompt += `Bathrooms: ${bathrooms}\n`;
-    prompt += `Square Footage: ${sqft.toLocaleString()} sq ft\n`;
-    
-    if (neighborhood) {
-      prompt += `Neighborhood: ${neighborhood}\n`;
-    }
-    
-    if (features && features.length > 0) {
-      prompt += `Key Features: ${features.join(', ')}\n`;
-    }
+    prompt += this._describeProperty(propertyData, locale);
 
     prompt += `\nRequirements:\n`;
+    prompt += this._languageRequirement(locale);
     prompt += `- Tone: ${tone}\n`;
     prompt += `- Maximum length: ${maxLength} words\n`;
     prompt += `- Focus on benefits and lifestyle, not just features\n`;
-    prompt += `- Create emotional appeal and urgency\n`;
+    prompt += `- Create emotional appeal through the home itself, not pressure to act\n`;
     prompt += `- Highlight what makes this property special\n`;
+    prompt += FAIR_HOUSING_REQUIREMENT;
+
+    if (agent) {
+      prompt += describeAgentVoice(agent);
+    }
     
     if (includeSEO) {
-      prompt += `- Include relevant keywords for Loveland, Colorado real estate\n`;
+      const seoTerms = this._generateSEOKeywords(propertyData, market, locale);
+      prompt += `- Include relevant keywords for ${market.city}, ${market.state} real estate (e.g. ${seoTerms.join(', ')})\n`;
+    }
+
+    if (variantCount > 1) {
+      prompt += `- Write ${variantCount} distinct variants, each with its own headline and a different angle `;
+      prompt += `(e.g. lifestyle, features, location) so they can be compared\n`;
     }
 
-    prompt += `\nFormat the response as:\n`;
-    prompt += `HEADLINE: [Catchy headline]\n`;
-    prompt += `DESCRIPTION: [Main description]\n`;
-    prompt += `HIGHLIGHTS: [3-5 bullet points of key features]\n`;
+    prompt += `\nRespond with a JSON object matching this JSON Schema (maxWords is a word limit):\n`;
+    prompt += `${JSON.stringify(schema, null, 2)}\n`;
 
     return prompt;
   }
 
   /**
-   * Parse the AI response into sections
+   * Build the prompt for one channel format
+   * @private
+   */
+  _buildFormatPrompt(propertyData, format, options) {
+    const { tone, includeSEO, schema, market, locale, agent } = options;
+    const [channel, ...rules] = describeFormatRules(format);
+
+    let prompt = `Write ${format.label} copy for the following property:\n\n`;
+    prompt += this._describeProperty(propertyData, locale);
+
+    prompt += `\n${channel}\n`;
+    prompt += `\nRequirements:\n`;
+    prompt += this._languageRequirement(locale);
+    prompt += `- Tone: ${tone}\n`;
+    prompt += rules.map(rule => `${rule}\n`).join('');
+    prompt += FAIR_HOUSING_REQUIREMENT;
+
+    if (agent) {
+      prompt += describeAgentVoice(agent);
+    }
+
+    if (includeSEO && format.hashtags) {
+      prompt += `- Include local ${market.city}, ${market.state} hashtags\n`;
+    }
+
+    prompt += `\nRespond with a JSON object matching this JSON Schema (maxWords is a word limit):\n`;
+    prompt += `${JSON.stringify(schema, null, 2)}\n`;
+
+    return prompt;
+  }
+
+  /**
+   * Analysis of the property's photos: the one passed in options, a fresh one,
+   * or null when the property has no photos
+   * @private
+   */
+  async _analyzePhotos(propertyData, options, attribution) {
+    if (options.photoAnalysis) {
+      return options.photoAnalysis;
+    }
+
+    if (propertyData.photos.length === 0) {
+      return null;
+    }
+
+    return await this.photoAnalyzer.analyze(propertyData.photos, attribution);
+  }
+
+  /**
+   * Add features seen in the photos to the listed ones, skipping case-insensitive duplicates
    * @private
    */
-  _parseDescription(text) {
-    const sections = {
-      headline: '',
-      main: '',
-      highlights: []
+  _mergeFeatures(features, visibleFeatures) {
+    const seen = new Set(features.map(feature => feature.toLowerCase()));
+    const added = visibleFeatures.filter(feature => {
+      const key = feature.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+
+    return [...features, ...added];
+  }
+
+  /**
+   * Photo analysis summary for result metadata
+   * @private
+   */
+  _photoMetadata(photoAnalysis) {
+    if (!photoAnalysis) {
+      return null;
+    }
+
+    return {
+      analyzed: photoAnalysis.photos.length,
+      visibleFeatures: photoAnalysis.features,
+      provider: photoAnalysis.provider,
+      model: photoAnalysis.model
     };
+  }
+
+  /**
+   * Validation errors for banned phrases in model output
+   * @private
+   */
+  _bannedPhraseErrors(agent, output) {
+    return findBannedPhrases(agent, output)
+      .map(flag => `${flag.field} uses "${flag.text}", which ${agent.name} never uses`);
+  }
+
+  /**
+   * Agent footer for the description; empty when it would take more than
+   * half of the maxLength words
+   * @private
+   */
+  _descriptionFooter(agent, maxLength) {
+    const footer = buildAgentFooter(agent);
+
+    if (countWords(footer) > maxLength / 2) {
+      logger.warn(`[${this.nodeId}] Agent footer for ${agent.agent_id} is too long for a ${maxLength}-word description; leaving it out`);
+      return '';
+    }
+
+    return footer;
+  }
+
+  /**
+   * Agent footer for a channel format; empty when the channel carries none
+   * or the footer would take more than half of the field it is appended to
+   * @private
+   */
+  _formatFooter(agent, format) {
+    if (!format.footerField) {
+      return '';
+    }
+
+    const footer = buildAgentFooter(agent, { contactInfo: format.contactInfo });
 
-    const headlineMatch = text.match(/HEADLINE:\s*(.+?)(?:\n|$)/i);
-    if (headlineMatch) {
-      sections.headline = headlineMatch[1].trim();
+    if (footer.length + 2 > format.fields[format.footerField].maxLength / 2) {
+      logger.warn(`[${this.nodeId}] Agent footer for ${agent.agent_id} is too long for ${format.label}; leaving it out`);
+      return '';
     }
 
-    const descriptionMatch = text.match(/DESCRIPTION:\s*(.+?)(?=HIGHLIGHTS:|$)/is);
-    if (descriptionMatch) {
-      sections.main = descriptionMatch[1].trim();
+    return footer;
+  }
+
+  /**
+   * Language instruction; English copy needs none
+   * @private
+   */
+  _languageRequirement(locale) {
+    if (locale.language === DEFAULT_LANGUAGE) {
+      return '';
     }
 
-    const highlightsMatch = text.match(/HIGHLIGHTS:\s*(.+?)$/is);
-    if (highlightsMatch) {
-      const highlightText = highlightsMatch[1].trim();
-      sections.highlights = highlightText
-        .split('\n')
-        .map(line => line.replace(/^[-•*]\s*/, '').trim())
-        .filter(line => line.length > 0);
+    return `- Language: write natively in ${locale.name} (${locale.locale}), as a local agent would, ` +
+      `not as a translation; use local real estate terms and keep numbers and prices as given\n`;
+  }
+
+  /**
+   * Property facts as `Label: value` lines, with numbers formatted for the locale
+   * @private
+   */
+  _describeProperty(propertyData, locale) {
+    const { address, price, bedrooms, bathrooms, sqft, propertyType, features, neighborhood } = propertyData;
+
+    let facts = `Address: ${address}\n`;
+    facts += `Price: ${formatCurrency(price, locale)}\n`;
+    facts += `Property Type: ${locale.propertyTypes[propertyType] || propertyType}\n`;
+    facts += `Bedrooms: ${bedrooms}\n`;
+    facts += `Bathrooms: ${formatNumber(bathrooms, locale)}\n`;
+    facts += `Square Footage: ${formatNumber(sqft, locale)} sq ft\n`;
+    
+    if (neighborhood) {
+      facts += `Neighborhood: ${neighborhood}\n`;
     }
+    
+    if (features && features.length > 0) {
+      facts += `Key Features: ${features.join(', ')}\n`;
+    }
+
+    return facts;
+  }
+
+  /**
+   * Schema every generated description must satisfy
+   * @private
+   */
+  _descriptionSchema(maxLength) {
+    return {
+      type: 'object',
+      required: ['headline', 'description', 'highlights'],
+      properties: {
+        headline: {
+          type: 'string',
+          description: 'Catchy headline',
+          minLength: 1,
+          maxLength: HEADLINE_MAX_LENGTH
+        },
+        description: {
+          type: 'string',
+          description: 'Main listing description',
+          minLength: 1,
+          maxWords: maxLength
+        },
+        highlights: {
+          type: 'array',
+          description: 'Key features, one short phrase each',
+          minItems: MIN_HIGHLIGHTS,
+          maxItems: MAX_HIGHLIGHTS,
+          items: { type: 'string', minLength: 1, maxLength: HIGHLIGHT_MAX_LENGTH }
+        }
+      }
+    };
+  }
+
+  /**
+   * Schema for several alternative descriptions in one response
+   * @private
+   */
+  _variantsSchema(maxLength, count) {
+    return {
+      type: 'object',
+      required: ['variants'],
+      properties: {
+        variants: {
+          type: 'array',
+          description: 'Alternative descriptions, each with its own headline and angle',
+          minItems: count,
+          maxItems: count,
+          items: this._descriptionSchema(maxLength)
+        }
+      }
+    };
+  }
+
+  /**
+   * Request a JSON completion and validate it against the schema. Invalid
+   * output is sent back to the model with the errors, up to `maxAttempts`
+   * completions; the last parsed output is returned even if still invalid
+   * (null when no attempt produced JSON).
+   *
+   * `normalize` tidies parsed output before validation and `check` returns
+   * errors for rules the schema cannot express. Every completion is recorded
+   * against `attribution` for usage and cost reporting.
+   * @private
+   */
+  async _completeStructured(messages, schema, maxAttempts, { maxTokens, normalize, check, attribution = {} } = {}) {
+    const conversation = [...messages];
+    let completion = null;
+    let output = null;
+    let errors = [];
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+      attempts++;
+
+      completion = await this.llm.complete({
+        system: SYSTEM_PROMPT,
+        messages: conversation,
+        temperature: 0.7,
+        maxTokens,
+        json: true,
+        schema
+      });
+
+      await this.usageTracker.record({ completion, nodeId: this.nodeId, ...attribution });
+
+      let parsed = parseJsonResponse(completion.text);
+      if (parsed && normalize) {
+        parsed = normalize(parsed);
+      }
+
+      errors = parsed
+        ? [...validateSchema(parsed, schema), ...(check ? check(parsed) : [])]
+        : ['response is not a JSON object'];
+
+      if (parsed) {
+        output = parsed;
+      }
+
+      if (errors.length === 0) {
+        break;
+      }
 
-    // If parsing failed, return the whole text as main description
-    if (!sections.main) {
-      sections.main = text;
+      logger.warn(`[${this.nodeId}] Attempt ${attempts} failed validation: ${errors.join('; ')}`);
+
+      conversation.push(
+        { role: 'assistant', content: completion.text },
+        {
+          role: 'user',
+          content: `Your response did not match the schema:\n- ${errors.join('\n- ')}\n\nReturn the corrected JSON object only.`
+        }
+      );
     }
 
-    return sections;
+    return {
+      completion,
+      output,
+      validation: {
+        valid: errors.length === 0,
+        attempts,
+        errors
+      }
+    };
   }
 
   /**
    * Generate a headline from property data
    * @private
    */
-  _generateHeadline(propertyData) {
-    const { bedrooms, bathrooms, propertyType, neighborhood } = propertyData;
-    return `Stunning ${bedrooms} Bed, ${bathrooms} Bath ${propertyType} in ${neighborhood || 'Loveland'}`;
+  _generateHeadline(propertyData, market, locale) {
+    const headline = fillTemplate(locale.headline, {
+      ...this._templateValues(propertyData, locale),
+      place: propertyData.neighborhood || market.city
+    });
+
+    return headline.charAt(0).toUpperCase() + headline.slice(1);
   }
 
   /**
    * Extract key highlights from property data
    * @private
    */
-  _extractHighlights(propertyData) {
+  _extractHighlights(propertyData, locale) {
+    const values = this._templateValues(propertyData, locale);
     const highlights = [];
     
     if (propertyData.bedrooms && propertyData.bathrooms) {
-      highlights.push(`${propertyData.bedrooms} bedrooms, ${propertyData.bathrooms} bathrooms`);
+      highlights.push(fillTemplate(locale.highlights.rooms, values));
     }
     
     if (propertyData.sqft) {
-      highlights.push(`${propertyData.sqft.toLocaleString()} square feet`);
+      highlights.push(fillTemplate(locale.highlights.size, values));
     }
     
     if (propertyData.features && propertyData.features.length > 0) {
@@ -246,19 +924,37 @@ class ListingDescriptionGenerator {
   }
 
   /**
-   * Generate SEO keywords for the property
+   * Generate SEO keywords for the property in the locale's language.
+   * The market's own SEO terms are English, so only English copy gets them.
    * @private
    */
-  _generateSEOKeywords(propertyData) {
+  _generateSEOKeywords(propertyData, market, locale) {
+    const values = {
+      ...this._templateValues(propertyData, locale),
+      city: market.city,
+      state: market.state,
+      neighborhood: propertyData.neighborhood
+    };
+
     const keywords = [
-      'Loveland Colorado real estate',
-      'Loveland homes for sale',
-      propertyData.neighborhood ? `${propertyData.neighborhood} homes` : null,
-      `${propertyData.bedrooms} bedroom home Loveland`,
-      propertyData.propertyType ? `${propertyData.propertyType} for sale Loveland` : null
+      ...locale.seo.map(template => fillTemplate(template, values)),
+      ...(locale.language === DEFAULT_LANGUAGE ? market.seoTerms : [])
     ].filter(Boolean);
 
-    return keywords;
+    return [...new Set(keywords)];
+  }
+
+  /**
+   * Property values for the locale's templates
+   * @private
+   */
+  _templateValues(propertyData, locale) {
+    return {
+      bedrooms: propertyData.bedrooms,
+      bathrooms: formatNumber(propertyData.bathrooms, locale),
+      sqft: formatNumber(propertyData.sqft, locale),
+      propertyType: locale.propertyTypes[propertyData.propertyType] || propertyData.propertyType
+    };
   }
 
   /**
@@ -273,9 +969,18 @@ class ListingDescriptionGenerator {
       description: 'Generates compelling real estate listing descriptions using AI',
       capabilities: [
         'AI-powered description generation',
+        'Configurable LLM provider (OpenAI, Anthropic, Azure OpenAI, local, mock)',
         'Multiple tone options (professional, luxury, casual)',
         'SEO keyword optimization',
+        'Fair Housing compliance checking (annotate, rewrite or block)',
         'Customizable length and style',
+        'Structured JSON output validated against a schema, with re-prompting',
+        'Up to 5 description variants per call for A/B testing',
+        'Channel formats: MLS remarks, Facebook, Instagram, Zillow, SMS, email and print flyer',
+        'Natively written English and Spanish copy with locale number and currency formatting',
+        'Agent brand voice profiles with banned phrases, disclaimer and contact block',
+        'Photo analysis with a vision-capable model; visible features merged into the copy',
+        'Flags claimed features not supported by the property data or photos',
         'Automatic headline generation',
         'Key highlights extraction'
       ]
@@ -0,0 +1,92 @@
+/**
+ * Empire System v1.5.0
+ * Section 2: The Factory - Content Generation
+ *
+ * Property Photo Analyzer Node
+ *
+ * This node runs a listing's photos through a vision-capable model and
+ * records the features visible in them, so content generation can describe
+ * what buyers will actually see.
+ */
+
+const { PhotoAnalyzer } = require('../services/photo-analyzer');
+const { parsePhotos } = require('../utils/property-validator');
+const { createHttpError } = require('../utils/http-error');
+const logger = require('../utils/logger');
+
+class PropertyPhotoAnalyzer {
+  constructor() {
+    this.nodeId = 'property-photo-analyzer';
+    this.nodeName = 'Property Photo Analyzer';
+    this.section = 'Section 2: The Factory';
+    this.version = '1.5.0';
+    this.steps = ['property_photos_collector'];
+    this.retryPolicy = {
+      maxAttempts: 3,
+      backoff: { type: 'exponential', delay: 2000, maxDelay: 60000 }
+    };
+    this.analyzer = new PhotoAnalyzer({ nodeId: this.nodeId });
+  }
+
+  async initialize() {
+    logger.info(`[${this.nodeId}] Initializing ${this.nodeName}...`);
+
+    this.analyzer.initialize();
+
+    logger.info(`[${this.nodeId}] ✅ ${this.nodeName} initialized successfully`);
+    return true;
+  }
+
+  /**
+   * Execute as a workflow step
+   *
+   * @param {Object} context - Workflow context
+   * @param {Object} context.input - Workflow input ({ propertyData }); photos are read
+   *   from propertyData.photos
+   * @returns {Object} { photoCount, photos, visibleFeatures, provider, model };
+   *   the content generator merges visibleFeatures into the property's features
+   */
+  async execute(context) {
+    const propertyData = (context.input && context.input.propertyData) || {};
+    const { photos, errors } = parsePhotos(propertyData.photos || []);
+
+    if (errors.length > 0) {
+      throw createHttpError(400, 'Invalid photos', { errors, retryable: false });
+    }
+
+    if (photos.length === 0) {
+      logger.info(`[${this.nodeId}] Workflow ${context.workflowId} has no photos; skipping analysis`);
+      return { photoCount: 0, photos: [], visibleFeatures: [] };
+    }
+
+    const analysis = await this.analyzer.analyze(photos, {
+      workflowId: context.workflowId,
+      propertyId: context.propertyId
+    });
+
+    return {
+      photoCount: photos.length,
+      photos: analysis.photos,
+      visibleFeatures: analysis.features,
+      provider: analysis.provider,
+      model: analysis.model
+    };
+  }
+
+  getInfo() {
+    return {
+      nodeId: this.nodeId,
+      nodeName: this.nodeName,
+      section: this.section,
+      version: this.version,
+      description: 'Lists the features visible in listing photos using a vision-capable model',
+      capabilities: [
+        'Photo URLs or local files (PHOTO_DIR)',
+        'Configurable vision provider (VISION_PROVIDER)',
+        'Room and visible features per photo'
+      ]
+    };
+  }
+}
+
+module.exports = { PropertyPhotoAnalyzer };
@@ -158,7 +158,7 @@ class SystemHealthMonitor {
 
       // Count active workflows
       const activeResult = await db.query(
-        "SELECT COUNT(*) FROM workflows WHERE status IN ('pending', 'queued', 'running')"
+        "SELECT COUNT(*) FROM workflows WHERE status IN ('pending', 'queued', 'running', 'awaiting_approval')"
       );
       this.metrics.activeWorkflows = parseInt(activeResult.rows[0].count);
 
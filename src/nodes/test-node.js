@@ -0,0 +1,35 @@
+/**
+ * Test Node
+ * Section 5: The Spine
+ * 
+ * Minimal node used by the `test` workflow to verify that the orchestrator,
+ * queue and node registry are wired together end to end.
+ */
+
+const logger = require('../utils/logger');
+
+class TestNode {
+  constructor() {
+    this.nodeId = 'test-node';
+    this.nodeName = 'Test Node';
+    this.section = 'Section 5: The Spine';
+    this.version = '1.5.0';
+    this.steps = ['test_node'];
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async execute(context) {
+    logger.info(`[${this.nodeId}] Running for workflow ${context.workflowId}`);
+
+    return {
+      workflowId: context.workflowId,
+      propertyId: context.propertyId,
+      echo: context.input
+    };
+  }
+}
+
+module.exports = { TestNode };
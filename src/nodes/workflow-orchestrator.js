@@ -8,39 +8,180 @@
 
 const { getPool } = require('../config/database');
 const { getJobQueue } = require('../config/redis');
+const { NodeRegistry } = require('../utils/node-registry');
+const { WorkflowDefinitionStore } = require('../services/workflow-definition-store');
+const { PropertyStore } = require('../services/property-store');
+const { ApprovalStore } = require('../services/approval-store');
+const { ApprovalNotifier } = require('../services/approval-notifier');
+const { resolveRetryPolicy, classifyError, shouldRetry, getRetryDelay } = require('../utils/retry-policy');
+const { createHttpError } = require('../utils/http-error');
+const { assertValidPropertyData } = require('../utils/property-validator');
+const { toPropertyData } = require('../utils/property-record');
+const { parsePaging } = require('../utils/paging');
 const logger = require('../utils/logger');
 
+// Workflow statuses in which jobs may still be queued or running
+const ACTIVE_STATUSES = ['pending', 'queued', 'running', 'awaiting_approval'];
+
+// Job statuses that have not started executing yet (or wait for a sign-off)
+const WAITING_JOB_STATUSES = ['pending', 'queued', 'retrying', 'awaiting_approval'];
+
+// Named queue job that applies an approval step's timeout
+const APPROVAL_TIMEOUT_JOB_NAME = 'workflow-approval-timeout';
+
+// Number of workflow jobs this instance runs at the same time
+const WORKFLOW_CONCURRENCY = parseInt(process.env.WORKFLOW_CONCURRENCY) || 5;
+
 class WorkflowOrchestrator {
   constructor() {
     this.activeWorkflows = new Map();
     this.jobQueue = null;
+    this.jobProcessors = [];
+    this.processing = false;
     this.db = null;
+    this.registry = new NodeRegistry();
+    this.definitions = new WorkflowDefinitionStore({ registry: this.registry });
+    this.properties = new PropertyStore();
+    this.approvals = new ApprovalStore();
+    this.notifier = new ApprovalNotifier();
   }
 
   async initialize() {
     this.db = getPool();
     this.jobQueue = getJobQueue();
+    this.registry.discover();
+    await this.definitions.initialize();
+    this.properties.initialize();
+    this.approvals.initialize();
+    this.notifier.initialize();
     
-    // Set up job processor
-    this.jobQueue.process(async (job) => {
-      return await this.processJob(job);
+    this.startProcessing();
+
+    // Jobs whose worker died mid-run are recovered by the same rules as on startup
+    this.jobQueue.on('stalled', (job) => {
+      this.handleInterruptedJob(job, 'stalled in queue');
+    });
+    this.jobQueue.on('failed', (job, error) => {
+      this.handleInterruptedJob(job, `failed in queue: ${error && error.message}`);
     });
 
+    await this.recoverInFlightJobs();
+
     logger.info('Workflow Orchestrator initialized');
   }
 
+  /**
+   * Run the `name` jobs of the shared `empire-jobs` queue with `handler`.
+   * Must be called before initialize(): Bull fails any job it fetches before
+   * a handler for that job's name is registered, so all of them are started
+   * together.
+   */
+  addJobProcessor(name, concurrency, handler) {
+    if (this.processing) {
+      throw new Error(`Cannot add the ${name} job processor after the queue has started processing`);
+    }
+
+    this.jobProcessors.push({ name, concurrency, handler });
+  }
+
+  /**
+   * Register every handler of the shared queue in one go
+   * @private
+   */
+  startProcessing() {
+    this.processing = true;
+
+    this.jobQueue.process(WORKFLOW_CONCURRENCY, async (job) => {
+      return await this.processJob(job);
+    });
+    this.jobQueue.process(APPROVAL_TIMEOUT_JOB_NAME, async (job) => {
+      return await this.handleApprovalTimeout(job);
+    });
+
+    for (const { name, concurrency, handler } of this.jobProcessors) {
+      this.jobQueue.process(name, concurrency, handler);
+    }
+  }
+
   /**
    * Create a new workflow for a property listing
+   *
+   * Creation is idempotent: a request repeating an `idempotencyKey`, or asking
+   * for a workflow type that already has an active workflow for the same
+   * property, returns the existing workflow instead of starting a duplicate.
+   *
+   * @param {string} propertyId - Property the workflow runs for; a property not yet stored is
+   *   registered from input.propertyData
+   * @param {string} workflowType - Name of the workflow definition to run
+   * @param {Object} input - Input handed to every node (e.g. propertyData, options);
+   *   propertyData defaults to the stored property's
+   * @param {Object} options - Creation options
+   * @param {number} options.version - Definition version (latest when omitted)
+   * @param {string} options.idempotencyKey - Client key identifying this creation request
+   * @returns {{ workflowId: number, created: boolean }}
    */
-  async createWorkflow(propertyId, workflowType = 'full_listing') {
+  async createWorkflow(propertyId, workflowType = 'full_listing', input = {}, options = {}) {
+    const idempotencyKey = options.idempotencyKey || null;
+    let client = null;
+
     try {
-      const result = await this.db.query(
-        `INSERT INTO workflows (name, status, property_id, metadata) 
-         VALUES ($1, $2, $3, $4) 
+      // Rejects unknown workflow types before anything is written
+      const { definition } = await this.definitions.getPlan(workflowType, options.version);
+
+      // Content steps read input.propertyData; reject bad data before any step runs
+      if (input.propertyData !== undefined) {
+        input = { ...input, propertyData: assertValidPropertyData(input.propertyData) };
+      }
+
+      // Workflows reference a stored property, which supplies propertyData when none is given
+      if (propertyId) {
+        const property = await this.properties.ensure(propertyId, input.propertyData);
+
+        if (input.propertyData === undefined) {
+          input = { ...input, propertyData: toPropertyData(property) };
+        }
+      }
+
+      const metadata = {
+        type: workflowType,
+        definitionVersion: definition.version,
+        input
+      };
+
+      client = await this.db.connect();
+      await client.query('BEGIN');
+
+      // Serialize creations that could collide; the locks are released at COMMIT
+      if (idempotencyKey) {
+        await client.query(
+          'SELECT pg_advisory_xact_lock(hashtext($1))',
+          [`workflow-idempotency:${idempotencyKey}`]
+        );
+      }
+      if (propertyId) {
+        await client.query(
+          'SELECT pg_advisory_xact_lock(hashtext($1))',
+          [`workflow-property:${propertyId}:${workflowType}`]
+        );
+      }
+
+      const existing = await this.findExistingWorkflow(client, propertyId, workflowType, idempotencyKey);
+
+      if (existing) {
+        await client.query('COMMIT');
+        logger.info(`Workflow ${existing.id} already exists for property ${propertyId} (${workflowType}); not creating a duplicate`);
+        return { workflowId: existing.id, created: false };
+      }
+
+      const result = await client.query(
+        `INSERT INTO workflows (name, status, property_id, metadata, idempotency_key) 
+         VALUES ($1, $2, $3, $4, $5) 
          RETURNING id`,
-        [workflowType, 'pending', propertyId, JSON.stringify({ type: workflowType })]
+        [workflowType, 'pending', propertyId, JSON.stringify(metadata), idempotencyKey]
       );
 
+      await client.query('COMMIT');
+
       const workflowId = result.rows[0].id;
       
       logger.info(`Created workflow ${workflowId} for property ${propertyId}`);
@@ -48,13 +189,62 @@ class WorkflowOrchestrator {
       // Queue the workflow for execution
       await this.queueWorkflow(workflowId);
 
-      return workflowId;
+      return { workflowId, created: true };
     } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK').catch(() => {});
+      }
       logger.error('Error creating workflow:', error);
       throw error;
+    } finally {
+      if (client) {
+        client.release();
+      }
     }
   }
 
+  /**
+   * Find the workflow a creation request should return instead of a new one:
+   * the workflow created with the same idempotency key, or else an active
+   * workflow of the same type for the same property
+   */
+  async findExistingWorkflow(client, propertyId, workflowType, idempotencyKey) {
+    if (idempotencyKey) {
+      const result = await client.query(
+        'SELECT * FROM workflows WHERE idempotency_key = $1',
+        [idempotencyKey]
+      );
+
+      if (result.rows.length > 0) {
+        const workflow = result.rows[0];
+
+        if (workflow.name !== workflowType || workflow.property_id !== (propertyId ? String(propertyId) : null)) {
+          throw createHttpError(
+            409,
+            `Idempotency key "${idempotencyKey}" was already used for workflow ${workflow.id} ` +
+            `(${workflow.name} for property ${workflow.property_id})`
+          );
+        }
+
+        return workflow;
+      }
+    }
+
+    if (!propertyId) {
+      return null;
+    }
+
+    const result = await client.query(
+      `SELECT * FROM workflows 
+       WHERE property_id = $1 AND name = $2 AND status = ANY($3) 
+       ORDER BY id DESC 
+       LIMIT 1`,
+      [propertyId, workflowType, ACTIVE_STATUSES]
+    );
+
+    return result.rows[0] || null;
+  }
+
   /**
    * Queue a workflow for execution
    */
@@ -71,18 +261,27 @@ class WorkflowOrchestrator {
       }
 
       const workflow = result.rows[0];
+      const metadata = workflow.metadata || {};
 
-      // Define the execution sequence based on workflow type
-      const executionPlan = this.getExecutionPlan(workflow.name);
+      // Load the execution graph of the definition version chosen at creation
+      const executionPlan = await this.getExecutionPlan(workflow.name, metadata.definitionVersion);
 
-      // Queue each node in sequence
+      // Create a job per step; priority follows the topological order
       for (let i = 0; i < executionPlan.length; i++) {
-        const nodeName = executionPlan[i];
+        const step = executionPlan[i];
+        const stepConfig = step.type === 'approval'
+          ? { type: 'approval', approval: step.approval || {} }
+          : {
+            node: step.node || step.name,
+            options: step.options || {},
+            retry: step.retry || null,
+            requires: step.requires || []
+          };
         
         await this.db.query(
-          `INSERT INTO jobs (workflow_id, node_name, status, priority) 
-           VALUES ($1, $2, $3, $4)`,
-          [workflowId, nodeName, 'pending', i + 1]
+          `INSERT INTO jobs (workflow_id, node_name, status, priority, depends_on, step_config) 
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [workflowId, step.name, 'pending', i + 1, JSON.stringify(step.dependsOn), JSON.stringify(stepConfig)]
         );
       }
 
@@ -94,8 +293,8 @@ class WorkflowOrchestrator {
 
       logger.info(`Queued ${executionPlan.length} jobs for workflow ${workflowId}`);
 
-      // Start processing the first job
-      await this.processNextJob(workflowId);
+      // Start every step without dependencies
+      await this.enqueueReadyJobs(workflowId);
 
     } catch (error) {
       logger.error('Error queueing workflow:', error);
@@ -104,78 +303,87 @@ class WorkflowOrchestrator {
   }
 
   /**
-   * Get the execution plan for a workflow type
+   * Get the ordered execution plan for a workflow type
    */
-  getExecutionPlan(workflowType) {
-    // This is a simplified execution plan
-    // In the full system, this would orchestrate all 295 nodes
-    const plans = {
-      'full_listing': [
-        // Section 1: The Brain (Data Collection)
-        'mls_data_ingester',
-        'property_photos_collector',
-        'competitive_analysis_engine',
-        
-        // Section 2: The Factory (Content Generation)
-        'master_content_generator',
-        'facebook_post_generator',
-        'instagram_caption_generator',
-        
-        // Section 3: The Megaphone (Publishing)
-        'facebook_publisher',
-        'instagram_publisher',
-        
-        // Section 4: The Eyes (Analytics)
-        'engagement_tracker',
-        
-        // Section 6: The Closer (Lead Management)
-        'lead_capture_monitor'
-      ],
-      'test': [
-        'test_node'
-      ]
-    };
-
-    return plans[workflowType] || plans['test'];
+  async getExecutionPlan(workflowType, version = null) {
+    const { plan } = await this.definitions.getPlan(workflowType, version);
+    return plan;
   }
 
   /**
-   * Process the next pending job for a workflow
+   * Queue every pending job of a workflow whose dependencies have completed.
+   *
+   * Jobs are claimed by moving them from 'pending' to 'queued' in one UPDATE, so
+   * when parallel branches finish at the same time a join step is queued once.
+   * Once no job is left unfinished the workflow is marked complete.
    */
-  async processNextJob(workflowId) {
+  async enqueueReadyJobs(workflowId) {
     try {
-      // Get the next pending job
       const result = await this.db.query(
-        `SELECT * FROM jobs 
-         WHERE workflow_id = $1 AND status = 'pending' 
-         ORDER BY priority ASC 
-         LIMIT 1`,
+        `UPDATE jobs
+         SET status = 'queued'
+         WHERE workflow_id = $1
+           AND status = 'pending'
+           AND EXISTS (
+             SELECT 1 FROM workflows w
+             WHERE w.id = jobs.workflow_id AND w.status IN ('queued', 'running', 'awaiting_approval')
+           )
+           AND NOT EXISTS (
+             SELECT 1 FROM jobs dep
+             WHERE dep.workflow_id = jobs.workflow_id
+               AND dep.node_name IN (SELECT jsonb_array_elements_text(jobs.depends_on))
+               AND dep.status <> 'completed'
+           )
+         RETURNING *`,
         [workflowId]
       );
 
-      if (result.rows.length === 0) {
-        // No more pending jobs, mark workflow as complete
-        await this.completeWorkflow(workflowId);
-        return;
+      for (const job of result.rows) {
+        // Add job to Bull queue for processing
+        await this.addToQueue({
+          jobId: job.id,
+          workflowId: workflowId,
+          nodeName: job.node_name
+        }, {
+          priority: job.priority
+        });
+
+        logger.info(`Queued job ${job.id} (${job.node_name}) for processing`);
       }
 
-      const job = result.rows[0];
+      if (result.rows.length > 0) {
+        return;
+      }
 
-      // Add job to Bull queue for processing
-      await this.jobQueue.add({
-        jobId: job.id,
-        workflowId: workflowId,
-        nodeName: job.node_name
-      });
+      const remaining = await this.db.query(
+        `SELECT COUNT(*) FROM jobs WHERE workflow_id = $1 AND status <> 'completed'`,
+        [workflowId]
+      );
 
-      logger.info(`Queued job ${job.id} (${job.node_name}) for processing`);
+      if (parseInt(remaining.rows[0].count) === 0) {
+        await this.completeWorkflow(workflowId);
+      }
 
     } catch (error) {
-      logger.error('Error processing next job:', error);
+      logger.error('Error enqueueing ready jobs:', error);
       throw error;
     }
   }
 
+  /**
+   * Add a job to the Bull queue and remember its queue ID so it can be cancelled
+   */
+  async addToQueue(jobData, options = {}) {
+    const queued = await this.jobQueue.add(jobData, options);
+
+    await this.db.query(
+      'UPDATE jobs SET queue_job_id = $1 WHERE id = $2',
+      [String(queued.id), jobData.jobId]
+    );
+
+    return queued;
+  }
+
   /**
    * Process a job from the queue
    */
@@ -185,17 +393,41 @@ class WorkflowOrchestrator {
     try {
       logger.info(`Processing job ${jobId}: ${nodeName}`);
 
-      // Update job status to 'running'
-      await this.db.query(
+      // Update job status to 'running' and count the attempt
+      const claimed = await this.db.query(
         `UPDATE jobs 
-         SET status = 'running', started_at = CURRENT_TIMESTAMP 
-         WHERE id = $1`,
+         SET status = 'running', started_at = CURRENT_TIMESTAMP, attempts = attempts + 1 
+         WHERE id = $1 AND status IN ('queued', 'retrying')
+           AND EXISTS (
+             SELECT 1 FROM workflows w
+             WHERE w.id = jobs.workflow_id AND w.status IN ('queued', 'running', 'awaiting_approval')
+           )
+         RETURNING step_config`,
         [jobId]
       );
 
+      // The job or its workflow was cancelled (or the job already picked up) after it was queued
+      if (claimed.rows.length === 0) {
+        logger.info(`Skipping job ${jobId} (${nodeName}): no longer queued or its workflow is not active`);
+        return { skipped: true };
+      }
+
+      await this.db.query(
+        `UPDATE workflows 
+         SET status = 'running', updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1 AND status = 'queued'`,
+        [workflowId]
+      );
+
+      const stepConfig = claimed.rows[0].step_config || {};
+
+      // Approval steps pause their branch until someone signs off
+      if (stepConfig.type === 'approval') {
+        return await this.openApproval(jobId, workflowId, nodeName, stepConfig.approval || {});
+      }
+
       // Execute the node
-      // In the full system, this would dynamically load and execute the appropriate node
-      const result = await this.executeNode(nodeName, workflowId);
+      const result = await this.executeNode(nodeName, workflowId, stepConfig);
 
       // Update job status to 'completed'
       await this.db.query(
@@ -207,64 +439,348 @@ class WorkflowOrchestrator {
 
       logger.info(`Completed job ${jobId}: ${nodeName}`);
 
-      // Process next job in workflow
-      await this.processNextJob(workflowId);
+      // Queue the steps this job unblocked
+      await this.enqueueReadyJobs(workflowId);
 
       return result;
 
     } catch (error) {
       logger.error(`Error processing job ${jobId}:`, error);
 
-      // Update job status to 'failed'
-      await this.db.query(
-        `UPDATE jobs 
-         SET status = 'failed', completed_at = CURRENT_TIMESTAMP, error = $1 
-         WHERE id = $2`,
-        [error.message, jobId]
+      const jobResult = await this.db.query(
+        'SELECT attempts, step_config FROM jobs WHERE id = $1',
+        [jobId]
       );
+      const job = jobResult.rows[0] || { attempts: 1, step_config: {} };
+      const policy = this.getRetryPolicy(nodeName, job.step_config || {});
+      const attempts = job.attempts;
 
-      // Mark workflow as failed
-      await this.db.query(
-        `UPDATE workflows 
-         SET status = 'failed', updated_at = CURRENT_TIMESTAMP 
-         WHERE id = $1`,
-        [workflowId]
+      if (shouldRetry(policy, error, attempts)) {
+        const retry = await this.scheduleRetry(bullJob.data, policy, attempts, error);
+
+        if (retry) {
+          return retry;
+        }
+      }
+
+      logger.error(`Job ${jobId} (${nodeName}) failed after ${attempts} attempt(s) [${classifyError(error)}]`);
+
+      await this.failJob(jobId, workflowId, error.message);
+
+      throw error;
+    }
+  }
+
+  /**
+   * Record the final failure of a running job and its workflow. A workflow
+   * that was cancelled, rejected or completed meanwhile keeps its status.
+   */
+  async failJob(jobId, workflowId, message) {
+    // Update job status to 'failed'
+    await this.db.query(
+      `UPDATE jobs 
+       SET status = 'failed', completed_at = CURRENT_TIMESTAMP, error = $1 
+       WHERE id = $2 AND status = 'running'`,
+      [message, jobId]
+    );
+
+    // Mark workflow as failed
+    await this.db.query(
+      `UPDATE workflows 
+       SET status = 'failed', updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND status NOT IN ('cancelled', 'rejected', 'completed')`,
+      [workflowId]
+    );
+  }
+
+  /**
+   * Recover jobs left in flight by a previous process.
+   *
+   * Runs at startup. A job still active in Bull belongs to a live worker (or is
+   * reported later through the 'stalled' event) and is left alone. A job marked
+   * 'running' whose Bull job is back in the queue, or any in-flight job whose
+   * Bull job is gone, is recovered according to its retry policy. Finally every
+   * affected workflow is re-checked for steps that became ready before the crash.
+   */
+  async recoverInFlightJobs() {
+    try {
+      const result = await this.db.query(
+        `SELECT j.* FROM jobs j
+         JOIN workflows w ON w.id = j.workflow_id
+         WHERE j.status IN ('queued', 'running', 'retrying')
+           AND w.status IN ('queued', 'running', 'awaiting_approval')
+         ORDER BY j.id ASC`
       );
 
+      const recovered = [];
+      const workflowIds = new Set();
+
+      for (const job of result.rows) {
+        workflowIds.add(job.workflow_id);
+
+        const bullJob = job.queue_job_id ? await this.jobQueue.getJob(job.queue_job_id) : null;
+        const state = bullJob ? await bullJob.getState() : 'missing';
+
+        if (state === 'active') {
+          continue;
+        }
+
+        const inQueue = ['waiting', 'delayed', 'paused'].includes(state);
+
+        // Waiting to run as normal
+        if (inQueue && job.status !== 'running') {
+          continue;
+        }
+
+        const outcome = await this.recoverJob(job, `queue job ${state}`, inQueue ? bullJob : null);
+        recovered.push(`${job.id} (${job.node_name}): ${outcome}`);
+      }
+
+      for (const workflowId of workflowIds) {
+        await this.enqueueReadyJobs(workflowId);
+      }
+
+      if (recovered.length > 0) {
+        logger.warn(`Recovered ${recovered.length} interrupted job(s): ${recovered.join('; ')}`);
+      } else {
+        logger.info(`No interrupted jobs to recover (${result.rows.length} in flight)`);
+      }
+
+      return recovered;
+
+    } catch (error) {
+      logger.error('Error recovering in-flight jobs:', error);
       throw error;
     }
   }
 
   /**
-   * Execute a specific node
+   * Recover a job reported by Bull as stalled, or failed outside processJob.
+   * Bull may report a failure without a job (maxStalledCount is 0); those and
+   * jobs that are not workflow jobs are ignored.
    */
-  async executeNode(nodeName, workflowId) {
-    // Placeholder for node execution
-    // In the full system, this would dynamically load and execute the node
-    logger.info(`Executing node: ${nodeName} for workflow ${workflowId}`);
-    
-    // Simulate work
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
+  async handleInterruptedJob(bullJob, reason) {
+    const { jobId } = (bullJob && bullJob.data) || {};
+
+    if (!jobId) {
+      return;
+    }
+
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM jobs WHERE id = $1',
+        [jobId]
+      );
+      const job = result.rows[0];
+
+      // processJob already recorded the outcome
+      if (!job || job.status !== 'running') {
+        return;
+      }
+
+      const state = await bullJob.getState();
+      const inQueue = ['waiting', 'delayed', 'paused'].includes(state);
+
+      const outcome = await this.recoverJob(job, reason, inQueue ? bullJob : null);
+      logger.warn(`Recovered job ${job.id} (${job.node_name}) after it ${reason}: ${outcome}`);
+
+      await this.enqueueReadyJobs(job.workflow_id);
+
+    } catch (error) {
+      logger.error(`Error recovering job ${jobId}:`, error);
+    }
+  }
+
+  /**
+   * Apply the retry policy to an interrupted job.
+   *
+   * A job interrupted while running counts its attempt; once the policy's
+   * attempts are used up it fails. Otherwise it is reset to 'queued', either
+   * for its Bull job that is still waiting (`bullJob`) or on a new Bull job.
+   *
+   * @returns {string} 'failed', 'reset' or 'requeued'
+   */
+  async recoverJob(job, reason, bullJob = null) {
+    const interruption = new Error(`Job ${job.id} (${job.node_name}) was interrupted: ${reason}`);
+    interruption.code = 'JOB_INTERRUPTED';
+
+    if (job.status === 'running') {
+      const policy = this.getRetryPolicy(job.node_name, job.step_config || {});
+
+      if (!shouldRetry(policy, interruption, job.attempts)) {
+        await this.removeFromQueue(job.queue_job_id);
+        await this.failJob(job.id, job.workflow_id, interruption.message);
+        return 'failed';
+      }
+    }
+
+    await this.db.query(
+      `UPDATE jobs 
+       SET status = 'queued', error = $1 
+       WHERE id = $2`,
+      [interruption.message, job.id]
+    );
+
+    if (bullJob) {
+      return 'reset';
+    }
+
+    await this.addToQueue({
+      jobId: job.id,
+      workflowId: job.workflow_id,
+      nodeName: job.node_name
+    }, {
+      priority: job.priority
+    });
+
+    return 'requeued';
+  }
+
+  /**
+   * Retry policy for a step: the default policy merged with the node's own
+   * `retryPolicy` and the step's `retry` overrides from its workflow definition
+   */
+  getRetryPolicy(nodeName, stepConfig = {}) {
+    const node = this.registry.get(stepConfig.node || nodeName);
+    return resolveRetryPolicy(node && node.retryPolicy, stepConfig.retry);
+  }
+
+  /**
+   * Put a failed job back on the queue after its backoff delay.
+   * Returns null without retrying when the job's workflow is no longer active
+   * (e.g. it was cancelled while the job ran).
+   */
+  async scheduleRetry(jobData, policy, attempts, error) {
+    const { jobId, nodeName } = jobData;
+    const delay = getRetryDelay(policy, attempts, error);
+
+    const result = await this.db.query(
+      `UPDATE jobs 
+       SET status = 'retrying', error = $1 
+       WHERE id = $2 AND status = 'running'
+         AND EXISTS (
+           SELECT 1 FROM workflows w
+           WHERE w.id = jobs.workflow_id AND w.status IN ('queued', 'running', 'awaiting_approval')
+         )
+       RETURNING id`,
+      [error.message, jobId]
+    );
+
+    if (result.rows.length === 0) {
+      logger.info(`Not retrying job ${jobId} (${nodeName}): its workflow is no longer active`);
+      return null;
+    }
+
+    await this.addToQueue(jobData, { delay });
+
+    logger.warn(
+      `Job ${jobId} (${nodeName}) failed attempt ${attempts}/${policy.maxAttempts} ` +
+      `[${classifyError(error)}]; retrying in ${delay}ms`
+    );
+
+    return { retrying: true, attempts, delay };
+  }
+
+  /**
+   * Execute a specific node through the node registry
+   *
+   * The node receives the shared workflow context: the workflow input plus the
+   * output of every step completed so far, keyed by step name, and the step's
+   * options from its workflow definition. Its own output is added to the context
+   * for the steps that follow.
+   */
+  async executeNode(nodeName, workflowId, stepConfig = {}) {
+    const node = await this.registry.resolve(stepConfig.node || nodeName);
+    const context = await this.loadContext(workflowId, nodeName, stepConfig);
+
+    const requires = [...(node.requires || []), ...(stepConfig.requires || [])];
+    const missing = requires.filter(key => !(key in context.outputs));
+    if (missing.length > 0) {
+      throw new Error(
+        `Step "${nodeName}" requires output from ${missing.map(key => `"${key}"`).join(', ')}, ` +
+        `which is missing from the context of workflow ${workflowId}`
+      );
+    }
+
+    logger.info(`Executing node: ${nodeName} (${node.nodeId}) for workflow ${workflowId}`);
+
+    const output = await node.execute(context);
+
+    await this.saveStepOutput(workflowId, nodeName, output);
+
     return {
       nodeName,
+      nodeId: node.nodeId,
       status: 'success',
+      output,
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Load the shared context of a workflow as seen by one of its steps
+   */
+  async loadContext(workflowId, nodeName, stepConfig = {}) {
+    const result = await this.db.query(
+      'SELECT * FROM workflows WHERE id = $1',
+      [workflowId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    const workflow = result.rows[0];
+    const metadata = workflow.metadata || {};
+
+    return {
+      workflowId,
+      workflowType: workflow.name,
+      propertyId: workflow.property_id,
+      nodeName,
+      input: metadata.input || {},
+      options: stepConfig.options || {},
+      outputs: metadata.context || {}
+    };
+  }
+
+  /**
+   * Store a step's output in workflows.metadata.context under the step name.
+   * Done in a single UPDATE so concurrent steps do not overwrite each other.
+   */
+  async saveStepOutput(workflowId, nodeName, output) {
+    await this.db.query(
+      `UPDATE workflows
+       SET metadata = jsonb_set(
+             COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('context', COALESCE(metadata->'context', '{}'::jsonb)),
+             ARRAY['context', $2::text],
+             $3::jsonb,
+             true
+           ),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [workflowId, nodeName, JSON.stringify(output === undefined ? null : output)]
+    );
+  }
+
   /**
    * Mark a workflow as complete
    */
   async completeWorkflow(workflowId) {
     try {
-      await this.db.query(
+      const result = await this.db.query(
         `UPDATE workflows 
          SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
-         WHERE id = $1`,
+         WHERE id = $1 AND status <> 'completed'
+         RETURNING id`,
         [workflowId]
       );
 
+      // Another branch already completed the workflow
+      if (result.rows.length === 0) {
+        return;
+      }
+
       logger.info(`Workflow ${workflowId} completed successfully`);
       
       this.activeWorkflows.delete(workflowId);
@@ -275,6 +791,274 @@ class WorkflowOrchestrator {
     }
   }
 
+  /**
+   * Pause an approval step until someone signs off.
+   *
+   * The job waits as 'awaiting_approval' and so does its workflow. Steps on
+   * other branches keep running, but nothing that depends on the approval step
+   * is queued until it is approved. The assigned agent is notified and, when
+   * the step has a timeout, a delayed queue job applies its onTimeout action.
+   */
+  async openApproval(jobId, workflowId, stepName, config) {
+    const result = await this.db.query(
+      'SELECT * FROM workflows WHERE id = $1',
+      [workflowId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    const workflow = result.rows[0];
+    const assignedTo = await this.resolveApprover(workflow, config);
+    const client = await this.db.connect();
+    let opened;
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE jobs SET status = 'awaiting_approval' WHERE id = $1`,
+        [jobId]
+      );
+
+      await client.query(
+        `UPDATE workflows 
+         SET status = 'awaiting_approval', updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1 AND status IN ('queued', 'running')`,
+        [workflowId]
+      );
+
+      opened = await this.approvals.open({
+        workflowId,
+        jobId,
+        stepName,
+        assignedTo,
+        timeoutMinutes: config.timeoutMinutes,
+        onTimeout: config.onTimeout,
+        escalateTo: config.escalateTo
+      }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const { approval, created } = opened;
+
+    if (created) {
+      if (approval.timeout_minutes) {
+        await this.scheduleApprovalTimeout(approval);
+      }
+
+      await this.notifier.notify('approval_requested', approval, workflow);
+    }
+
+    logger.info(`Job ${jobId} (${stepName}) is waiting for approval ${approval.id} from ${assignedTo || 'an unassigned agent'}`);
+
+    return { awaitingApproval: true, approvalId: approval.id, assignedTo };
+  }
+
+  /**
+   * Queue the delayed job that applies an approval request's timeout after
+   * its timeout_minutes, replacing the one it had
+   */
+  async scheduleApprovalTimeout(approval) {
+    const queued = await this.jobQueue.add(
+      APPROVAL_TIMEOUT_JOB_NAME,
+      { approvalId: approval.id, workflowId: approval.workflow_id },
+      { delay: approval.timeout_minutes * 60 * 1000 }
+    );
+    await this.approvals.setTimeoutJob(approval.id, String(queued.id));
+  }
+
+  /**
+   * Agent asked to sign off: the step's assignTo, else the agent the workflow
+   * writes as (input.options.agentId), else the listing agent of its property
+   */
+  async resolveApprover(workflow, config) {
+    if (config.assignTo) {
+      return config.assignTo;
+    }
+
+    const input = (workflow.metadata || {}).input || {};
+    if (input.options && input.options.agentId) {
+      return input.options.agentId;
+    }
+
+    const property = workflow.property_id ? await this.properties.find(workflow.property_id) : null;
+    return property ? property.agent_id : null;
+  }
+
+  /**
+   * Approve or reject the pending approval of a workflow
+   *
+   * @param {number} workflowId - Workflow waiting for approval
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {Object} details
+   * @param {string} details.step - Approval step to decide, when several are waiting
+   * @param {string} details.comment - Comment for the agent; required to reject
+   * @param {string} details.decidedBy - Who decided
+   * @returns {Object} Workflow status after the decision
+   */
+  async decideApproval(workflowId, decision, details = {}) {
+    try {
+      if (decision === 'rejected' && !details.comment) {
+        throw createHttpError(400, 'comment is required to reject');
+      }
+
+      const { workflow } = await this.getWorkflowStatus(workflowId);
+
+      if (!ACTIVE_STATUSES.includes(workflow.status)) {
+        throw createHttpError(409, `Workflow ${workflowId} is ${workflow.status} and cannot be approved or rejected`);
+      }
+
+      const pending = await this.approvals.findPending(workflowId, details.step || null);
+      const approval = await this.approvals.decide(pending.id, decision, {
+        decidedBy: details.decidedBy,
+        comment: details.comment
+      });
+
+      if (!approval) {
+        throw createHttpError(409, `Approval ${pending.id} of workflow ${workflowId} was already decided`);
+      }
+
+      await this.removeFromQueue(approval.timeout_job_id);
+
+      if (decision === 'approved') {
+        await this.passApproval(approval);
+      } else {
+        await this.rejectWorkflow(approval);
+      }
+
+      return this.getWorkflowStatus(workflowId);
+
+    } catch (error) {
+      logger.error('Error deciding approval:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete an approved step and queue the steps waiting on it. The decision
+   * is the step's output, so later steps can see who signed off.
+   */
+  async passApproval(approval) {
+    const workflowId = approval.workflow_id;
+    const output = {
+      approved: true,
+      approvalId: approval.id,
+      decidedBy: approval.decided_by,
+      comment: approval.comment,
+      decidedAt: approval.decided_at
+    };
+
+    await this.saveStepOutput(workflowId, approval.step_name, output);
+
+    await this.db.query(
+      `UPDATE jobs 
+       SET status = 'completed', completed_at = CURRENT_TIMESTAMP, result = $1 
+       WHERE id = $2 AND status = 'awaiting_approval'`,
+      [JSON.stringify({
+        nodeName: approval.step_name,
+        status: 'approved',
+        output,
+        timestamp: new Date().toISOString()
+      }), approval.job_id]
+    );
+
+    // Still paused while an approval on another branch is open
+    await this.db.query(
+      `UPDATE workflows 
+       SET status = 'running', updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND status = 'awaiting_approval' 
+         AND NOT EXISTS (SELECT 1 FROM jobs WHERE workflow_id = $1 AND status = 'awaiting_approval')`,
+      [workflowId]
+    );
+
+    logger.info(`Workflow ${workflowId} approved at ${approval.step_name}`);
+
+    await this.enqueueReadyJobs(workflowId);
+  }
+
+  /**
+   * Stop a workflow whose approval was rejected. The approval step is marked
+   * 'rejected', every job still waiting is cancelled and the workflow ends as
+   * 'rejected'; resuming it asks for approval again.
+   */
+  async rejectWorkflow(approval) {
+    const workflowId = approval.workflow_id;
+
+    await this.db.query(
+      `UPDATE jobs 
+       SET status = 'rejected', completed_at = CURRENT_TIMESTAMP, error = $1 
+       WHERE id = $2 AND status = 'awaiting_approval'`,
+      [`Rejected by ${approval.decided_by || 'unknown'}: ${approval.comment}`, approval.job_id]
+    );
+
+    // A workflow cancelled meanwhile keeps its status
+    await this.db.query(
+      `UPDATE workflows 
+       SET status = 'rejected', updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND status = ANY($2)`,
+      [workflowId, ACTIVE_STATUSES]
+    );
+
+    const cancelled = await this.cancelWaitingJobs(workflowId);
+
+    this.activeWorkflows.delete(workflowId);
+
+    logger.info(`Workflow ${workflowId} rejected at ${approval.step_name} (${cancelled} jobs cancelled)`);
+  }
+
+  /**
+   * Apply an approval step's timeout: escalate the request to its escalateTo,
+   * or reject it and stop the workflow. An escalated request gets the same
+   * time again and is rejected when that runs out too. Nothing happens once
+   * it is decided.
+   */
+  async handleApprovalTimeout(bullJob) {
+    const { approvalId } = bullJob.data;
+    const approval = await this.approvals.find(approvalId);
+
+    if (!approval || approval.status !== 'pending') {
+      return { skipped: true };
+    }
+
+    if (approval.on_timeout === 'escalate' && !approval.escalated_at) {
+      const escalated = await this.approvals.escalate(approvalId);
+
+      if (escalated) {
+        const result = await this.db.query(
+          'SELECT * FROM workflows WHERE id = $1',
+          [escalated.workflow_id]
+        );
+
+        logger.warn(`Approval ${approvalId} of workflow ${escalated.workflow_id} timed out; escalating to ${escalated.escalate_to}`);
+        await this.scheduleApprovalTimeout(escalated);
+        await this.notifier.notify('approval_escalated', escalated, result.rows[0]);
+      }
+
+      return { escalated: Boolean(escalated) };
+    }
+
+    const rejected = await this.approvals.decide(approvalId, 'rejected', {
+      decidedBy: 'system',
+      comment: approval.escalated_at
+        ? `No decision within ${approval.timeout_minutes} minutes of escalating to ${approval.escalate_to}`
+        : `No decision within ${approval.timeout_minutes} minutes`
+    });
+
+    if (rejected) {
+      await this.rejectWorkflow(rejected);
+    }
+
+    return { rejected: Boolean(rejected) };
+  }
+
   /**
    * Get workflow status
    */
@@ -286,7 +1070,7 @@ class WorkflowOrchestrator {
       );
 
       if (workflowResult.rows.length === 0) {
-        throw new Error(`Workflow ${workflowId} not found`);
+        throw createHttpError(404, `Workflow ${workflowId} not found`);
       }
 
       const jobsResult = await this.db.query(
@@ -296,7 +1080,8 @@ class WorkflowOrchestrator {
 
       return {
         workflow: workflowResult.rows[0],
-        jobs: jobsResult.rows
+        jobs: jobsResult.rows,
+        approvals: await this.approvals.listForWorkflow(workflowId)
       };
 
     } catch (error) {
@@ -304,6 +1089,187 @@ class WorkflowOrchestrator {
       throw error;
     }
   }
+
+  /**
+   * List workflows, newest first
+   *
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.status - Workflow status
+   * @param {string} filters.propertyId - Property ID
+   * @param {string} filters.type - Workflow type
+   * @param {number} filters.limit - Page size (max 100)
+   * @param {number} filters.offset - Rows to skip
+   */
+  async listWorkflows(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`status = $${params.length}`);
+      }
+      if (filters.propertyId) {
+        params.push(filters.propertyId);
+        conditions.push(`property_id = $${params.length}`);
+      }
+      if (filters.type) {
+        params.push(filters.type);
+        conditions.push(`name = $${params.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const { limit, offset } = parsePaging(filters, { defaultLimit: 20 });
+
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) FROM workflows ${where}`,
+        params
+      );
+
+      const result = await this.db.query(
+        `SELECT * FROM workflows ${where} 
+         ORDER BY created_at DESC, id DESC 
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        workflows: result.rows,
+        total: parseInt(countResult.rows[0].count),
+        limit,
+        offset
+      };
+
+    } catch (error) {
+      logger.error('Error listing workflows:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an active workflow.
+   * Jobs that have not started are removed from the Bull queue and marked
+   * 'cancelled', as are pending approvals; a job already running finishes but
+   * is not retried, and nothing after it is queued.
+   */
+  async cancelWorkflow(workflowId) {
+    try {
+      const { workflow } = await this.getWorkflowStatus(workflowId);
+
+      if (!ACTIVE_STATUSES.includes(workflow.status)) {
+        throw createHttpError(409, `Workflow ${workflowId} is ${workflow.status} and cannot be cancelled`);
+      }
+
+      await this.db.query(
+        `UPDATE workflows 
+         SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1`,
+        [workflowId]
+      );
+
+      const cancelled = await this.cancelWaitingJobs(workflowId);
+
+      this.activeWorkflows.delete(workflowId);
+
+      logger.info(`Cancelled workflow ${workflowId} (${cancelled} jobs cancelled)`);
+
+      return this.getWorkflowStatus(workflowId);
+
+    } catch (error) {
+      logger.error('Error cancelling workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every job of a workflow that has not started 'cancelled', removing it
+   * from the Bull queue, and cancel its pending approvals and their timeouts
+   *
+   * @returns {number} Number of jobs cancelled
+   */
+  async cancelWaitingJobs(workflowId) {
+    const cancelled = await this.db.query(
+      `UPDATE jobs 
+       SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP 
+       WHERE workflow_id = $1 AND status = ANY($2) 
+       RETURNING id, queue_job_id`,
+      [workflowId, WAITING_JOB_STATUSES]
+    );
+
+    for (const job of cancelled.rows) {
+      await this.removeFromQueue(job.queue_job_id);
+    }
+
+    for (const approval of await this.approvals.cancelPending(workflowId)) {
+      await this.removeFromQueue(approval.timeout_job_id);
+    }
+
+    return cancelled.rows.length;
+  }
+
+  /**
+   * Resume a failed, cancelled or rejected workflow from its failed jobs.
+   * Completed jobs keep their output; failed, cancelled and rejected jobs are
+   * reset to 'pending' and run again once their dependencies are complete (a
+   * rejected approval step asks for approval again).
+   */
+  async resumeWorkflow(workflowId) {
+    try {
+      const { workflow } = await this.getWorkflowStatus(workflowId);
+
+      if (!['failed', 'cancelled', 'rejected'].includes(workflow.status)) {
+        throw createHttpError(409, `Workflow ${workflowId} is ${workflow.status} and cannot be resumed`);
+      }
+
+      const reset = await this.db.query(
+        `UPDATE jobs 
+         SET status = 'pending', attempts = 0, error = NULL, started_at = NULL, 
+             completed_at = NULL, queue_job_id = NULL 
+         WHERE workflow_id = $1 AND status IN ('failed', 'cancelled', 'rejected') 
+         RETURNING id`,
+        [workflowId]
+      );
+
+      await this.db.query(
+        `UPDATE workflows 
+         SET status = 'queued', completed_at = NULL, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1`,
+        [workflowId]
+      );
+
+      logger.info(`Resuming workflow ${workflowId} (${reset.rows.length} jobs reset)`);
+
+      await this.enqueueReadyJobs(workflowId);
+
+      return this.getWorkflowStatus(workflowId);
+
+    } catch (error) {
+      logger.error('Error resuming workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a job from the Bull queue if it has not been picked up yet
+   */
+  async removeFromQueue(queueJobId) {
+    if (!queueJobId) {
+      return false;
+    }
+
+    const bullJob = await this.jobQueue.getJob(queueJobId);
+    if (!bullJob) {
+      return false;
+    }
+
+    const state = await bullJob.getState();
+    if (!['waiting', 'delayed', 'paused'].includes(state)) {
+      return false;
+    }
+
+    await bullJob.remove();
+    return true;
+  }
 }
 
 module.exports = { WorkflowOrchestrator };
@@ -0,0 +1,417 @@
+/**
+ * Workflow Scheduler
+ * Section 5: The Spine
+ *
+ * Starts workflows on a schedule: recurring schedules use a cron expression in
+ * the schedule's timezone ("every Friday at 9am Mountain time"), one-off
+ * schedules a single timestamp ("price-drop campaign on date X").
+ *
+ * Every app instance runs the same schedules. Before starting a workflow an
+ * instance claims the firing by advancing `last_fired_at` in a conditional
+ * UPDATE, so each firing starts exactly one workflow however many instances
+ * are running.
+ */
+
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const { getPool } = require('../config/database');
+const { resolveMarket } = require('../config/markets');
+const { createHttpError } = require('../utils/http-error');
+const logger = require('../utils/logger');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Denver';
+
+class WorkflowScheduler {
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+    this.db = null;
+    this.tickTask = null;
+    this.cronTasks = new Map();
+  }
+
+  async start() {
+    logger.info('Starting Workflow Scheduler...');
+
+    this.db = getPool();
+
+    // Pick up schedule changes made through any instance and fire due one-off schedules
+    this.tickTask = cron.schedule('* * * * *', async () => {
+      await this.tick();
+    });
+
+    await this.tick();
+
+    logger.info('Workflow Scheduler started successfully');
+  }
+
+  stop() {
+    if (this.tickTask) {
+      this.tickTask.stop();
+    }
+
+    for (const { task } of this.cronTasks.values()) {
+      task.stop();
+    }
+    this.cronTasks.clear();
+
+    logger.info('Workflow Scheduler stopped');
+  }
+
+  async tick() {
+    try {
+      await this.syncCronTasks();
+      await this.fireDueOneOffSchedules();
+    } catch (error) {
+      logger.error('Error running scheduler tick:', error);
+    }
+  }
+
+  /**
+   * Keep one node-cron task per enabled recurring schedule, recreating a task
+   * when its schedule has been edited
+   */
+  async syncCronTasks() {
+    const result = await this.db.query(
+      `SELECT * FROM workflow_schedules
+       WHERE enabled = true AND cron_expression IS NOT NULL`
+    );
+
+    const seen = new Set();
+
+    for (const schedule of result.rows) {
+      seen.add(schedule.id);
+
+      const signature = `${schedule.cron_expression}|${schedule.timezone}|${new Date(schedule.updated_at).getTime()}`;
+      const existing = this.cronTasks.get(schedule.id);
+
+      if (existing && existing.signature === signature) {
+        continue;
+      }
+      if (existing) {
+        existing.task.stop();
+      }
+
+      const task = cron.schedule(schedule.cron_expression, async () => {
+        await this.fireRecurringSchedule(schedule.id);
+      }, {
+        timezone: schedule.timezone
+      });
+
+      this.cronTasks.set(schedule.id, { task, signature });
+    }
+
+    for (const [scheduleId, { task }] of this.cronTasks.entries()) {
+      if (!seen.has(scheduleId)) {
+        task.stop();
+        this.cronTasks.delete(scheduleId);
+      }
+    }
+  }
+
+  /**
+   * Fire a recurring schedule for the current minute if no other instance has
+   */
+  async fireRecurringSchedule(scheduleId) {
+    try {
+      const slot = moment().startOf('minute').toDate();
+
+      const claimed = await this.db.query(
+        `UPDATE workflow_schedules
+         SET last_fired_at = $2
+         WHERE id = $1 AND enabled = true
+           AND (last_fired_at IS NULL OR last_fired_at < $2)
+         RETURNING *`,
+        [scheduleId, slot]
+      );
+
+      if (claimed.rows.length === 0) {
+        return;
+      }
+
+      await this.startWorkflow(claimed.rows[0], slot);
+    } catch (error) {
+      logger.error(`Error firing schedule ${scheduleId}:`, error);
+    }
+  }
+
+  /**
+   * Claim and fire every one-off schedule whose time has come.
+   * A one-off schedule is disabled as it is claimed, so it never fires twice.
+   */
+  async fireDueOneOffSchedules() {
+    const claimed = await this.db.query(
+      `UPDATE workflow_schedules
+       SET last_fired_at = run_at, enabled = false
+       WHERE enabled = true AND cron_expression IS NULL
+         AND run_at <= NOW() AND last_fired_at IS NULL
+       RETURNING *`
+    );
+
+    for (const schedule of claimed.rows) {
+      await this.startWorkflow(schedule, schedule.run_at);
+    }
+  }
+
+  /**
+   * Start the workflow of a claimed schedule firing and record the outcome
+   */
+  async startWorkflow(schedule, firedAt) {
+    try {
+      const { workflowId, created } = await this.orchestrator.createWorkflow(
+        schedule.property_id,
+        schedule.workflow_type,
+        schedule.input || {},
+        { idempotencyKey: `schedule:${schedule.id}:${new Date(firedAt).toISOString()}` }
+      );
+
+      if (!created) {
+        logger.info(`Schedule ${schedule.id} found workflow ${workflowId} still active; not starting another`);
+      }
+
+      await this.db.query(
+        `UPDATE workflow_schedules
+         SET last_workflow_id = $1, last_error = NULL
+         WHERE id = $2`,
+        [workflowId, schedule.id]
+      );
+
+      logger.info(`Schedule ${schedule.id} started workflow ${workflowId} (${schedule.workflow_type})`);
+    } catch (error) {
+      logger.error(`Schedule ${schedule.id} failed to start a ${schedule.workflow_type} workflow:`, error);
+
+      await this.db.query(
+        'UPDATE workflow_schedules SET last_error = $1 WHERE id = $2',
+        [error.message, schedule.id]
+      );
+    }
+  }
+
+  /**
+   * Create a schedule
+   *
+   * @param {Object} data - Schedule fields
+   * @param {string} data.workflowType - Workflow definition to run
+   * @param {string} data.propertyId - Property the workflow runs for
+   * @param {Object} data.input - Workflow input
+   * @param {string} data.cronExpression - Five-field cron expression (recurring)
+   * @param {string} data.runAt - ISO timestamp (one-off); read in `timezone` when it has no offset
+   * @param {string} data.timezone - IANA timezone, defaults to the timezone of the property's
+   *   market (from input.propertyData or input.options.market), then DEFAULT_TIMEZONE
+   * @param {string} data.name - Optional label
+   * @returns {Object} Created schedule row
+   */
+  async createSchedule(data) {
+    const schedule = await this._validate(data);
+
+    const result = await this.db.query(
+      `INSERT INTO workflow_schedules
+         (name, workflow_type, property_id, input, cron_expression, run_at, timezone, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        schedule.name,
+        schedule.workflowType,
+        schedule.propertyId,
+        JSON.stringify(schedule.input),
+        schedule.cronExpression,
+        schedule.runAt,
+        schedule.timezone,
+        schedule.enabled
+      ]
+    );
+
+    logger.info(`Created schedule ${result.rows[0].id} for ${schedule.workflowType}`);
+
+    await this.syncCronTasks();
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update a schedule; fields not given keep their current value
+   */
+  async updateSchedule(scheduleId, data) {
+    const current = await this.getSchedule(scheduleId);
+
+    const schedule = await this._validate({
+      name: current.name,
+      workflowType: current.workflow_type,
+      propertyId: current.property_id,
+      input: current.input,
+      cronExpression: current.cron_expression,
+      runAt: current.run_at,
+      timezone: current.timezone,
+      enabled: current.enabled,
+      ...data
+    });
+
+    // A new one-off time makes the schedule fire again
+    const rescheduled = Boolean(schedule.runAt) &&
+      (!current.run_at || schedule.runAt.getTime() !== new Date(current.run_at).getTime());
+
+    const result = await this.db.query(
+      `UPDATE workflow_schedules
+       SET name = $1, workflow_type = $2, property_id = $3, input = $4, cron_expression = $5,
+           run_at = $6, timezone = $7, enabled = $8, updated_at = CURRENT_TIMESTAMP,
+           last_fired_at = CASE WHEN $9 THEN NULL ELSE last_fired_at END
+       WHERE id = $10
+       RETURNING *`,
+      [
+        schedule.name,
+        schedule.workflowType,
+        schedule.propertyId,
+        JSON.stringify(schedule.input),
+        schedule.cronExpression,
+        schedule.runAt,
+        schedule.timezone,
+        schedule.enabled,
+        rescheduled,
+        scheduleId
+      ]
+    );
+
+    await this.syncCronTasks();
+
+    return result.rows[0];
+  }
+
+  async deleteSchedule(scheduleId) {
+    const result = await this.db.query(
+      'DELETE FROM workflow_schedules WHERE id = $1 RETURNING id',
+      [scheduleId]
+    );
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Schedule ${scheduleId} not found`);
+    }
+
+    await this.syncCronTasks();
+  }
+
+  async getSchedule(scheduleId) {
+    const result = await this.db.query(
+      'SELECT * FROM workflow_schedules WHERE id = $1',
+      [scheduleId]
+    );
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Schedule ${scheduleId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * List schedules, optionally filtered by property, workflow type or enabled flag
+   */
+  async listSchedules(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.propertyId) {
+      params.push(filters.propertyId);
+      conditions.push(`property_id = $${params.length}`);
+    }
+    if (filters.workflowType) {
+      params.push(filters.workflowType);
+      conditions.push(`workflow_type = $${params.length}`);
+    }
+    if (filters.enabled !== undefined) {
+      params.push(filters.enabled === true || filters.enabled === 'true');
+      conditions.push(`enabled = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await this.db.query(
+      `SELECT * FROM workflow_schedules ${where} ORDER BY id ASC`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Validate and normalize schedule fields
+   * @private
+   */
+  async _validate(data) {
+    const errors = [];
+    let timezone = data.timezone;
+
+    if (!timezone) {
+      try {
+        timezone = this._marketTimezone(data.input) || DEFAULT_TIMEZONE;
+      } catch (error) {
+        errors.push(error.message);
+        timezone = DEFAULT_TIMEZONE;
+      }
+    }
+
+    const hasCron = Boolean(data.cronExpression);
+    const hasRunAt = Boolean(data.runAt);
+    let runAt = null;
+
+    if (!data.workflowType) {
+      errors.push('workflowType is required');
+    } else if (!(await this.orchestrator.definitions.get(data.workflowType))) {
+      errors.push(`Unknown workflow type "${data.workflowType}"`);
+    }
+
+    if (!moment.tz.zone(timezone)) {
+      errors.push(`Unknown timezone "${timezone}"`);
+    }
+
+    if (hasCron === hasRunAt) {
+      errors.push('Exactly one of cronExpression (recurring) or runAt (one-off) is required');
+    }
+
+    if (hasCron && (data.cronExpression.trim().split(/\s+/).length !== 5 || !cron.validate(data.cronExpression))) {
+      errors.push(`Invalid cron expression "${data.cronExpression}"; use five fields (minute hour day month weekday)`);
+    }
+
+    if (hasRunAt && moment.tz.zone(timezone)) {
+      const parsed = data.runAt instanceof Date
+        ? moment(data.runAt)
+        : moment.tz(data.runAt, moment.ISO_8601, timezone);
+
+      if (!parsed.isValid()) {
+        errors.push(`Invalid runAt "${data.runAt}"; use an ISO 8601 timestamp`);
+      } else {
+        runAt = parsed.toDate();
+      }
+    }
+
+    if (errors.length > 0) {
+      throw createHttpError(400, 'Invalid schedule', { errors });
+    }
+
+    return {
+      name: data.name || null,
+      workflowType: data.workflowType,
+      propertyId: data.propertyId || null,
+      input: data.input || {},
+      cronExpression: hasCron ? data.cronExpression.trim() : null,
+      runAt,
+      timezone,
+      enabled: data.enabled !== false
+    };
+  }
+
+  /**
+   * Timezone of the market a schedule's input targets, if it names one
+   * @private
+   */
+  _marketTimezone(input) {
+    const propertyData = input && input.propertyData;
+    const requested = input && input.options && input.options.market;
+
+    if (!propertyData && !requested) {
+      return null;
+    }
+
+    return resolveMarket(propertyData || {}, requested).timezone;
+  }
+}
+
+module.exports = { WorkflowScheduler };
@@ -0,0 +1,97 @@
+/**
+ * Anthropic Provider
+ * Completions through the Anthropic Messages API
+ */
+
+const axios = require('axios');
+
+class AnthropicProvider {
+  constructor(config) {
+    this.name = config.name;
+    this.config = config;
+  }
+
+  validateConfig() {
+    if (!this.config.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
+    }
+  }
+
+  /**
+   * Run a completion; same request and response shape as OpenAIProvider.complete.
+   * JSON requests prefill the reply with "{" so the model answers with the object alone.
+   */
+  async complete(request) {
+    const started = Date.now();
+    const prefill = request.json ? '{' : '';
+    const conversation = this._messages(request);
+    const messages = prefill
+      ? [...conversation, { role: 'assistant', content: prefill }]
+      : conversation;
+
+    const response = await axios.post(
+      `${this.config.baseUrl.replace(/\/$/, '')}/messages`,
+      {
+        model: this.config.model,
+        system: request.system,
+        messages,
+        temperature: request.temperature !== undefined ? request.temperature : 0.7,
+        max_tokens: request.maxTokens || this.config.maxTokens
+      },
+      {
+        headers: {
+          'x-api-key': this.config.apiKey,
+          'anthropic-version': this.config.apiVersion,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.config.timeout
+      }
+    );
+
+    const data = response.data;
+    const usage = data.usage || {};
+    const text = data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      text: (prefill + text).trim(),
+      provider: this.name,
+      model: data.model || this.config.model,
+      usage: {
+        promptTokens: usage.input_tokens || 0,
+        completionTokens: usage.output_tokens || 0,
+        totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      },
+      latencyMs: Date.now() - started
+    };
+  }
+
+  /**
+   * Conversation with the request's images added to the first user message
+   * @private
+   */
+  _messages(request) {
+    if (!request.images || request.images.length === 0) {
+      return request.messages;
+    }
+
+    const first = request.messages.findIndex(message => message.role === 'user');
+
+    return request.messages.map((message, index) => index !== first ? message : {
+      role: message.role,
+      content: [
+        ...request.images.map(image => ({
+          type: 'image',
+          source: image.url
+            ? { type: 'url', url: image.url }
+            : { type: 'base64', media_type: image.mediaType, data: image.data }
+        })),
+        { type: 'text', text: message.content }
+      ]
+    });
+  }
+}
+
+module.exports = { AnthropicProvider };
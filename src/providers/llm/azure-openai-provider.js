@@ -0,0 +1,45 @@
+/**
+ * Azure OpenAI Provider
+ * Chat completions against an Azure OpenAI deployment
+ */
+
+const { OpenAIProvider } = require('./openai-provider');
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(config) {
+    super(config, {
+      apiKey: 'AZURE_OPENAI_API_KEY',
+      endpoint: 'AZURE_OPENAI_ENDPOINT',
+      deployment: 'AZURE_OPENAI_DEPLOYMENT'
+    });
+  }
+
+  /**
+   * @private
+   */
+  _url() {
+    const { endpoint, deployment, apiVersion } = this.config;
+    return `${endpoint.replace(/\/$/, '')}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+  }
+
+  /**
+   * @private
+   */
+  _headers() {
+    return {
+      'Content-Type': 'application/json',
+      'api-key': this.config.apiKey
+    };
+  }
+
+  /**
+   * The deployment selects the model, so none is sent
+   * @private
+   */
+  _body(request) {
+    const { model, ...body } = super._body(request);
+    return body;
+  }
+}
+
+module.exports = { AzureOpenAIProvider };
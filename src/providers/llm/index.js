@@ -0,0 +1,46 @@
+/**
+ * LLM Client
+ * Shared entry point for every node that calls a language model
+ */
+
+const { getLLMConfig } = require('../../config/llm');
+const { OpenAIProvider } = require('./openai-provider');
+const { AzureOpenAIProvider } = require('./azure-openai-provider');
+const { AnthropicProvider } = require('./anthropic-provider');
+const { MockProvider } = require('./mock-provider');
+
+const PROVIDERS = {
+  openai: (config) => new OpenAIProvider(config),
+  local: (config) => new OpenAIProvider(config, {}),
+  azure: (config) => new AzureOpenAIProvider(config),
+  anthropic: (config) => new AnthropicProvider(config),
+  mock: (config) => new MockProvider(config)
+};
+
+const clients = new Map();
+
+/**
+ * Create a client for an LLM provider
+ *
+ * @param {string} providerName - Provider name, defaults to LLM_PROVIDER
+ * @returns {Object} Provider exposing validateConfig() and complete(request)
+ */
+function createLLMClient(providerName) {
+  const config = getLLMConfig(providerName);
+  return PROVIDERS[config.name](config);
+}
+
+/**
+ * Get the shared client for an LLM provider, creating it on first use
+ */
+function getLLMClient(providerName = process.env.LLM_PROVIDER || 'openai') {
+  if (!clients.has(providerName)) {
+    clients.set(providerName, createLLMClient(providerName));
+  }
+  return clients.get(providerName);
+}
+
+module.exports = {
+  createLLMClient,
+  getLLMClient
+};
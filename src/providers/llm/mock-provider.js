@@ -0,0 +1,288 @@
+/**
+ * Mock Provider
+ * Deterministic offline completions for running the content pipeline without network access
+ *
+ * The response is assembled from the `Label: value` lines of the user
+ * messages (the property facts in a listing prompt, which re-prompts follow),
+ * so the same prompt always produces the same copy. JSON requests get an object shaped by the request
+ * schema, with string fields filled by name (headline, description, ...).
+ * Prompts asking for Spanish get Spanish copy. Requests with images get a
+ * photo analysis whose features come from the image URLs or file names
+ * (e.g. "kitchen-quartz-island.jpg").
+ */
+
+const { truncateWords, truncateChars } = require('../../utils/text');
+
+// Rough token estimate used for usage reporting
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Varied per variant when a schema asks for several descriptions
+const HEADLINE_OPENERS = ['Inviting', 'Move-In Ready', 'Beautifully Kept', 'Spacious', 'Light-Filled'];
+const SPANISH_HEADLINE_OPENERS = ['Encantadora', 'Lista para mudarse:', 'Impecable', 'Amplia', 'Luminosa'];
+
+// Schema fields filled from a differently named part of the listing copy;
+// any other string field gets the description
+const FIELD_SOURCES = {
+  title: 'headline',
+  subject: 'headline',
+  bullets: 'highlights'
+};
+
+// Features "seen" in a photo whose URL or file name matches the pattern
+const PHOTO_FEATURES = {
+  'vaulted ceilings': /vault/,
+  'quartz counters': /quartz/,
+  'granite counters': /granite/,
+  'hardwood floors': /hardwood/,
+  'mountain views': /mountain/,
+  'fireplace': /fireplace/,
+  'stainless steel appliances': /stainless/,
+  'kitchen island': /island/,
+  'walk-in closet': /closet/,
+  'deck': /\bdeck\b/,
+  'patio': /patio/,
+  'pool': /\bpool\b/,
+  'finished basement': /basement/
+};
+
+const PHOTO_ROOMS = {
+  kitchen: /kitchen/,
+  bathroom: /bath/,
+  bedroom: /bed/,
+  'living room': /living|family/,
+  exterior: /exterior|front|yard|back/
+};
+
+class MockProvider {
+  constructor(config) {
+    this.name = config.name;
+    this.config = config;
+  }
+
+  validateConfig() {
+    return true;
+  }
+
+  /**
+   * Same request and response shape as OpenAIProvider.complete
+   */
+  async complete(request) {
+    const prompt = request.messages
+      .filter(message => message.role === 'user')
+      .map(message => message.content)
+      .join('\n');
+    const facts = this._extractFacts(prompt);
+    const text = request.images && request.images.length > 0
+      ? JSON.stringify(this._photoAnalysis(request.images))
+      : request.json
+      ? JSON.stringify(request.schema ? this._fromSchema(request.schema, facts, 'response') : this._listingCopy(facts))
+      : this._listingResponse(this._listingCopy(facts));
+
+    const promptTokens = estimateTokens(request.system) +
+      request.messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+    const completionTokens = estimateTokens(text);
+
+    return {
+      text,
+      provider: this.name,
+      model: this.config.model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      },
+      latencyMs: 0
+    };
+  }
+
+  /**
+   * Collect `Label: value` lines keyed by lower-cased label
+   * @private
+   */
+  _extractFacts(prompt) {
+    const facts = {};
+
+    const language = prompt.match(/write natively in [A-Za-z]+ \(([a-z]{2})-/);
+    facts.language = language ? language[1] : 'en';
+
+    for (const line of prompt.split('\n')) {
+      const match = line.match(/^([A-Za-z][A-Za-z ]+):\s*(.+)$/);
+      if (match) {
+        facts[match[1].trim().toLowerCase()] = match[2].trim();
+      }
+    }
+
+    return facts;
+  }
+
+  /**
+   * @private
+   */
+  _listingCopy(facts, variant = 0) {
+    const type = facts['property type'] || 'home';
+    const bedrooms = facts['bedrooms'] || 'several';
+    const bathrooms = facts['bathrooms'] || 'multiple';
+    const place = facts['neighborhood'] || facts['address'] || 'a great location';
+    const features = facts['key features'] ? facts['key features'].split(',').map(item => item.trim()) : [];
+
+    if (facts.language === 'es') {
+      return this._spanishListingCopy(facts, variant, { type, bedrooms, bathrooms, place, features });
+    }
+
+    const description = [
+      `Welcome to ${facts['address'] || 'your next home'}.`,
+      `This ${bedrooms}-bedroom, ${bathrooms}-bath ${type} offers ${facts['square footage'] || 'generous'} of living space in ${place}.`,
+      features.length > 0 ? `Highlights include ${features.join(', ')}.` : 'Thoughtful details fill every room.',
+      `Offered at ${facts['price'] || 'an attractive price'}, it is ready for its next owners.`,
+      'Schedule your private showing today.'
+    ].join(' ');
+
+    const highlights = [
+      `${bedrooms} bedrooms and ${bathrooms} bathrooms`,
+      ...features,
+      `Located in ${place}`
+    ].slice(0, 5);
+
+    const hashtags = [
+      '#JustListed',
+      '#HomeForSale',
+      `#${place.replace(/[^A-Za-z0-9]/g, '')}`,
+      `#${type.replace(/[^A-Za-z0-9]/g, '')}ForSale`,
+      '#RealEstate',
+      '#NewListing',
+      '#HouseHunting',
+      '#OpenHouse'
+    ];
+
+    return {
+      hashtags,
+      headline: `${HEADLINE_OPENERS[variant % HEADLINE_OPENERS.length]} ${bedrooms}-Bedroom ${type} in ${place}`,
+      description,
+      highlights
+    };
+  }
+
+  /**
+   * @private
+   */
+  _spanishListingCopy(facts, variant, { type, bedrooms, bathrooms, place, features }) {
+    const description = [
+      `Bienvenido a ${facts['address'] || 'su próximo hogar'}.`,
+      `Esta ${type} de ${bedrooms} recámaras y ${bathrooms} baños ofrece ${facts['square footage'] || 'amplio espacio'} de espacio habitable en ${place}.`,
+      features.length > 0 ? `Entre sus atractivos: ${features.join(', ')}.` : 'Cada espacio está cuidado al detalle.',
+      `Se ofrece en ${facts['price'] || 'un precio atractivo'} y está lista para sus nuevos dueños.`,
+      'Programe hoy su visita privada.'
+    ].join(' ');
+
+    return {
+      hashtags: ['#EnVenta', '#CasaEnVenta', `#${place.replace(/[^A-Za-z0-9]/g, '')}`, '#BienesRaices', '#NuevoListado', '#CasaNueva', '#OpenHouse', '#Hogar'],
+      headline: `${SPANISH_HEADLINE_OPENERS[variant % SPANISH_HEADLINE_OPENERS.length]} ${type} de ${bedrooms} recámaras en ${place}`,
+      description,
+      highlights: [
+        `${bedrooms} recámaras y ${bathrooms} baños`,
+        ...features,
+        `Ubicada en ${place}`
+      ].slice(0, 5)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _listingResponse(copy) {
+    return [
+      `HEADLINE: ${copy.headline}`,
+      `DESCRIPTION: ${copy.description}`,
+      'HIGHLIGHTS:',
+      ...copy.highlights.map(highlight => `- ${highlight}`)
+    ].join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _photoAnalysis(images) {
+    const photos = images.map((image, index) => {
+      const source = decodeURIComponent(image.url || image.name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ');
+      const room = Object.keys(PHOTO_ROOMS).find(name => PHOTO_ROOMS[name].test(source)) || 'other';
+
+      return {
+        index,
+        room,
+        features: Object.keys(PHOTO_FEATURES).filter(feature => PHOTO_FEATURES[feature].test(source))
+      };
+    });
+
+    return {
+      photos,
+      features: [...new Set(photos.flatMap(photo => photo.features))]
+    };
+  }
+
+  /**
+   * Build a value that satisfies the schema from the listing copy.
+   * Each object in an array is filled from a different variant of the copy.
+   * @private
+   */
+  _fromSchema(schema, facts, key, variant = 0) {
+    const copy = this._listingCopy(facts, variant);
+    const source = FIELD_SOURCES[key] || key;
+
+    switch (schema.type) {
+      case 'object': {
+        const value = {};
+        for (const [name, childSchema] of Object.entries(schema.properties || {})) {
+          value[name] = this._fromSchema(childSchema, facts, name, variant);
+        }
+        return value;
+      }
+
+      case 'array': {
+        const items = schema.items || { type: 'string' };
+
+        if (items.type !== 'string') {
+          const count = schema.minItems || 1;
+          return Array.from({ length: count }, (_, index) => this._fromSchema(items, facts, key, variant + index));
+        }
+
+        const pool = Array.isArray(copy[source]) && copy[source].length > 0 ? copy[source] : copy.highlights;
+        const count = Math.min(Math.max(pool.length, schema.minItems || 1), schema.maxItems || pool.length);
+        return Array.from({ length: count }, (_, index) => this._fitString(pool[index % pool.length], items));
+      }
+
+      case 'string':
+        if (schema.enum) {
+          return schema.enum[0];
+        }
+        return this._fitString(typeof copy[source] === 'string' ? copy[source] : copy.description, schema);
+
+      case 'number':
+      case 'integer':
+        return 0;
+
+      case 'boolean':
+        return true;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _fitString(text, schema) {
+    let value = text;
+
+    if (schema.maxWords) {
+      value = truncateWords(value, schema.maxWords);
+    }
+    if (schema.maxLength) {
+      value = truncateChars(value, schema.maxLength);
+    }
+
+    return value;
+  }
+}
+
+module.exports = { MockProvider };
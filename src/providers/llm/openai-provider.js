@@ -0,0 +1,133 @@
+/**
+ * OpenAI Provider
+ * Chat completions against OpenAI or any OpenAI-compatible server
+ */
+
+const axios = require('axios');
+
+class OpenAIProvider {
+  /**
+   * @param {Object} config - Provider settings from config/llm
+   * @param {Object} requiredSettings - Setting name -> environment variable that must provide it
+   */
+  constructor(config, requiredSettings = { apiKey: 'OPENAI_API_KEY' }) {
+    this.name = config.name;
+    this.config = config;
+    this.requiredSettings = requiredSettings;
+  }
+
+  /**
+   * Throw if a setting the provider cannot work without is missing
+   */
+  validateConfig() {
+    for (const [setting, variable] of Object.entries(this.requiredSettings)) {
+      if (!this.config[setting]) {
+        throw new Error(`${variable} environment variable is not set`);
+      }
+    }
+  }
+
+  /**
+   * Run a chat completion
+   *
+   * @param {Object} request
+   * @param {string} request.system - System prompt
+   * @param {Array<Object>} request.messages - Conversation ({ role, content })
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Completion token limit (provider default when omitted)
+   * @param {boolean} request.json - Ask for a JSON object response
+   * @param {Object} request.schema - JSON Schema the response should follow (described in the prompt)
+   * @param {Array<Object>} request.images - Images attached to the first user message, each
+   *   { url } or { data, mediaType, name } with base64 data; needs a vision-capable model
+   * @returns {Object} { text, provider, model, usage, latencyMs }
+   */
+  async complete(request) {
+    const started = Date.now();
+
+    const response = await axios.post(this._url(), this._body(request), {
+      headers: this._headers(),
+      timeout: this.config.timeout
+    });
+
+    const data = response.data;
+    const usage = data.usage || {};
+
+    return {
+      text: data.choices[0].message.content.trim(),
+      provider: this.name,
+      model: data.model || this.config.model,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      },
+      latencyMs: Date.now() - started
+    };
+  }
+
+  /**
+   * @private
+   */
+  _url() {
+    return `${this.config.baseUrl.replace(/\/$/, '')}/chat/completions`;
+  }
+
+  /**
+   * @private
+   */
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * @private
+   */
+  _body(request) {
+    const body = {
+      model: this.config.model,
+      messages: [
+        { role: 'system', content: request.system },
+        ...this._messages(request)
+      ],
+      temperature: request.temperature !== undefined ? request.temperature : 0.7,
+      max_tokens: request.maxTokens || this.config.maxTokens
+    };
+
+    if (request.json && this.config.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  /**
+   * Conversation with the request's images added to the first user message
+   * @private
+   */
+  _messages(request) {
+    if (!request.images || request.images.length === 0) {
+      return request.messages;
+    }
+
+    const first = request.messages.findIndex(message => message.role === 'user');
+
+    return request.messages.map((message, index) => index !== first ? message : {
+      role: message.role,
+      content: [
+        { type: 'text', text: message.content },
+        ...request.images.map(image => ({
+          type: 'image_url',
+          image_url: { url: image.url || `data:${image.mediaType};base64,${image.data}` }
+        }))
+      ]
+    });
+  }
+}
+
+module.exports = { OpenAIProvider };
@@ -0,0 +1,96 @@
+/**
+ * Agent Profile API Routes
+ * Manage the brand voice profiles copy generation selects by agentId
+ */
+
+const express = require('express');
+const { AGENT_ID_PATTERN } = require('../utils/agent-profile');
+const { sendError } = require('../utils/http-error');
+
+/**
+ * Build the /api/agents router
+ *
+ * @param {AgentProfileStore} agents - Initialized agent profile store
+ * @returns {express.Router}
+ */
+function createAgentRouter(agents) {
+  const router = express.Router();
+
+  router.param('agentId', (req, res, next, agentId) => {
+    if (!AGENT_ID_PATTERN.test(agentId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid agent ID: ${agentId}`
+      });
+    }
+    next();
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      const profiles = await agents.list();
+
+      res.json({
+        success: true,
+        agents: profiles
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/agents', error);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const agent = await agents.create(req.body);
+
+      res.status(201).json({
+        success: true,
+        agent
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/agents', error);
+    }
+  });
+
+  router.get('/:agentId', async (req, res) => {
+    try {
+      const agent = await agents.get(req.params.agentId);
+
+      res.json({
+        success: true,
+        agent
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/agents/:agentId', error);
+    }
+  });
+
+  router.patch('/:agentId', async (req, res) => {
+    try {
+      const agent = await agents.update(req.params.agentId, req.body);
+
+      res.json({
+        success: true,
+        agent
+      });
+    } catch (error) {
+      sendError(res, 'PATCH /api/agents/:agentId', error);
+    }
+  });
+
+  router.delete('/:agentId', async (req, res) => {
+    try {
+      await agents.delete(req.params.agentId);
+
+      res.json({
+        success: true
+      });
+    } catch (error) {
+      sendError(res, 'DELETE /api/agents/:agentId', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAgentRouter };
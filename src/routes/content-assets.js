@@ -0,0 +1,134 @@
+/**
+ * Content Asset API Routes
+ * Review, edit and approve generated copy, and read the approved copy per channel
+ */
+
+const express = require('express');
+const { sendError } = require('../utils/http-error');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Build the /api/content-assets router
+ *
+ * @param {ContentLibrary} library - Initialized content library
+ * @returns {express.Router}
+ */
+function createContentAssetRouter(library) {
+  const router = express.Router();
+
+  router.param('assetId', (req, res, next, assetId) => {
+    if (!UUID_PATTERN.test(assetId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid asset ID: ${assetId}`
+      });
+    }
+    next();
+  });
+
+  // List assets with optional propertyId/channel/language/status filters
+  router.get('/', async (req, res) => {
+    try {
+      const rows = await library.list({
+        propertyId: req.query.propertyId,
+        channel: req.query.channel,
+        language: req.query.language,
+        status: req.query.status,
+        limit: req.query.limit,
+        offset: req.query.offset
+      });
+
+      res.json({
+        success: true,
+        assets: rows
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/content-assets', error);
+    }
+  });
+
+  // Current approved asset per channel for a property: ?propertyId=&language=&channel=
+  router.get('/approved', async (req, res) => {
+    try {
+      if (!req.query.propertyId) {
+        return res.status(400).json({
+          success: false,
+          error: 'propertyId is required'
+        });
+      }
+
+      const options = { language: req.query.language || 'en', channel: req.query.channel };
+      const approved = await library.getApproved(req.query.propertyId, options);
+
+      res.json({
+        success: true,
+        propertyId: req.query.propertyId,
+        language: options.language,
+        ...(options.channel ? { asset: approved } : { channels: approved })
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/content-assets/approved', error);
+    }
+  });
+
+  // An asset with its revisions
+  router.get('/:assetId', async (req, res) => {
+    try {
+      const asset = await library.get(req.params.assetId);
+
+      res.json({
+        success: true,
+        asset
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/content-assets/:assetId', error);
+    }
+  });
+
+  // Edit the copy: { content, editedBy, note }
+  router.patch('/:assetId', async (req, res) => {
+    try {
+      const asset = await library.edit(req.params.assetId, req.body || {});
+
+      res.json({
+        success: true,
+        asset
+      });
+    } catch (error) {
+      sendError(res, 'PATCH /api/content-assets/:assetId', error);
+    }
+  });
+
+  // Approve as the channel's current copy: { decidedBy, note, override }
+  router.post('/:assetId/approve', async (req, res) => {
+    try {
+      const asset = await library.approve(req.params.assetId, req.body || {});
+
+      res.json({
+        success: true,
+        asset
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/content-assets/:assetId/approve', error);
+    }
+  });
+
+  // Reject: { decidedBy, note }
+  router.post('/:assetId/reject', async (req, res) => {
+    try {
+      const asset = await library.reject(req.params.assetId, req.body || {});
+
+      res.json({
+        success: true,
+        asset
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/content-assets/:assetId/reject', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createContentAssetRouter };
@@ -0,0 +1,109 @@
+/**
+ * Description Batch API Routes
+ * Queue listing description generation for many properties and track the batch
+ */
+
+const express = require('express');
+const { sendError } = require('../utils/http-error');
+
+const DOWNLOAD_FORMATS = ['json', 'csv'];
+
+/**
+ * Build the /api/description-batches router
+ *
+ * @param {DescriptionBatchRunner} batches - Initialized batch runner
+ * @returns {express.Router}
+ */
+function createDescriptionBatchRouter(batches) {
+  const router = express.Router();
+
+  router.param('batchId', (req, res, next, batchId) => {
+    if (!/^\d+$/.test(batchId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid batch ID: ${batchId}`
+      });
+    }
+    next();
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      const rows = await batches.listBatches({ limit: req.query.limit });
+
+      res.json({
+        success: true,
+        batches: rows
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/description-batches', error);
+    }
+  });
+
+  // Create a batch; generation runs in the background
+  router.post('/', async (req, res) => {
+    try {
+      const batch = await batches.createBatch({
+        items: req.body.items,
+        options: req.body.options || {}
+      });
+
+      res.status(202).json({
+        success: true,
+        batchId: batch.id,
+        statusUrl: `${req.baseUrl}/${batch.id}`,
+        batch
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/description-batches', error);
+    }
+  });
+
+  // Progress and per-item status
+  router.get('/:batchId', async (req, res) => {
+    try {
+      const batch = await batches.getBatch(req.params.batchId);
+
+      res.json({
+        success: true,
+        batch
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/description-batches/:batchId', error);
+    }
+  });
+
+  // Download results as JSON (default) or CSV (?format=csv)
+  router.get('/:batchId/results', async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+
+      if (!DOWNLOAD_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of ${DOWNLOAD_FORMATS.join(', ')}`
+        });
+      }
+
+      const filename = `description-batch-${req.params.batchId}.${format}`;
+      res.attachment(filename);
+
+      if (format === 'csv') {
+        return res.type('text/csv').send(await batches.getResultsCsv(req.params.batchId));
+      }
+
+      res.json({
+        success: true,
+        batchId: parseInt(req.params.batchId),
+        items: await batches.getResults(req.params.batchId)
+      });
+    } catch (error) {
+      res.removeHeader('Content-Disposition');
+      sendError(res, 'GET /api/description-batches/:batchId/results', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDescriptionBatchRouter };
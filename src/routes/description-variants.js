@@ -0,0 +1,96 @@
+/**
+ * Description Variant API Routes
+ * Review generated description variants and record which were selected or rejected
+ */
+
+const express = require('express');
+const { sendError } = require('../utils/http-error');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Build the /api/description-variants router
+ *
+ * @param {DescriptionVariantStore} variants - Initialized variant store
+ * @returns {express.Router}
+ */
+function createDescriptionVariantRouter(variants) {
+  const router = express.Router();
+
+  router.param('variantId', (req, res, next, variantId) => {
+    if (!UUID_PATTERN.test(variantId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid variant ID: ${variantId}`
+      });
+    }
+    next();
+  });
+
+  // List variants with optional propertyId/generationId/status/channel/language filters
+  router.get('/', async (req, res) => {
+    try {
+      const rows = await variants.list({
+        propertyId: req.query.propertyId,
+        generationId: req.query.generationId,
+        status: req.query.status,
+        channel: req.query.channel,
+        language: req.query.language,
+        limit: req.query.limit,
+        offset: req.query.offset
+      });
+
+      res.json({
+        success: true,
+        variants: rows
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/description-variants', error);
+    }
+  });
+
+  router.get('/:variantId', async (req, res) => {
+    try {
+      const variant = await variants.get(req.params.variantId);
+
+      res.json({
+        success: true,
+        variant
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/description-variants/:variantId', error);
+    }
+  });
+
+  // Select a variant, optionally for a channel: { channel, decidedBy, note }
+  router.post('/:variantId/select', async (req, res) => {
+    try {
+      const variant = await variants.select(req.params.variantId, req.body || {});
+
+      res.json({
+        success: true,
+        variant
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/description-variants/:variantId/select', error);
+    }
+  });
+
+  // Reject a variant: { decidedBy, note }
+  router.post('/:variantId/reject', async (req, res) => {
+    try {
+      const variant = await variants.reject(req.params.variantId, req.body || {});
+
+      res.json({
+        success: true,
+        variant
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/description-variants/:variantId/reject', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDescriptionVariantRouter };
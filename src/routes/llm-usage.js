@@ -0,0 +1,63 @@
+/**
+ * LLM Usage API Routes
+ * Report LLM spend and tokens, and check the monthly budget
+ */
+
+const express = require('express');
+const { sendError } = require('../utils/http-error');
+
+/**
+ * Build the /api/llm-usage router
+ *
+ * @param {LLMUsageTracker} usage - Initialized usage tracker
+ * @returns {express.Router}
+ */
+function createLLMUsageRouter(usage) {
+  const router = express.Router();
+
+  // Spend grouped by day, property, node, workflow, agent or model,
+  // with optional from/to/propertyId/nodeId filters
+  router.get('/report', async (req, res) => {
+    try {
+      const groupBy = req.query.groupBy || 'day';
+      const rows = await usage.report({
+        groupBy,
+        from: req.query.from,
+        to: req.query.to,
+        propertyId: req.query.propertyId,
+        nodeId: req.query.nodeId
+      });
+
+      const totals = rows.reduce((sum, row) => ({
+        calls: sum.calls + row.calls,
+        totalTokens: sum.totalTokens + row.total_tokens,
+        estimatedCost: sum.estimatedCost + row.estimated_cost
+      }), { calls: 0, totalTokens: 0, estimatedCost: 0 });
+
+      res.json({
+        success: true,
+        groupBy,
+        currency: 'USD',
+        totals: { ...totals, estimatedCost: Number(totals.estimatedCost.toFixed(6)) },
+        rows
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/llm-usage/report', error);
+    }
+  });
+
+  router.get('/budget', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        budget: await usage.getBudgetStatus()
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/llm-usage/budget', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLLMUsageRouter };
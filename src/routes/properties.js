@@ -0,0 +1,132 @@
+/**
+ * Property API Routes
+ * Manage property records and see the workflows and copy produced for each
+ */
+
+const express = require('express');
+const { PROPERTY_ID_PATTERN } = require('../utils/property-record');
+const { sendError } = require('../utils/http-error');
+
+/**
+ * Build the /api/properties router
+ *
+ * @param {PropertyStore} properties - Initialized property store
+ * @returns {express.Router}
+ */
+function createPropertyRouter(properties) {
+  const router = express.Router();
+
+  router.param('propertyId', (req, res, next, propertyId) => {
+    if (!PROPERTY_ID_PATTERN.test(propertyId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid property ID: ${propertyId}`
+      });
+    }
+    next();
+  });
+
+  // List properties with optional status/agentId filters
+  router.get('/', async (req, res) => {
+    try {
+      const rows = await properties.list({
+        status: req.query.status,
+        agentId: req.query.agentId,
+        limit: req.query.limit,
+        offset: req.query.offset
+      });
+
+      res.json({
+        success: true,
+        properties: rows
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/properties', error);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const property = await properties.create(req.body);
+
+      res.status(201).json({
+        success: true,
+        property
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/properties', error);
+    }
+  });
+
+  // A property with its price history
+  router.get('/:propertyId', async (req, res) => {
+    try {
+      const property = await properties.get(req.params.propertyId);
+
+      res.json({
+        success: true,
+        property,
+        priceHistory: await properties.getPriceHistory(req.params.propertyId)
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/properties/:propertyId', error);
+    }
+  });
+
+  router.patch('/:propertyId', async (req, res) => {
+    try {
+      const property = await properties.update(req.params.propertyId, req.body);
+
+      res.json({
+        success: true,
+        property
+      });
+    } catch (error) {
+      sendError(res, 'PATCH /api/properties/:propertyId', error);
+    }
+  });
+
+  router.delete('/:propertyId', async (req, res) => {
+    try {
+      await properties.delete(req.params.propertyId);
+
+      res.json({
+        success: true
+      });
+    } catch (error) {
+      sendError(res, 'DELETE /api/properties/:propertyId', error);
+    }
+  });
+
+  // Every workflow (campaign) run for the property
+  router.get('/:propertyId/workflows', async (req, res) => {
+    try {
+      const workflows = await properties.listWorkflows(req.params.propertyId);
+
+      res.json({
+        success: true,
+        workflows
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/properties/:propertyId/workflows', error);
+    }
+  });
+
+  // Every content asset written for the property
+  router.get('/:propertyId/content', async (req, res) => {
+    try {
+      const content = await properties.listContent(req.params.propertyId);
+
+      res.json({
+        success: true,
+        content
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/properties/:propertyId/content', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPropertyRouter };
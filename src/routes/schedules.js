@@ -0,0 +1,101 @@
+/**
+ * Schedule API Routes
+ * Manage recurring and one-off workflow schedules
+ */
+
+const express = require('express');
+const { sendError } = require('../utils/http-error');
+
+/**
+ * Build the /api/schedules router
+ *
+ * @param {WorkflowScheduler} scheduler - Started scheduler instance
+ * @returns {express.Router}
+ */
+function createScheduleRouter(scheduler) {
+  const router = express.Router();
+
+  router.param('id', (req, res, next, id) => {
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid schedule ID: ${id}`
+      });
+    }
+    next();
+  });
+
+  // List schedules with optional propertyId/workflowType/enabled filters
+  router.get('/', async (req, res) => {
+    try {
+      const schedules = await scheduler.listSchedules({
+        propertyId: req.query.propertyId,
+        workflowType: req.query.workflowType,
+        enabled: req.query.enabled
+      });
+
+      res.json({
+        success: true,
+        schedules
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/schedules', error);
+    }
+  });
+
+  // Create a recurring (cronExpression) or one-off (runAt) schedule
+  router.post('/', async (req, res) => {
+    try {
+      const schedule = await scheduler.createSchedule(req.body);
+
+      res.status(201).json({
+        success: true,
+        schedule
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/schedules', error);
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const schedule = await scheduler.getSchedule(req.params.id);
+
+      res.json({
+        success: true,
+        schedule
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/schedules/:id', error);
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      const schedule = await scheduler.updateSchedule(req.params.id, req.body);
+
+      res.json({
+        success: true,
+        schedule
+      });
+    } catch (error) {
+      sendError(res, 'PATCH /api/schedules/:id', error);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await scheduler.deleteSchedule(req.params.id);
+
+      res.json({
+        success: true
+      });
+    } catch (error) {
+      sendError(res, 'DELETE /api/schedules/:id', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createScheduleRouter };
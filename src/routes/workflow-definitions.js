@@ -0,0 +1,111 @@
+/**
+ * Workflow Definition API Routes
+ * Manage the versioned workflow definitions that workflows are created from
+ */
+
+const express = require('express');
+const { parseWorkflowDefinition } = require('../utils/workflow-definition');
+const { sendError } = require('../utils/http-error');
+
+const YAML_TYPES = ['application/x-yaml', 'application/yaml', 'text/yaml'];
+
+/**
+ * Build the /api/workflow-definitions router
+ *
+ * @param {WorkflowDefinitionStore} definitions - Definition store of the orchestrator
+ * @returns {express.Router}
+ */
+function createWorkflowDefinitionRouter(definitions) {
+  const router = express.Router();
+
+  // YAML documents arrive as text; JSON bodies are parsed by the app middleware
+  router.use(express.text({ type: YAML_TYPES }));
+
+  // Latest version of every definition
+  router.get('/', async (req, res) => {
+    try {
+      const rows = await definitions.list();
+
+      res.json({
+        success: true,
+        definitions: rows
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/workflow-definitions', error);
+    }
+  });
+
+  // Validate and save a definition as the next version of its name
+  router.post('/', async (req, res) => {
+    try {
+      let definition = req.body;
+
+      if (typeof req.body === 'string') {
+        try {
+          definition = parseWorkflowDefinition(req.body, 'yaml');
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid YAML: ${error.message}`
+          });
+        }
+      }
+
+      const saved = await definitions.save(definition);
+
+      res.status(201).json({
+        success: true,
+        definition: saved
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/workflow-definitions', error);
+    }
+  });
+
+  // A definition by name; latest version unless ?version= is given
+  router.get('/:name', async (req, res) => {
+    try {
+      const version = req.query.version ? parseInt(req.query.version) : null;
+      const definition = await definitions.get(req.params.name, version);
+
+      if (!definition) {
+        return res.status(404).json({
+          success: false,
+          error: `Workflow definition ${req.params.name} not found`
+        });
+      }
+
+      res.json({
+        success: true,
+        definition
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/workflow-definitions/:name', error);
+    }
+  });
+
+  // Every version of a definition, newest first
+  router.get('/:name/versions', async (req, res) => {
+    try {
+      const versions = await definitions.listVersions(req.params.name);
+
+      if (versions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `Workflow definition ${req.params.name} not found`
+        });
+      }
+
+      res.json({
+        success: true,
+        versions
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/workflow-definitions/:name/versions', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWorkflowDefinitionRouter };
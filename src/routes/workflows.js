@@ -0,0 +1,161 @@
+/**
+ * Workflow API Routes
+ * Create, inspect, approve, cancel and resume workflows run by the Workflow Orchestrator
+ */
+
+const express = require('express');
+const { sendError } = require('../utils/http-error');
+
+/**
+ * Build the /api/workflows router
+ *
+ * @param {WorkflowOrchestrator} orchestrator - Initialized orchestrator instance
+ * @returns {express.Router}
+ */
+function createWorkflowRouter(orchestrator) {
+  const router = express.Router();
+
+  router.param('id', (req, res, next, id) => {
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid workflow ID: ${id}`
+      });
+    }
+    next();
+  });
+
+  // Create and start a workflow
+  router.post('/', async (req, res) => {
+    try {
+      const { propertyId, input } = req.body;
+      const workflowType = req.body.workflowType || 'full_listing';
+
+      if (!propertyId) {
+        return res.status(400).json({
+          success: false,
+          error: 'propertyId is required'
+        });
+      }
+
+      const { version } = req.body;
+
+      if (version !== undefined && version !== null && !/^[1-9]\d{0,8}$/.test(String(version))) {
+        return res.status(400).json({
+          success: false,
+          error: `version must be a positive integer (got ${JSON.stringify(version)})`
+        });
+      }
+
+      const { workflowId, created } = await orchestrator.createWorkflow(propertyId, workflowType, input || {}, {
+        version: version !== undefined && version !== null ? parseInt(version) : null,
+        idempotencyKey: req.get('Idempotency-Key') || req.body.idempotencyKey
+      });
+
+      // 200 with the existing workflow when this request is a duplicate
+      res.status(created ? 201 : 200).json({
+        success: true,
+        workflowId,
+        created
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/workflows', error);
+    }
+  });
+
+  // List workflows with optional status/property/type filters
+  router.get('/', async (req, res) => {
+    try {
+      const result = await orchestrator.listWorkflows({
+        status: req.query.status,
+        propertyId: req.query.propertyId,
+        type: req.query.type,
+        limit: req.query.limit,
+        offset: req.query.offset
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/workflows', error);
+    }
+  });
+
+  // Workflow details with its jobs
+  router.get('/:id', async (req, res) => {
+    try {
+      const status = await orchestrator.getWorkflowStatus(req.params.id);
+
+      res.json({
+        success: true,
+        ...status
+      });
+    } catch (error) {
+      sendError(res, 'GET /api/workflows/:id', error);
+    }
+  });
+
+  // Sign off the workflow's pending approval step: { comment, decidedBy, step }
+  router.post('/:id/approve', async (req, res) => {
+    try {
+      const { comment, decidedBy, step } = req.body || {};
+      const status = await orchestrator.decideApproval(req.params.id, 'approved', { comment, decidedBy, step });
+
+      res.json({
+        success: true,
+        ...status
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/workflows/:id/approve', error);
+    }
+  });
+
+  // Reject the pending approval and stop the workflow: { comment (required), decidedBy, step }
+  router.post('/:id/reject', async (req, res) => {
+    try {
+      const { comment, decidedBy, step } = req.body || {};
+      const status = await orchestrator.decideApproval(req.params.id, 'rejected', { comment, decidedBy, step });
+
+      res.json({
+        success: true,
+        ...status
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/workflows/:id/reject', error);
+    }
+  });
+
+  // Stop queued jobs and cancel the workflow
+  router.post('/:id/cancel', async (req, res) => {
+    try {
+      const status = await orchestrator.cancelWorkflow(req.params.id);
+
+      res.json({
+        success: true,
+        ...status
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/workflows/:id/cancel', error);
+    }
+  });
+
+  // Re-run a failed, cancelled or rejected workflow from its failed jobs
+  router.post('/:id/resume', async (req, res) => {
+    try {
+      const status = await orchestrator.resumeWorkflow(req.params.id);
+
+      res.json({
+        success: true,
+        ...status
+      });
+    } catch (error) {
+      sendError(res, 'POST /api/workflows/:id/resume', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWorkflowRouter };
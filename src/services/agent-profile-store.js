@@ -0,0 +1,147 @@
+/**
+ * Agent Profile Store
+ * Brand voice profiles for the agents copy is written for
+ *
+ * A profile holds the agent's voice, signature phrases, phrases they never
+ * use, brokerage disclaimer and contact block. Content nodes load it by
+ * `agentId` and merge it into their prompts and output.
+ */
+
+const { getPool } = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { validateAgentProfile } = require('../utils/agent-profile');
+const logger = require('../utils/logger');
+
+const JSON_COLUMNS = ['signature_phrases', 'banned_phrases'];
+
+class AgentProfileStore {
+  constructor() {
+    this.db = null;
+  }
+
+  initialize() {
+    this.db = getPool();
+  }
+
+  async list() {
+    const result = await this.db.query('SELECT * FROM agent_profiles ORDER BY agent_id ASC');
+    return result.rows;
+  }
+
+  async get(agentId) {
+    const profile = await this.find(agentId);
+
+    if (!profile) {
+      throw createHttpError(404, `Agent profile ${agentId} not found`);
+    }
+
+    return profile;
+  }
+
+  /**
+   * A profile, or null when there is none
+   */
+  async find(agentId) {
+    const result = await this.db.query(
+      'SELECT * FROM agent_profiles WHERE agent_id = $1',
+      [agentId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a profile
+   *
+   * @param {Object} data - Profile fields
+   * @param {string} data.agentId - Identifier used to select the profile (lower-case slug)
+   * @param {string} data.name - Agent name the copy is written as
+   * @param {string} data.brokerage - Brokerage name
+   * @param {string} data.voice - How the agent writes, in plain words
+   * @param {string} data.tone - Tone used when a request does not give one
+   * @param {Array<string>} data.signaturePhrases - Phrases worked into the copy where they fit
+   * @param {Array<string>} data.bannedPhrases - Phrases never used; removed if the model writes them
+   * @param {string} data.disclaimer - Brokerage disclaimer appended to the copy
+   * @param {string} data.contactBlock - Contact details appended where the channel allows them
+   * @returns {Object} Created profile row
+   */
+  async create(data) {
+    const { valid, errors, value } = validateAgentProfile(data);
+
+    if (!valid) {
+      throw createHttpError(400, 'Invalid agent profile', { errors });
+    }
+
+    const columns = Object.keys(value);
+
+    const result = await this.db.query(
+      `INSERT INTO agent_profiles (${columns.join(', ')})
+       VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+       ON CONFLICT (agent_id) DO NOTHING
+       RETURNING *`,
+      columns.map(column => this._param(column, value[column]))
+    );
+
+    if (result.rows.length === 0) {
+      throw createHttpError(409, `Agent profile ${value.agent_id} already exists`);
+    }
+
+    logger.info(`Created agent profile ${value.agent_id}`);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update a profile; fields not given keep their current value and null
+   * clears an optional field
+   */
+  async update(agentId, data) {
+    const { valid, errors, value } = validateAgentProfile(data, { partial: true });
+
+    if (!valid) {
+      throw createHttpError(400, 'Invalid agent profile', { errors });
+    }
+
+    const columns = Object.keys(value);
+
+    if (columns.length === 0) {
+      return await this.get(agentId);
+    }
+
+    const result = await this.db.query(
+      `UPDATE agent_profiles
+       SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE agent_id = $1
+       RETURNING *`,
+      [agentId, ...columns.map(column => this._param(column, value[column]))]
+    );
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Agent profile ${agentId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  async delete(agentId) {
+    const result = await this.db.query(
+      'DELETE FROM agent_profiles WHERE agent_id = $1 RETURNING id',
+      [agentId]
+    );
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Agent profile ${agentId} not found`);
+    }
+
+    logger.info(`Deleted agent profile ${agentId}`);
+  }
+
+  /**
+   * @private
+   */
+  _param(column, value) {
+    return JSON_COLUMNS.includes(column) ? JSON.stringify(value) : value;
+  }
+}
+
+module.exports = { AgentProfileStore };
@@ -0,0 +1,78 @@
+/**
+ * Approval Notifier
+ * Tells the assigned agent that a workflow is waiting for their sign-off
+ *
+ * Every notification is logged and written to system_logs. When
+ * APPROVAL_WEBHOOK_URL is set it is also POSTed there as JSON, so it can be
+ * routed to email, SMS or chat. A notification that cannot be delivered is
+ * logged and never holds up the workflow.
+ */
+
+const axios = require('axios');
+const { getPool } = require('../config/database');
+const logger = require('../utils/logger');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+class ApprovalNotifier {
+  constructor({ webhookUrl = process.env.APPROVAL_WEBHOOK_URL } = {}) {
+    this.db = null;
+    this.webhookUrl = webhookUrl || null;
+  }
+
+  initialize() {
+    this.db = getPool();
+  }
+
+  /**
+   * Notify the recipient of an approval event
+   *
+   * @param {string} event - 'approval_requested' (sent to the assigned agent) or
+   *   'approval_escalated' (sent to the request's escalateTo)
+   * @param {Object} approval - workflow_approvals row
+   * @param {Object} workflow - workflows row the request belongs to
+   */
+  async notify(event, approval, workflow) {
+    const recipient = event === 'approval_escalated' ? approval.escalate_to : approval.assigned_to;
+    const notification = {
+      event,
+      recipient,
+      approvalId: approval.id,
+      workflowId: workflow.id,
+      workflowType: workflow.name,
+      propertyId: workflow.property_id,
+      step: approval.step_name,
+      assignedTo: approval.assigned_to,
+      dueAt: approval.due_at,
+      approveUrl: `/api/workflows/${workflow.id}/approve`,
+      rejectUrl: `/api/workflows/${workflow.id}/reject`
+    };
+    const message = event === 'approval_escalated'
+      ? `Approval of workflow ${workflow.id} (${approval.step_name}) escalated to ${recipient}: no decision from ${approval.assigned_to || 'the assigned agent'}`
+      : `Workflow ${workflow.id} (${approval.step_name}) is waiting for approval from ${recipient || 'an unassigned agent'}`;
+
+    logger.info(message);
+
+    try {
+      await this.db.query(
+        'INSERT INTO system_logs (level, message, metadata) VALUES ($1, $2, $3)',
+        ['notification', message, JSON.stringify(notification)]
+      );
+    } catch (error) {
+      logger.error('Error logging approval notification:', error);
+    }
+
+    if (!this.webhookUrl) {
+      return;
+    }
+
+    try {
+      await axios.post(this.webhookUrl, { ...notification, message }, { timeout: WEBHOOK_TIMEOUT_MS });
+    } catch (error) {
+      const status = error.response ? ` (${error.response.status})` : '';
+      logger.warn(`Approval webhook failed for approval ${approval.id}${status}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { ApprovalNotifier };
@@ -0,0 +1,200 @@
+/**
+ * Approval Store
+ * Sign-off requests opened by approval steps and the decisions taken on them
+ *
+ * An approval step in a workflow definition opens one `pending` request for
+ * its job. The request is approved or rejected through the API (a rejection
+ * needs a comment), or by its timeout, and is cancelled when its workflow is
+ * cancelled or rejected at another step. Resuming a rejected workflow opens a
+ * new request for the same job, so every decision stays on record.
+ */
+
+const { getPool } = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const logger = require('../utils/logger');
+
+class ApprovalStore {
+  constructor() {
+    this.db = null;
+  }
+
+  initialize() {
+    this.db = getPool();
+  }
+
+  /**
+   * Open the pending request of an approval step. Opening it again (e.g. when
+   * the step's job is recovered after a crash) returns the request already open.
+   *
+   * @param {Object} request
+   * @param {number} request.workflowId - Workflow waiting for the sign-off
+   * @param {number} request.jobId - Job of the approval step
+   * @param {string} request.stepName - Name of the approval step
+   * @param {string} request.assignedTo - Agent asked to sign off, if known
+   * @param {number} request.timeoutMinutes - Minutes before onTimeout applies, if any
+   * @param {string} request.onTimeout - 'reject' or 'escalate'
+   * @param {string} request.escalateTo - Who is notified when the request escalates
+   * @param {Object} db - Pool or transaction client to run the queries on
+   * @returns {{ approval: Object, created: boolean }}
+   */
+  async open(request, db = this.db) {
+    const timeoutMinutes = request.timeoutMinutes || null;
+
+    const inserted = await db.query(
+      `INSERT INTO workflow_approvals
+         (workflow_id, job_id, step_name, assigned_to, timeout_minutes, on_timeout, escalate_to, due_at)
+       VALUES ($1, $2, $3, $4, $5::integer, $6, $7,
+               CASE WHEN $5::integer IS NULL THEN NULL
+                    ELSE CURRENT_TIMESTAMP + make_interval(mins => $5::integer) END)
+       ON CONFLICT (job_id) WHERE status = 'pending' DO NOTHING
+       RETURNING *`,
+      [
+        request.workflowId,
+        request.jobId,
+        request.stepName,
+        request.assignedTo || null,
+        timeoutMinutes,
+        timeoutMinutes ? request.onTimeout || 'reject' : null,
+        request.escalateTo || null
+      ]
+    );
+
+    if (inserted.rows.length > 0) {
+      return { approval: inserted.rows[0], created: true };
+    }
+
+    const existing = await db.query(
+      `SELECT * FROM workflow_approvals WHERE job_id = $1 AND status = 'pending'`,
+      [request.jobId]
+    );
+
+    return { approval: existing.rows[0], created: false };
+  }
+
+  /**
+   * Remember the queue job that applies the request's timeout
+   */
+  async setTimeoutJob(approvalId, queueJobId) {
+    await this.db.query(
+      'UPDATE workflow_approvals SET timeout_job_id = $1 WHERE id = $2',
+      [queueJobId, approvalId]
+    );
+  }
+
+  /**
+   * A request, or null when there is none
+   */
+  async find(approvalId) {
+    const result = await this.db.query(
+      'SELECT * FROM workflow_approvals WHERE id = $1',
+      [approvalId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Every request of a workflow, oldest first
+   */
+  async listForWorkflow(workflowId) {
+    const result = await this.db.query(
+      'SELECT * FROM workflow_approvals WHERE workflow_id = $1 ORDER BY created_at ASC, id ASC',
+      [workflowId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * The pending request a decision on a workflow applies to. When approval
+   * steps on parallel branches are waiting at once, `stepName` picks one.
+   */
+  async findPending(workflowId, stepName = null) {
+    const result = await this.db.query(
+      `SELECT * FROM workflow_approvals
+       WHERE workflow_id = $1 AND status = 'pending'
+       ORDER BY id ASC`,
+      [workflowId]
+    );
+
+    const pending = stepName
+      ? result.rows.filter(approval => approval.step_name === stepName)
+      : result.rows;
+
+    if (pending.length === 0) {
+      const label = stepName ? ` at step "${stepName}"` : '';
+      throw createHttpError(404, `Workflow ${workflowId} has no pending approval${label}`);
+    }
+
+    if (pending.length > 1) {
+      throw createHttpError(400, `Workflow ${workflowId} is waiting for approval at steps ` +
+        `${pending.map(approval => `"${approval.step_name}"`).join(', ')}; give the step to decide`);
+    }
+
+    return pending[0];
+  }
+
+  /**
+   * Approve or reject a pending request
+   *
+   * @param {number} approvalId - Request ID
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {Object} details
+   * @param {string} details.decidedBy - Who decided
+   * @param {string} details.comment - Comment for the agent and the audit trail
+   * @returns {Object|null} Decided request, or null when it was no longer pending
+   */
+  async decide(approvalId, decision, { decidedBy = null, comment = null } = {}) {
+    const result = await this.db.query(
+      `UPDATE workflow_approvals
+       SET status = $2, decided_by = $3, comment = $4, decided_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [approvalId, decision, decidedBy, comment]
+    );
+
+    const approval = result.rows[0] || null;
+
+    if (approval) {
+      logger.info(`Approval ${approvalId} (workflow ${approval.workflow_id}, ${approval.step_name}) ${decision} by ${decidedBy || 'unknown'}`);
+    }
+
+    return approval;
+  }
+
+  /**
+   * Mark a pending request as escalated, due another timeout_minutes from now;
+   * null when it was already escalated or decided
+   */
+  async escalate(approvalId) {
+    const result = await this.db.query(
+      `UPDATE workflow_approvals
+       SET escalated_at = CURRENT_TIMESTAMP,
+           due_at = CURRENT_TIMESTAMP + make_interval(mins => timeout_minutes)
+       WHERE id = $1 AND status = 'pending' AND escalated_at IS NULL
+       RETURNING *`,
+      [approvalId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Cancel every pending request of a workflow
+   *
+   * @returns {Array<Object>} Cancelled requests
+   */
+  async cancelPending(workflowId) {
+    const result = await this.db.query(
+      `UPDATE workflow_approvals
+       SET status = 'cancelled', decided_at = CURRENT_TIMESTAMP
+       WHERE workflow_id = $1 AND status = 'pending'
+       RETURNING *`,
+      [workflowId]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = { ApprovalStore };
@@ -0,0 +1,454 @@
+/**
+ * Content Library
+ * Every generated headline, description, caption and post, versioned, with
+ * the approval that lets publishers use it
+ *
+ * One asset is stored per piece of copy: each description variant (channel
+ * `description`) and each channel format's output (mls, facebook, ...). An
+ * asset starts `proposed`; approving it supersedes the asset previously
+ * approved for the same property, channel and language, so there is at most
+ * one current approved asset per channel. Only copy that passed the Fair
+ * Housing check is approved, unless flagged copy is explicitly overridden
+ * with a note. Edits add a revision, re-run the check and send the asset back
+ * to `proposed` for sign-off.
+ *
+ * The approved asset is the copy publishers use. Deciding on a description
+ * asset also decides its description variant while that is still `proposed`,
+ * so variant reports follow the library; a variant selected for an A/B test
+ * keeps its own decision.
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('../config/database');
+const { getMarket } = require('../config/markets');
+const { enforceCompliance } = require('../utils/compliance-checker');
+const { FORMAT_NAMES, getChannelFormat, buildFormatSchema, checkFormatRules } = require('../utils/channel-formatter');
+const { validateSchema } = require('../utils/json-schema');
+const { createHttpError } = require('../utils/http-error');
+const { parsePaging } = require('../utils/paging');
+const logger = require('../utils/logger');
+
+const ASSET_STATUSES = ['proposed', 'approved', 'rejected', 'superseded'];
+const DESCRIPTION_CHANNEL = 'description';
+const CHANNELS = [DESCRIPTION_CHANNEL, ...FORMAT_NAMES];
+
+// Edited long-form descriptions are checked against the generator's limits
+const DESCRIPTION_SCHEMA = {
+  type: 'object',
+  required: ['headline', 'description', 'highlights'],
+  properties: {
+    headline: { type: 'string', minLength: 1, maxLength: 80 },
+    description: { type: 'string', minLength: 1 },
+    highlights: { type: 'array', minItems: 1, maxItems: 5, items: { type: 'string', minLength: 1, maxLength: 120 } }
+  }
+};
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+class ContentLibrary {
+  constructor() {
+    this.db = null;
+  }
+
+  initialize() {
+    this.db = getPool();
+  }
+
+  /**
+   * Store the copy of one generation result (a single language) as assets.
+   * Recording the same result again (e.g. a cached response) adds nothing.
+   *
+   * @param {Object} owner
+   * @param {string} owner.propertyId - Property the copy was written for
+   * @param {number} owner.workflowId - Workflow that wrote it, if any
+   * @param {Object} result - Result of ListingDescriptionGenerator._generate
+   *   (with `variants` or `channels`)
+   * @returns {Array<Object>} Newly stored asset rows
+   */
+  async record({ propertyId, workflowId = null }, result) {
+    const pieces = result.variants
+      ? result.variants.map(variant => ({
+        channel: DESCRIPTION_CHANNEL,
+        label: variant.label,
+        variantId: variant.variantId,
+        content: { headline: variant.headline, description: variant.description, highlights: variant.highlights },
+        compliance: variant.compliance
+      }))
+      : Object.values(result.channels || {}).map(channel => ({
+        channel: channel.format,
+        label: 'A',
+        variantId: null,
+        content: channel.content,
+        compliance: channel.compliance
+      }));
+
+    if (pieces.length === 0) {
+      return [];
+    }
+
+    const { metadata } = result;
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const rows = [];
+      for (const piece of pieces) {
+        const inserted = await client.query(
+          `INSERT INTO content_assets
+             (asset_id, property_id, workflow_id, generation_id, channel, language, label, variant_id,
+              content, compliance, compliance_status, node_id, prompt_version, provider, model, metadata)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+           ON CONFLICT (generation_id, channel, label) DO NOTHING
+           RETURNING *`,
+          [
+            crypto.randomUUID(),
+            String(propertyId),
+            workflowId,
+            result.generationId,
+            piece.channel,
+            metadata.language || 'en',
+            piece.label,
+            piece.variantId,
+            JSON.stringify(piece.content),
+            JSON.stringify(piece.compliance),
+            piece.compliance.status,
+            metadata.nodeId,
+            metadata.promptVersion || null,
+            metadata.provider,
+            metadata.model,
+            JSON.stringify({
+              market: metadata.market,
+              tone: metadata.tone,
+              agent: metadata.agent || null
+            })
+          ]
+        );
+
+        if (inserted.rows.length > 0) {
+          await client.query(
+            `INSERT INTO content_asset_revisions (asset_id, revision, content, compliance, note)
+             VALUES ($1, 1, $2, $3, 'generated')`,
+            [inserted.rows[0].asset_id, JSON.stringify(piece.content), JSON.stringify(piece.compliance)]
+          );
+          rows.push(inserted.rows[0]);
+        }
+      }
+
+      await client.query('COMMIT');
+
+      if (rows.length > 0) {
+        logger.info(`Stored ${rows.length} content asset(s) for property ${propertyId}`);
+      }
+
+      return rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * An asset with every revision, oldest first
+   */
+  async get(assetId) {
+    const result = await this.db.query(
+      'SELECT * FROM content_assets WHERE asset_id = $1',
+      [assetId]
+    );
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Content asset ${assetId} not found`);
+    }
+
+    const revisions = await this.db.query(
+      `SELECT revision, content, compliance, edited_by, note, created_at
+       FROM content_asset_revisions
+       WHERE asset_id = $1
+       ORDER BY revision ASC`,
+      [assetId]
+    );
+
+    return { ...result.rows[0], revisions: revisions.rows };
+  }
+
+  /**
+   * List assets, newest first, filtered by property, channel, language or status
+   */
+  async list(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status && !ASSET_STATUSES.includes(filters.status)) {
+      throw createHttpError(400, `status must be one of ${ASSET_STATUSES.join(', ')}`);
+    }
+
+    for (const [filter, column] of [
+      ['propertyId', 'property_id'],
+      ['channel', 'channel'],
+      ['language', 'language'],
+      ['status', 'status']
+    ]) {
+      if (filters[filter]) {
+        params.push(filters[filter]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { limit, offset } = parsePaging(filters);
+
+    const result = await this.db.query(
+      `SELECT * FROM content_assets ${where}
+       ORDER BY created_at DESC, channel ASC, label ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * The current approved asset of each channel for a property
+   *
+   * @param {string} propertyId - Property ID
+   * @param {Object} options
+   * @param {string} options.language - Language of the copy (default en)
+   * @param {string} options.channel - Only this channel; 404 when it has no approved asset
+   * @returns {Object} Assets keyed by channel, or the one asset when `channel` is given
+   */
+  async getApproved(propertyId, { language = 'en', channel } = {}) {
+    if (channel && !CHANNELS.includes(channel)) {
+      throw createHttpError(400, `channel must be one of ${CHANNELS.join(', ')}`);
+    }
+
+    const result = await this.db.query(
+      `SELECT * FROM content_assets
+       WHERE property_id = $1 AND language = $2 AND status = 'approved'
+       ${channel ? 'AND channel = $3' : ''}
+       ORDER BY channel ASC`,
+      channel ? [propertyId, language, channel] : [propertyId, language]
+    );
+
+    if (channel) {
+      if (result.rows.length === 0) {
+        throw createHttpError(404, `Property ${propertyId} has no approved ${channel} copy in ${language}`);
+      }
+      return result.rows[0];
+    }
+
+    const channels = {};
+    for (const row of result.rows) {
+      channels[row.channel] = row;
+    }
+    return channels;
+  }
+
+  /**
+   * Approve an asset as its channel's current copy
+   *
+   * @param {string} assetId - Asset to approve
+   * @param {Object} decision
+   * @param {string} decision.decidedBy - Who approved
+   * @param {string} decision.note - Why; required with `override`
+   * @param {boolean} decision.override - Approve copy flagged for review by the
+   *   Fair Housing check; copy with prohibited phrases must be edited instead
+   * @returns {Object} Approved asset row
+   */
+  async approve(assetId, decision = {}) {
+    return this._decide(assetId, 'approved', decision);
+  }
+
+  async reject(assetId, decision = {}) {
+    return this._decide(assetId, 'rejected', decision);
+  }
+
+  /**
+   * Edit an asset's copy, adding a revision. Fields not given keep their
+   * current text; the edited copy must still fit the channel's rules.
+   *
+   * @param {string} assetId - Asset to edit
+   * @param {Object} edit
+   * @param {Object} edit.content - Fields to change (e.g. { description } or { post, hashtags })
+   * @param {string} edit.editedBy - Who made the edit
+   * @param {string} edit.note - Why
+   * @returns {Object} Updated asset row, back to `proposed`
+   */
+  async edit(assetId, { content, editedBy = null, note = null } = {}) {
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      throw createHttpError(400, 'content must be an object of the fields to change');
+    }
+
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT * FROM content_assets WHERE asset_id = $1 FOR UPDATE',
+        [assetId]
+      );
+
+      if (current.rows.length === 0) {
+        throw createHttpError(404, `Content asset ${assetId} not found`);
+      }
+
+      const asset = current.rows[0];
+      const edited = { ...asset.content, ...content };
+      const errors = this._contentErrors(asset, content, edited);
+
+      if (errors.length > 0) {
+        throw createHttpError(400, 'Invalid content', { errors });
+      }
+
+      const { compliance } = enforceCompliance(edited, 'annotate');
+      const revision = asset.revision + 1;
+
+      const updated = await client.query(
+        `UPDATE content_assets
+         SET content = $2, compliance = $3, compliance_status = $4, revision = $5, status = 'proposed',
+             decided_by = NULL, decision_note = NULL, decided_at = NULL, compliance_override = FALSE,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE asset_id = $1
+         RETURNING *`,
+        [assetId, JSON.stringify(edited), JSON.stringify(compliance), compliance.status, revision]
+      );
+
+      await client.query(
+        `INSERT INTO content_asset_revisions (asset_id, revision, content, compliance, edited_by, note)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [assetId, revision, JSON.stringify(edited), JSON.stringify(compliance), editedBy, note]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`Content asset ${assetId} edited (revision ${revision})${asset.status === 'approved' ? '; approval withdrawn' : ''}`);
+
+      return updated.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Errors for an edit: unknown fields, the channel's schema and format rules
+   * @private
+   */
+  _contentErrors(asset, changes, edited) {
+    const format = asset.channel === DESCRIPTION_CHANNEL
+      ? null
+      : getChannelFormat(asset.channel, { market: asset.metadata && getMarket(asset.metadata.market) });
+    const schema = format ? buildFormatSchema(format) : DESCRIPTION_SCHEMA;
+
+    const unknown = Object.keys(changes).filter(field => !schema.properties[field]);
+    if (unknown.length > 0) {
+      return [`${asset.channel} copy has no field(s) ${unknown.join(', ')}; expected ${Object.keys(schema.properties).join(', ')}`];
+    }
+
+    return [
+      ...validateSchema(edited, schema, 'content'),
+      ...(format ? checkFormatRules(format, edited) : [])
+    ];
+  }
+
+  /**
+   * Refuse to approve copy that did not pass the Fair Housing check, unless
+   * flagged copy is overridden with a note
+   * @private
+   */
+  _assertOverride(asset, { override, note }) {
+    const flags = ((asset.compliance && asset.compliance.flags) || [])
+      .map(flag => `${flag.field}: "${flag.text}" (${flag.severity}) ${flag.reason}`);
+
+    if (asset.compliance_status === 'non_compliant') {
+      throw createHttpError(409, `Content asset ${asset.asset_id} contains phrases prohibited by Fair Housing ` +
+        'advertising rules; edit the copy before approving it', { errors: flags });
+    }
+
+    if (override !== true || typeof note !== 'string' || note.trim() === '') {
+      throw createHttpError(409, `Content asset ${asset.asset_id} did not pass the Fair Housing check ` +
+        `(${asset.compliance_status || 'not checked'}); edit the copy, or approve with override: true and a note ` +
+        'explaining why it is acceptable', { errors: flags });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _decide(assetId, status, { decidedBy = null, note = null, override = false }) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT * FROM content_assets WHERE asset_id = $1 FOR UPDATE',
+        [assetId]
+      );
+
+      if (current.rows.length === 0) {
+        throw createHttpError(404, `Content asset ${assetId} not found`);
+      }
+
+      const asset = current.rows[0];
+      const overridden = status === 'approved' && asset.compliance_status !== 'compliant';
+
+      if (overridden) {
+        this._assertOverride(asset, { override, note });
+      }
+
+      // The asset approved before this one stays in the library as superseded
+      if (status === 'approved') {
+        await client.query(
+          `UPDATE content_assets
+           SET status = 'superseded', updated_at = CURRENT_TIMESTAMP
+           WHERE property_id = $1 AND channel = $2 AND language = $3
+             AND status = 'approved' AND asset_id <> $4`,
+          [asset.property_id, asset.channel, asset.language, assetId]
+        );
+      }
+
+      const result = await client.query(
+        `UPDATE content_assets
+         SET status = $2, decided_by = $3, decision_note = $4, compliance_override = $5,
+             decided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE asset_id = $1
+         RETURNING *`,
+        [assetId, status, decidedBy, note, overridden]
+      );
+
+      if (asset.variant_id) {
+        await client.query(
+          `UPDATE description_variants
+           SET status = $2, decided_by = $3, decision_note = $4, decided_at = CURRENT_TIMESTAMP
+           WHERE variant_id = $1 AND status = 'proposed'`,
+          [asset.variant_id, status === 'approved' ? 'selected' : 'rejected', decidedBy, note]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      logger.info(`Content asset ${assetId} ${status} (${asset.channel} for property ${asset.property_id})` +
+        `${overridden ? `; Fair Housing ${asset.compliance_status || 'check'} overridden by ${decidedBy || 'unknown'}` : ''}`);
+
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      if (error.code === UNIQUE_VIOLATION) {
+        throw createHttpError(409, 'Another asset was approved for this channel at the same time; try again');
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { ContentLibrary, ASSET_STATUSES, CHANNELS };
@@ -0,0 +1,641 @@
+/**
+ * Description Batch Runner
+ * Writes listing descriptions for many properties in the background
+ *
+ * A batch stores one item per property and feeds them to the `empire-jobs`
+ * queue as named `description-batch-item` jobs. At most BATCH_CONCURRENCY
+ * items of a batch are on the queue or running at a time; each finished item
+ * queues the next one, so a 200-listing onboarding batch cannot crowd out
+ * workflow jobs. Items that fail with a retryable error (rate limits, server
+ * errors) are retried under the generator's retry policy; every other failure
+ * is recorded on the item and the batch carries on. Items left in flight by a
+ * previous process are recovered on startup.
+ */
+
+const { getPool } = require('../config/database');
+const { getJobQueue } = require('../config/redis');
+const { validatePropertyData } = require('../utils/property-validator');
+const { toPropertyData } = require('../utils/property-record');
+const { validateGenerationOptions } = require('../utils/generation-options');
+const { resolveRetryPolicy, classifyError, shouldRetry, getRetryDelay } = require('../utils/retry-policy');
+const { createHttpError } = require('../utils/http-error');
+const { parsePaging } = require('../utils/paging');
+const { toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const BATCH_JOB_NAME = 'description-batch-item';
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+const MAX_BATCH_ITEMS = 500;
+const GENERATOR_STEP = 'master_content_generator';
+
+// Item statuses that still hold a place in the batch's queue window
+const IN_FLIGHT_STATUSES = ['queued', 'running', 'retrying'];
+
+const CSV_COLUMNS = [
+  'item', 'property_id', 'address', 'status', 'language', 'channel', 'variant_id',
+  'headline', 'description', 'highlights', 'seo_keywords', 'error'
+];
+
+class DescriptionBatchRunner {
+  /**
+   * @param {Object} deps
+   * @param {NodeRegistry} deps.registry - Registry the generator is resolved from
+   * @param {AgentProfileStore} deps.agents - Store used to check options.agentId
+   * @param {PropertyStore} deps.properties - Store items with a propertyId are registered in
+   * @param {WorkflowOrchestrator} deps.orchestrator - Owner of the shared queue's processing
+   */
+  constructor({ registry, agents, properties, orchestrator }) {
+    this.registry = registry;
+    this.orchestrator = orchestrator;
+    this.agents = agents;
+    this.properties = properties;
+    this.db = null;
+    this.jobQueue = null;
+  }
+
+  /**
+   * Hand the item handler to the orchestrator, which starts it together with
+   * the workflow handlers. Call before orchestrator.initialize(), and
+   * recoverInFlightItems() once the orchestrator has started.
+   */
+  initialize() {
+    this.db = getPool();
+    this.jobQueue = getJobQueue();
+
+    this.orchestrator.addJobProcessor(BATCH_JOB_NAME, BATCH_CONCURRENCY, async (job) => {
+      return await this.processItem(job);
+    });
+
+    // Items whose worker died or whose queue job failed are recovered by the
+    // same rules as on startup; the queue's other jobs are the orchestrator's
+    this.jobQueue.on('stalled', (job) => {
+      if (job && job.name === BATCH_JOB_NAME) {
+        this.handleInterruptedItem(job, 'stalled in queue');
+      }
+    });
+    this.jobQueue.on('failed', (job, error) => {
+      if (job && job.name === BATCH_JOB_NAME) {
+        this.handleInterruptedItem(job, `failed in queue: ${error && error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Create a batch and queue its first items
+   *
+   * Items whose propertyData is invalid are recorded as failed straight away
+   * with the validation errors; the rest of the batch still runs. An item with
+   * a propertyId may leave out propertyData to use the stored property's, and
+   * a property not yet stored is registered from its propertyData.
+   *
+   * @param {Object} data
+   * @param {Array<Object>} data.items - { propertyId, propertyData } per property
+   * @param {Object} data.options - Generation options applied to every item
+   * @returns {Object} Batch summary (see getBatch)
+   */
+  async createBatch({ items, options = {} }) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw createHttpError(400, 'items must be a non-empty array of { propertyId, propertyData }');
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      throw createHttpError(400, `A batch may have at most ${MAX_BATCH_ITEMS} items`);
+    }
+
+    const optionErrors = validateGenerationOptions(options);
+
+    if (optionErrors.length === 0 && options.agentId !== undefined && !(await this.agents.find(options.agentId))) {
+      optionErrors.push(`Unknown agent "${options.agentId}"`);
+    }
+    if (optionErrors.length > 0) {
+      throw createHttpError(400, 'Invalid options', { errors: optionErrors });
+    }
+
+    const prepared = [];
+    for (const item of items) {
+      prepared.push(await this._prepareItem(item || {}));
+    }
+
+    const client = await this.db.connect();
+    let batchId;
+
+    try {
+      await client.query('BEGIN');
+
+      const batch = await client.query(
+        `INSERT INTO description_batches (options, total_items)
+         VALUES ($1, $2)
+         RETURNING id`,
+        [JSON.stringify(options), items.length]
+      );
+      batchId = batch.rows[0].id;
+
+      for (const [index, item] of prepared.entries()) {
+        const { propertyId, propertyData, valid, error, errors, value } = item;
+
+        await client.query(
+          `INSERT INTO description_batch_items
+             (batch_id, item_index, property_id, property_data, status, error, errors, completed_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, ${valid ? 'NULL' : 'CURRENT_TIMESTAMP'})`,
+          [
+            batchId,
+            index,
+            propertyId !== null ? String(propertyId) : null,
+            JSON.stringify(valid ? value : propertyData || null),
+            valid ? 'pending' : 'failed',
+            valid ? null : error,
+            valid ? null : JSON.stringify(errors)
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info(`Created description batch ${batchId} with ${items.length} items`);
+
+    await this.enqueueNextItems(batchId);
+    await this.completeBatchIfDone(batchId);
+
+    return await this.getBatch(batchId);
+  }
+
+  /**
+   * Validate an item and make sure its property is stored
+   * @private
+   */
+  async _prepareItem({ propertyId = null, propertyData }) {
+    const id = propertyId !== null ? String(propertyId) : null;
+    let data = propertyData;
+
+    if (!data && id !== null) {
+      const property = await this.properties.find(id);
+      data = property ? toPropertyData(property) : null;
+    }
+
+    const { valid, errors, value } = data
+      ? validatePropertyData(data)
+      : { valid: false, errors: [id !== null ? `Unknown property "${id}" and no propertyData given` : 'propertyData is required'] };
+
+    if (!valid) {
+      return { propertyId: id, propertyData: data, valid, error: 'Invalid propertyData', errors };
+    }
+
+    if (id !== null) {
+      try {
+        await this.properties.ensure(id, value);
+      } catch (error) {
+        if (error.statusCode !== 400) {
+          throw error;
+        }
+        return { propertyId: id, propertyData: data, valid: false, error: error.message, errors: error.errors || [error.message] };
+      }
+    }
+
+    return { propertyId: id, propertyData: data, valid, value };
+  }
+
+  /**
+   * Move pending items onto the queue until the batch has BATCH_CONCURRENCY
+   * items in flight. The batch row is locked so concurrent finishers cannot
+   * both fill the same free place.
+   */
+  async enqueueNextItems(batchId) {
+    const client = await this.db.connect();
+    let claimed = [];
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM description_batches WHERE id = $1 FOR UPDATE', [batchId]);
+
+      const inFlight = await client.query(
+        `SELECT COUNT(*) FROM description_batch_items
+         WHERE batch_id = $1 AND status = ANY($2)`,
+        [batchId, IN_FLIGHT_STATUSES]
+      );
+      const free = BATCH_CONCURRENCY - parseInt(inFlight.rows[0].count);
+
+      if (free > 0) {
+        const result = await client.query(
+          `UPDATE description_batch_items
+           SET status = 'queued'
+           WHERE id IN (
+             SELECT id FROM description_batch_items
+             WHERE batch_id = $1 AND status = 'pending'
+             ORDER BY item_index ASC
+             LIMIT $2
+           )
+           RETURNING id`,
+          [batchId, free]
+        );
+        claimed = result.rows;
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const { id } of claimed) {
+      await this.addToQueue({ batchId, itemId: id });
+    }
+  }
+
+  /**
+   * Add an item job to the Bull queue and remember its queue ID
+   */
+  async addToQueue(jobData, options = {}) {
+    const queued = await this.jobQueue.add(BATCH_JOB_NAME, jobData, options);
+
+    await this.db.query(
+      'UPDATE description_batch_items SET queue_job_id = $1 WHERE id = $2',
+      [String(queued.id), jobData.itemId]
+    );
+
+    return queued;
+  }
+
+  /**
+   * Generate the description of one batch item
+   */
+  async processItem(bullJob) {
+    const { batchId, itemId } = bullJob.data;
+
+    const claimed = await this.db.query(
+      `UPDATE description_batch_items
+       SET status = 'running', started_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+       WHERE id = $1 AND status IN ('queued', 'retrying')
+       RETURNING *`,
+      [itemId]
+    );
+
+    if (claimed.rows.length === 0) {
+      logger.info(`Skipping batch ${batchId} item ${itemId}: no longer queued`);
+      return { skipped: true };
+    }
+
+    const item = claimed.rows[0];
+    let generator = null;
+
+    try {
+      const batch = await this.db.query('SELECT options FROM description_batches WHERE id = $1', [batchId]);
+      generator = await this.registry.resolve(GENERATOR_STEP);
+
+      // Same path as a workflow step, so variants are recorded against the property
+      const result = await generator.execute({
+        workflowId: null,
+        propertyId: item.property_id,
+        input: { propertyData: item.property_data, options: batch.rows[0].options },
+        options: {},
+        outputs: {}
+      });
+
+      await this.db.query(
+        `UPDATE description_batch_items
+         SET status = 'completed', result = $1, error = NULL, completed_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [JSON.stringify(result), itemId]
+      );
+    } catch (error) {
+      await this.handleItemError(item, error, generator);
+    }
+
+    await this.advanceBatch(batchId);
+
+    return { itemId };
+  }
+
+  /**
+   * Retry an item under the generator's retry policy, or record its failure
+   */
+  async handleItemError(item, error, generator) {
+    const policy = resolveRetryPolicy(generator && generator.retryPolicy);
+
+    if (shouldRetry(policy, error, item.attempts)) {
+      const delay = getRetryDelay(policy, item.attempts, error);
+
+      await this.db.query(
+        `UPDATE description_batch_items SET status = 'retrying', error = $1 WHERE id = $2`,
+        [error.message, item.id]
+      );
+      await this.addToQueue({ batchId: item.batch_id, itemId: item.id }, { delay });
+
+      logger.warn(
+        `Batch ${item.batch_id} item ${item.item_index} failed attempt ${item.attempts}/${policy.maxAttempts} ` +
+        `[${classifyError(error)}]; retrying in ${delay}ms`
+      );
+      return;
+    }
+
+    logger.warn(`Batch ${item.batch_id} item ${item.item_index} failed [${classifyError(error)}]: ${error.message}`);
+
+    await this.db.query(
+      `UPDATE description_batch_items
+       SET status = 'failed', error = $1, errors = $2, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [error.message, error.errors ? JSON.stringify(error.errors) : null, item.id]
+    );
+  }
+
+  /**
+   * Recover items left in flight by a previous process.
+   *
+   * Runs at startup, like the orchestrator's recovery of workflow jobs. An item
+   * whose queue job is still active belongs to a live worker and is left alone,
+   * as is a queued or retrying item whose queue job is still waiting. A running
+   * item whose queue job is back in the queue, or any in-flight item whose queue
+   * job is gone, is recovered. Every unfinished batch is then topped up, which
+   * also queues the first items of a batch created just before the crash.
+   */
+  async recoverInFlightItems() {
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM description_batch_items
+         WHERE status = ANY($1)
+         ORDER BY id ASC`,
+        [IN_FLIGHT_STATUSES]
+      );
+
+      const recovered = [];
+
+      for (const item of result.rows) {
+        const bullJob = item.queue_job_id ? await this.jobQueue.getJob(item.queue_job_id) : null;
+        const state = bullJob ? await bullJob.getState() : 'missing';
+
+        if (state === 'active') {
+          continue;
+        }
+
+        const inQueue = ['waiting', 'delayed', 'paused'].includes(state);
+
+        // Waiting to run as normal
+        if (inQueue && item.status !== 'running') {
+          continue;
+        }
+
+        const outcome = await this.recoverItem(item, `queue job ${state}`, { bullJob: inQueue ? bullJob : null });
+        recovered.push(`batch ${item.batch_id} item ${item.item_index}: ${outcome}`);
+      }
+
+      const batches = await this.db.query(
+        `SELECT id FROM description_batches WHERE status <> 'completed' ORDER BY id ASC`
+      );
+
+      for (const { id } of batches.rows) {
+        await this.advanceBatch(id);
+      }
+
+      if (recovered.length > 0) {
+        logger.warn(`Recovered ${recovered.length} interrupted batch item(s): ${recovered.join('; ')}`);
+      } else {
+        logger.info(`No interrupted batch items to recover (${result.rows.length} in flight)`);
+      }
+
+      return recovered;
+    } catch (error) {
+      logger.error('Error recovering in-flight batch items:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recover an item whose queue job stalled or failed outside processItem.
+   * Bull may report a failure without a job (maxStalledCount is 0); those are
+   * ignored, as are queue jobs the item has already moved on from.
+   */
+  async handleInterruptedItem(bullJob, reason) {
+    const { batchId, itemId } = (bullJob && bullJob.data) || {};
+
+    if (!itemId) {
+      return;
+    }
+
+    try {
+      const result = await this.db.query('SELECT * FROM description_batch_items WHERE id = $1', [itemId]);
+      const item = result.rows[0];
+
+      // processItem already recorded the outcome, or a retry is on a newer queue job
+      if (!item || !IN_FLIGHT_STATUSES.includes(item.status) || item.queue_job_id !== String(bullJob.id)) {
+        return;
+      }
+
+      const state = await bullJob.getState();
+      const inQueue = ['waiting', 'delayed', 'paused'].includes(state);
+
+      const outcome = await this.recoverItem(item, reason, { bullJob: inQueue ? bullJob : null, failed: !inQueue });
+      logger.warn(`Recovered batch ${batchId} item ${item.item_index} after it ${reason}: ${outcome}`);
+
+      await this.advanceBatch(item.batch_id);
+    } catch (error) {
+      logger.error(`Error recovering batch ${batchId} item ${itemId}:`, error);
+    }
+  }
+
+  /**
+   * Apply the generator's retry policy to an interrupted item.
+   *
+   * An item interrupted while running has counted its attempt, and one whose
+   * queue job failed before it started (`failed`) counts one now; once the
+   * policy's attempts are used up it fails. Otherwise it is reset to 'queued',
+   * either for its queue job that is still waiting (`bullJob`) or on a new one.
+   *
+   * @returns {string} 'failed', 'reset' or 'requeued'
+   */
+  async recoverItem(item, reason, { bullJob = null, failed = false } = {}) {
+    const interruption = new Error(`Batch ${item.batch_id} item ${item.item_index} was interrupted: ${reason}`);
+    interruption.code = 'JOB_INTERRUPTED';
+
+    const attempts = failed && item.status !== 'running' ? item.attempts + 1 : item.attempts;
+
+    if (item.status === 'running' || failed) {
+      const generator = this.registry.get(GENERATOR_STEP);
+      const policy = resolveRetryPolicy(generator && generator.retryPolicy);
+
+      if (!shouldRetry(policy, interruption, attempts)) {
+        await this.db.query(
+          `UPDATE description_batch_items
+           SET status = 'failed', attempts = $1, error = $2, completed_at = CURRENT_TIMESTAMP
+           WHERE id = $3`,
+          [attempts, interruption.message, item.id]
+        );
+        return 'failed';
+      }
+    }
+
+    await this.db.query(
+      `UPDATE description_batch_items SET status = 'queued', attempts = $1, error = $2 WHERE id = $3`,
+      [attempts, interruption.message, item.id]
+    );
+
+    if (bullJob) {
+      return 'reset';
+    }
+
+    await this.addToQueue({ batchId: item.batch_id, itemId: item.id });
+    return 'requeued';
+  }
+
+  /**
+   * Queue the next items after one finishes and close the batch when all are done
+   */
+  async advanceBatch(batchId) {
+    try {
+      await this.enqueueNextItems(batchId);
+      await this.completeBatchIfDone(batchId);
+    } catch (error) {
+      logger.error(`Error advancing description batch ${batchId}:`, error);
+    }
+  }
+
+  async completeBatchIfDone(batchId) {
+    const result = await this.db.query(
+      `UPDATE description_batches
+       SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status <> 'completed'
+         AND NOT EXISTS (
+           SELECT 1 FROM description_batch_items
+           WHERE batch_id = $1 AND status NOT IN ('completed', 'failed')
+         )
+       RETURNING id`,
+      [batchId]
+    );
+
+    if (result.rows.length > 0) {
+      logger.info(`Description batch ${batchId} completed`);
+    }
+  }
+
+  /**
+   * Batch status with per-item progress; results are left to getResults
+   */
+  async getBatch(batchId) {
+    const batch = await this.db.query('SELECT * FROM description_batches WHERE id = $1', [batchId]);
+
+    if (batch.rows.length === 0) {
+      throw createHttpError(404, `Description batch ${batchId} not found`);
+    }
+
+    const items = await this.db.query(
+      `SELECT item_index, property_id, property_data->>'address' AS address, status, attempts,
+              error, errors, started_at, completed_at
+       FROM description_batch_items
+       WHERE batch_id = $1
+       ORDER BY item_index ASC`,
+      [batchId]
+    );
+
+    const counts = {};
+    for (const item of items.rows) {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+    }
+
+    return {
+      ...batch.rows[0],
+      progress: {
+        total: batch.rows[0].total_items,
+        done: (counts.completed || 0) + (counts.failed || 0),
+        completed: counts.completed || 0,
+        failed: counts.failed || 0,
+        inProgress: IN_FLIGHT_STATUSES.reduce((total, status) => total + (counts[status] || 0), 0),
+        pending: counts.pending || 0
+      },
+      items: items.rows
+    };
+  }
+
+  /**
+   * Every item of a batch with its generation result
+   */
+  async getResults(batchId) {
+    await this.getBatch(batchId);
+
+    const result = await this.db.query(
+      `SELECT item_index, property_id, property_data->>'address' AS address, status, result, error, errors
+       FROM description_batch_items
+       WHERE batch_id = $1
+       ORDER BY item_index ASC`,
+      [batchId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Batch results as CSV: one row per variant (or channel) per language of
+   * each item, and one row per failed item
+   */
+  async getResultsCsv(batchId) {
+    const items = await this.getResults(batchId);
+    const rows = [];
+
+    for (const item of items) {
+      const base = {
+        item: item.item_index,
+        property_id: item.property_id,
+        address: item.address,
+        status: item.status,
+        error: item.errors ? `${item.error}: ${item.errors.join('; ')}` : item.error
+      };
+
+      if (item.status !== 'completed' || !item.result) {
+        rows.push(base);
+        continue;
+      }
+
+      const languageResults = item.result.results
+        ? Object.entries(item.result.results)
+        : [[item.result.metadata.language, item.result]];
+
+      for (const [language, result] of languageResults) {
+        const shared = { ...base, language, seo_keywords: result.seoKeywords };
+
+        if (result.channels) {
+          for (const [channel, { content }] of Object.entries(result.channels)) {
+            rows.push({
+              ...shared,
+              channel,
+              headline: content.headline || content.subject || null,
+              description: Object.entries(content)
+                .filter(([field, value]) => typeof value === 'string' && !['headline', 'subject'].includes(field))
+                .map(([, value]) => value)
+                .join('\n\n'),
+              highlights: content.bullets || content.hashtags || null
+            });
+          }
+        } else {
+          for (const variant of result.variants) {
+            rows.push({
+              ...shared,
+              variant_id: variant.variantId,
+              headline: variant.headline,
+              description: variant.description,
+              highlights: variant.highlights
+            });
+          }
+        }
+      }
+    }
+
+    return toCsv(CSV_COLUMNS, rows);
+  }
+
+  async listBatches({ limit } = {}) {
+    const result = await this.db.query(
+      `SELECT * FROM description_batches
+       ORDER BY id DESC
+       LIMIT $1`,
+      [parsePaging({ limit }).limit]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = { DescriptionBatchRunner, BATCH_JOB_NAME, MAX_BATCH_ITEMS };
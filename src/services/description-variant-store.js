@@ -0,0 +1,172 @@
+/**
+ * Description Variant Store
+ * Generated description variants and the agent's decisions about them
+ *
+ * Every variant of a generation is recorded against its property as
+ * `proposed`. Selecting a variant (optionally for a channel) or rejecting it
+ * is kept on the row, so engagement on published copy can be traced back to
+ * the variant that produced it.
+ */
+
+const { getPool } = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { parsePaging } = require('../utils/paging');
+const logger = require('../utils/logger');
+
+const VARIANT_STATUSES = ['proposed', 'selected', 'rejected'];
+
+class DescriptionVariantStore {
+  constructor() {
+    this.db = null;
+  }
+
+  initialize() {
+    this.db = getPool();
+  }
+
+  /**
+   * Record every variant of a generation result as proposed. Recording the
+   * same result again (e.g. a cached result) leaves the existing rows alone.
+   *
+   * @param {Object} target
+   * @param {string} target.propertyId - Property the copy was written for
+   * @param {number} target.workflowId - Workflow that generated it, if any
+   * @param {Object} result - ListingDescriptionGenerator result
+   * @returns {Array<Object>} Recorded variant rows
+   */
+  async record({ propertyId, workflowId = null }, result) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const rows = [];
+      for (const variant of result.variants) {
+        const inserted = await client.query(
+          `INSERT INTO description_variants
+             (variant_id, generation_id, property_id, workflow_id, label, language, headline, description,
+              highlights, compliance, metadata)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           ON CONFLICT (variant_id) DO NOTHING
+           RETURNING *`,
+          [
+            variant.variantId,
+            result.generationId,
+            String(propertyId),
+            workflowId,
+            variant.label,
+            result.metadata.language || 'en',
+            variant.headline,
+            variant.description,
+            JSON.stringify(variant.highlights),
+            JSON.stringify(variant.compliance),
+            JSON.stringify({
+              wordCount: variant.wordCount,
+              withinMaxLength: variant.withinMaxLength,
+              tone: result.metadata.tone,
+              market: result.metadata.market,
+              provider: result.metadata.provider,
+              model: result.metadata.model
+            })
+          ]
+        );
+        rows.push(...inserted.rows);
+      }
+
+      await client.query('COMMIT');
+
+      logger.info(`Recorded ${rows.length} description variant(s) for property ${propertyId}`);
+
+      return rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async get(variantId) {
+    const result = await this.db.query(
+      'SELECT * FROM description_variants WHERE variant_id = $1',
+      [variantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Description variant ${variantId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * List variants, newest first, filtered by property, generation, status, channel or language
+   */
+  async list(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status && !VARIANT_STATUSES.includes(filters.status)) {
+      throw createHttpError(400, `status must be one of ${VARIANT_STATUSES.join(', ')}`);
+    }
+
+    for (const [filter, column] of [
+      ['propertyId', 'property_id'],
+      ['generationId', 'generation_id'],
+      ['status', 'status'],
+      ['channel', 'channel'],
+      ['language', 'language']
+    ]) {
+      if (filters[filter]) {
+        params.push(filters[filter]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { limit, offset } = parsePaging(filters);
+
+    const result = await this.db.query(
+      `SELECT * FROM description_variants ${where}
+       ORDER BY created_at DESC, label ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Mark a variant selected, optionally for one channel (e.g. one arm of an A/B test)
+   */
+  async select(variantId, decision = {}) {
+    return this._decide(variantId, 'selected', decision);
+  }
+
+  async reject(variantId, decision = {}) {
+    return this._decide(variantId, 'rejected', decision);
+  }
+
+  /**
+   * @private
+   */
+  async _decide(variantId, status, { channel = null, decidedBy = null, note = null }) {
+    const result = await this.db.query(
+      `UPDATE description_variants
+       SET status = $2, channel = $3, decided_by = $4, decision_note = $5, decided_at = CURRENT_TIMESTAMP
+       WHERE variant_id = $1
+       RETURNING *`,
+      [variantId, status, status === 'selected' ? channel : null, decidedBy, note]
+    );
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Description variant ${variantId} not found`);
+    }
+
+    logger.info(`Description variant ${variantId} ${status}${channel && status === 'selected' ? ` for ${channel}` : ''}`);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = { DescriptionVariantStore, VARIANT_STATUSES };
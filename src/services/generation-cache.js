@@ -0,0 +1,205 @@
+/**
+ * Generation Cache
+ * Redis cache for generated copy, keyed by a hash of the normalized property
+ * data and generation options
+ *
+ * Identical requests within the TTL get the stored result instead of a new
+ * LLM call. Concurrent identical requests share one generation: within this
+ * process through a map of in-flight promises, and across instances through
+ * a short Redis lock whose holder generates while the others wait for its
+ * result to appear in the cache.
+ *
+ * Redis problems never fail a request; the copy is generated uncached.
+ */
+
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'empire:generation:';
+const DEFAULT_TTL_SECONDS = parseInt(process.env.GENERATION_CACHE_TTL_SECONDS) || 86400;
+const LOCK_TTL_MS = 120000;
+const POLL_INTERVAL_MS = 500;
+
+// Options that change how a request is served, not what is generated
+const IGNORED_OPTIONS = ['forceRegenerate'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * JSON with object keys sorted, so equal values always serialize the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class GenerationCache {
+  constructor({ ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    this.redis = null;
+    this.ttlSeconds = ttlSeconds;
+    this.inFlight = new Map();
+  }
+
+  initialize() {
+    this.redis = getRedisClient();
+  }
+
+  /**
+   * Cache key for a request
+   *
+   * @param {Object} propertyData - Normalized property data
+   * @param {Object} options - Generation options
+   * @param {string} scope - What else the result depends on, e.g. the provider and model
+   */
+  key(propertyData, options = {}, scope = '') {
+    const relevant = { ...options };
+    IGNORED_OPTIONS.forEach(option => delete relevant[option]);
+
+    const hash = crypto
+      .createHash('sha256')
+      .update(stableStringify({ scope, propertyData, options: relevant }))
+      .digest('hex');
+
+    return `${KEY_PREFIX}${hash}`;
+  }
+
+  /**
+   * Return the cached result for a request or generate it.
+   * Only successful results are cached.
+   *
+   * @param {string} key - Cache key from key()
+   * @param {Function} generate - Async function producing the result
+   * @param {Object} options
+   * @param {boolean} options.forceRegenerate - Skip the cached result and replace it
+   * @returns {{ result: Object, status: string }} status is hit, miss, coalesced or disabled
+   */
+  async getOrGenerate(key, generate, { forceRegenerate = false } = {}) {
+    if (!this.redis || this.ttlSeconds <= 0) {
+      return { result: await generate(), status: 'disabled' };
+    }
+
+    if (!forceRegenerate) {
+      const cached = await this._get(key);
+      if (cached) {
+        return { result: cached, status: 'hit' };
+      }
+    }
+
+    if (this.inFlight.has(key)) {
+      const { result } = await this.inFlight.get(key);
+      return { result, status: 'coalesced' };
+    }
+
+    const pending = this._generateOnce(key, generate, forceRegenerate);
+    this.inFlight.set(key, pending);
+
+    try {
+      return await pending;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Generate under the cross-instance lock, or wait for the instance holding it
+   * @private
+   */
+  async _generateOnce(key, generate, forceRegenerate) {
+    const lockKey = `${key}:lock`;
+    const locked = await this._lock(lockKey);
+
+    if (!locked && !forceRegenerate) {
+      const result = await this._waitForResult(key, lockKey);
+      if (result) {
+        return { result, status: 'coalesced' };
+      }
+    }
+
+    try {
+      const result = await generate();
+
+      if (result && result.success) {
+        await this._set(key, result);
+      }
+
+      return { result, status: 'miss' };
+    } finally {
+      if (locked) {
+        await this.redis.del(lockKey).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _get(key) {
+    try {
+      const value = await this.redis.get(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.warn(`Generation cache read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _set(key, result) {
+    try {
+      await this.redis.set(key, JSON.stringify(result), { EX: this.ttlSeconds });
+    } catch (error) {
+      logger.warn(`Generation cache write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _lock(lockKey) {
+    try {
+      return (await this.redis.set(lockKey, String(process.pid), { NX: true, PX: LOCK_TTL_MS })) === 'OK';
+    } catch (error) {
+      logger.warn(`Generation cache lock failed: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Poll for the result another instance is generating; null when its lock
+   * goes away without a result (it failed) or the lock expires
+   * @private
+   */
+  async _waitForResult(key, lockKey) {
+    const deadline = Date.now() + LOCK_TTL_MS;
+
+    while (Date.now() < deadline) {
+      await sleep(POLL_INTERVAL_MS);
+
+      const cached = await this._get(key);
+      if (cached) {
+        return cached;
+      }
+
+      const held = await this.redis.exists(lockKey).catch(() => 0);
+      if (!held) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = { GenerationCache };
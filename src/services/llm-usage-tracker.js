@@ -0,0 +1,212 @@
+/**
+ * LLM Usage Tracker
+ * Records every LLM call with its tokens, latency and estimated cost, reports
+ * spend, and enforces the monthly budget
+ *
+ * LLM_MONTHLY_BUDGET_USD sets the budget (no limit when unset). Once the
+ * current month's estimated spend reaches it, content nodes refuse new
+ * generation until the next month or a higher budget. Months follow
+ * DEFAULT_TIMEZONE.
+ */
+
+const { getPool } = require('../config/database');
+const { estimateCost } = require('../config/llm-pricing');
+const { createHttpError } = require('../utils/http-error');
+const logger = require('../utils/logger');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Denver';
+const SPEND_CACHE_MS = 30000;
+
+// Report groupings: name -> SQL expression ($1 is the report timezone)
+const REPORT_GROUPS = {
+  day: `to_char(created_at AT TIME ZONE $1, 'YYYY-MM-DD')`,
+  property: 'property_id',
+  node: 'node_id',
+  workflow: 'workflow_id',
+  agent: 'agent_id',
+  model: `provider || '/' || model`
+};
+
+class LLMUsageTracker {
+  constructor({ monthlyBudget = parseFloat(process.env.LLM_MONTHLY_BUDGET_USD) || null, timezone = DEFAULT_TIMEZONE } = {}) {
+    this.db = null;
+    this.monthlyBudget = monthlyBudget;
+    this.timezone = timezone;
+    this.spendCache = null;
+  }
+
+  initialize() {
+    this.db = getPool();
+  }
+
+  /**
+   * Current month in the tracker's timezone, e.g. '2026-10'
+   */
+  currentMonth() {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: this.timezone, year: 'numeric', month: '2-digit' })
+      .format(new Date())
+      .slice(0, 7);
+  }
+
+  /**
+   * Record one LLM call. Failures are logged, never thrown, so tracking
+   * cannot break generation.
+   *
+   * @param {Object} entry
+   * @param {Object} entry.completion - Provider response ({ provider, model, usage, latencyMs })
+   * @param {string} entry.nodeId - Node that made the call
+   * @param {number} entry.workflowId - Workflow the call ran for, if any
+   * @param {string} entry.propertyId - Property the copy is for, if known
+   * @param {string} entry.agentId - Agent the copy is for, if known
+   */
+  async record({ completion, nodeId, workflowId = null, propertyId = null, agentId = null }) {
+    const usage = completion.usage || {};
+    const cost = estimateCost(completion.provider, completion.model, usage);
+
+    try {
+      await this.db.query(
+        `INSERT INTO llm_usage
+           (provider, model, node_id, workflow_id, property_id, agent_id,
+            prompt_tokens, completion_tokens, total_tokens, latency_ms, estimated_cost)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          completion.provider,
+          completion.model,
+          nodeId,
+          workflowId,
+          propertyId !== null && propertyId !== undefined ? String(propertyId) : null,
+          agentId !== null && agentId !== undefined ? String(agentId) : null,
+          usage.promptTokens || 0,
+          usage.completionTokens || 0,
+          usage.totalTokens || 0,
+          completion.latencyMs || 0,
+          cost
+        ]
+      );
+
+      if (this.spendCache && cost && this.spendCache.month === this.currentMonth()) {
+        this.spendCache.spent += cost;
+      }
+    } catch (error) {
+      logger.warn(`Failed to record LLM usage for ${nodeId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Estimated spend so far this month, cached briefly. The cache belongs to
+   * its month, so a new month starts from a fresh total.
+   */
+  async getMonthToDateSpend() {
+    const month = this.currentMonth();
+
+    if (this.spendCache && this.spendCache.month === month && Date.now() - this.spendCache.at < SPEND_CACHE_MS) {
+      return this.spendCache.spent;
+    }
+
+    const result = await this.db.query(
+      `SELECT COALESCE(SUM(estimated_cost), 0) AS spent
+       FROM llm_usage
+       WHERE created_at >= date_trunc('month', NOW() AT TIME ZONE $1) AT TIME ZONE $1`,
+      [this.timezone]
+    );
+
+    this.spendCache = { month, spent: parseFloat(result.rows[0].spent), at: Date.now() };
+    return this.spendCache.spent;
+  }
+
+  async getBudgetStatus() {
+    const spent = await this.getMonthToDateSpend();
+
+    return {
+      currency: 'USD',
+      monthlyBudget: this.monthlyBudget,
+      monthToDate: Number(spent.toFixed(6)),
+      remaining: this.monthlyBudget !== null ? Number(Math.max(this.monthlyBudget - spent, 0).toFixed(6)) : null,
+      exceeded: this.monthlyBudget !== null && spent >= this.monthlyBudget,
+      timezone: this.timezone
+    };
+  }
+
+  /**
+   * Throw a non-retryable 402 error once the monthly budget is used up
+   */
+  async assertWithinBudget() {
+    if (this.monthlyBudget === null) {
+      return;
+    }
+
+    const status = await this.getBudgetStatus();
+
+    if (status.exceeded) {
+      throw createHttpError(
+        402,
+        `Monthly LLM budget of $${this.monthlyBudget.toFixed(2)} reached ($${status.monthToDate.toFixed(2)} spent); new generation is paused`,
+        { code: 'LLM_BUDGET_EXCEEDED', retryable: false }
+      );
+    }
+  }
+
+  /**
+   * Spend and tokens grouped by day, property, node, workflow, agent or model
+   *
+   * @param {Object} options
+   * @param {string} options.groupBy - Grouping (default day)
+   * @param {string} options.from - ISO date or timestamp, inclusive
+   * @param {string} options.to - ISO date or timestamp, exclusive
+   * @param {string} options.propertyId - Only calls for this property
+   * @param {string} options.nodeId - Only calls from this node
+   * @returns {Array<Object>} One row per group
+   */
+  async report({ groupBy = 'day', from, to, propertyId, nodeId } = {}) {
+    if (!REPORT_GROUPS[groupBy]) {
+      throw createHttpError(400, `groupBy must be one of ${Object.keys(REPORT_GROUPS).join(', ')}`);
+    }
+
+    // Only the day grouping reads the timezone ($1)
+    const params = groupBy === 'day' ? [this.timezone] : [];
+    const conditions = [];
+
+    for (const [name, value, condition] of [
+      ['from', from, 'created_at >= '],
+      ['to', to, 'created_at < ']
+    ]) {
+      if (value) {
+        if (Number.isNaN(Date.parse(value))) {
+          throw createHttpError(400, `${name} must be an ISO date or timestamp`);
+        }
+        params.push(value);
+        conditions.push(`${condition}$${params.length}`);
+      }
+    }
+    if (propertyId) {
+      params.push(String(propertyId));
+      conditions.push(`property_id = $${params.length}`);
+    }
+    if (nodeId) {
+      params.push(nodeId);
+      conditions.push(`node_id = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await this.db.query(
+      `SELECT ${REPORT_GROUPS[groupBy]} AS key,
+              COUNT(*)::int AS calls,
+              SUM(prompt_tokens)::int AS prompt_tokens,
+              SUM(completion_tokens)::int AS completion_tokens,
+              SUM(total_tokens)::int AS total_tokens,
+              COALESCE(SUM(estimated_cost), 0)::float AS estimated_cost,
+              COUNT(*) FILTER (WHERE estimated_cost IS NULL)::int AS unpriced_calls,
+              AVG(latency_ms)::int AS avg_latency_ms
+       FROM llm_usage
+       ${where}
+       GROUP BY 1
+       ORDER BY 1 ${groupBy === 'day' ? 'DESC' : 'ASC'}`,
+      params
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = { LLMUsageTracker, REPORT_GROUPS };
@@ -0,0 +1,226 @@
+/**
+ * Photo Analyzer
+ * Runs listing photos through a vision-capable model and lists the features
+ * visible in them (e.g. "vaulted ceilings", "quartz counters", "mountain views")
+ *
+ * VISION_PROVIDER selects the provider (defaults to LLM_PROVIDER); its model
+ * must accept images. Photos are http(s) URLs, sent to the model as-is, or
+ * paths inside PHOTO_DIR, read and sent as base64. Paths outside PHOTO_DIR are
+ * refused, and local photos are not accepted at all when it is unset.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLLMClient } = require('../providers/llm');
+const { LLMUsageTracker } = require('./llm-usage-tracker');
+const { validateSchema, parseJsonResponse } = require('../utils/json-schema');
+const { createHttpError } = require('../utils/http-error');
+const logger = require('../utils/logger');
+
+const SYSTEM_PROMPT = 'You are a real estate photo analyst. You list only what is clearly visible in listing photos, using the short feature names agents put in listings. You never guess at what a photo does not show. You always answer with a single JSON object and nothing else.';
+
+// Most vision APIs cap images per request; larger sets are sent in chunks
+const MAX_PHOTOS_PER_REQUEST = 10;
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const MAX_VISIBLE_FEATURES = 20;
+const MAX_ATTEMPTS = 2;
+
+const MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['photos', 'features'],
+  properties: {
+    photos: {
+      type: 'array',
+      description: 'One entry per photo, in the order given',
+      items: {
+        type: 'object',
+        required: ['index', 'room', 'features'],
+        properties: {
+          index: { type: 'integer', description: 'Photo number, starting at 0' },
+          room: { type: 'string', description: 'Room or area shown (kitchen, bathroom, exterior, ...)' },
+          features: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 60 } }
+        }
+      }
+    },
+    features: {
+      type: 'array',
+      description: 'Every distinct feature visible across the photos, short phrases',
+      items: { type: 'string', minLength: 1, maxLength: 60 }
+    }
+  }
+};
+
+class PhotoAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {string} options.nodeId - Node the vision calls are recorded against
+   * @param {string} options.provider - Vision provider, defaults to VISION_PROVIDER, then LLM_PROVIDER
+   * @param {string} options.photoDir - Directory local photo paths are read from (PHOTO_DIR)
+   */
+  constructor({ nodeId, provider = process.env.VISION_PROVIDER, photoDir = process.env.PHOTO_DIR } = {}) {
+    this.nodeId = nodeId;
+    this.provider = provider;
+    this.photoDir = photoDir ? path.resolve(photoDir) : null;
+    this.llm = null;
+    this.usageTracker = new LLMUsageTracker();
+  }
+
+  initialize() {
+    this.llm = this.provider ? getLLMClient(this.provider) : getLLMClient();
+    this.llm.validateConfig();
+    this.usageTracker.initialize();
+  }
+
+  /**
+   * Analyze a property's photos
+   *
+   * @param {Array<Object>} photos - Normalized photos ({ url } or { path }, with an optional caption)
+   * @param {Object} attribution - Who the LLM calls are recorded against
+   *   ({ workflowId, propertyId, agentId }, all optional)
+   * @returns {Object} { photos, features, provider, model } where each photo
+   *   carries the room and features seen in it and `features` is the
+   *   de-duplicated union
+   */
+  async analyze(photos, attribution = {}) {
+    await this.usageTracker.assertWithinBudget();
+
+    const analyzed = [];
+    let completion = null;
+
+    for (let start = 0; start < photos.length; start += MAX_PHOTOS_PER_REQUEST) {
+      const chunk = photos.slice(start, start + MAX_PHOTOS_PER_REQUEST);
+      const images = await Promise.all(chunk.map(photo => this._loadImage(photo)));
+      const result = await this._analyzeChunk(chunk, images, attribution);
+
+      completion = result.completion;
+      chunk.forEach((photo, index) => {
+        const found = result.output.photos.find(entry => entry.index === index) || { room: 'unknown', features: [] };
+        analyzed.push({ ...photo, room: found.room, features: found.features });
+      });
+    }
+
+    const seen = new Set();
+    const features = analyzed
+      .flatMap(photo => photo.features)
+      .map(feature => feature.trim())
+      .filter(feature => {
+        const key = feature.toLowerCase();
+        if (!feature || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_VISIBLE_FEATURES);
+
+    logger.info(`[${this.nodeId}] Found ${features.length} visible feature(s) in ${photos.length} photo(s)`);
+
+    return {
+      photos: analyzed,
+      features,
+      provider: completion && completion.provider,
+      model: completion && completion.model
+    };
+  }
+
+  /**
+   * Ask the model about one chunk of photos, retrying once on unusable output
+   * @private
+   */
+  async _analyzeChunk(chunk, images, attribution) {
+    const captions = chunk
+      .map((photo, index) => photo.caption ? `Photo ${index}: ${photo.caption}\n` : '')
+      .join('');
+
+    let prompt = `List the features visible in these ${chunk.length} listing photo(s), numbered from 0 in the order attached.\n\n`;
+    prompt += captions ? `Captions from the agent:\n${captions}\n` : '';
+    prompt += `Requirements:\n`;
+    prompt += `- Name features as a listing would (e.g. "vaulted ceilings", "quartz counters", "mountain views")\n`;
+    prompt += `- Only list what is clearly visible; leave out anything you would have to guess\n`;
+    prompt += `- Describe the property, never the people in the photos\n`;
+    prompt += `\nRespond with a JSON object matching this JSON Schema:\n`;
+    prompt += `${JSON.stringify(ANALYSIS_SCHEMA, null, 2)}\n`;
+
+    let errors = [];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const completion = await this.llm.complete({
+        system: SYSTEM_PROMPT,
+        messages: [{ role: 'user', content: prompt }],
+        images,
+        temperature: 0.2,
+        json: true,
+        schema: ANALYSIS_SCHEMA
+      });
+
+      await this.usageTracker.record({ completion, nodeId: this.nodeId, ...attribution });
+
+      const output = parseJsonResponse(completion.text);
+      errors = output ? validateSchema(output, ANALYSIS_SCHEMA) : ['response is not a JSON object'];
+
+      if (errors.length === 0) {
+        return { completion, output };
+      }
+
+      logger.warn(`[${this.nodeId}] Photo analysis attempt ${attempt} failed validation: ${errors.join('; ')}`);
+    }
+
+    throw new Error(`Vision model did not return a usable photo analysis: ${errors.join('; ')}`);
+  }
+
+  /**
+   * Image for the provider: URLs pass through, local paths are read as base64
+   * @private
+   */
+  async _loadImage(photo) {
+    if (photo.url) {
+      return { url: photo.url };
+    }
+
+    if (!this.photoDir) {
+      throw createHttpError(400, 'Local photo paths need PHOTO_DIR to be set', { retryable: false });
+    }
+
+    const file = path.resolve(this.photoDir, photo.path);
+
+    if (!file.startsWith(this.photoDir + path.sep)) {
+      throw createHttpError(400, `Photo path is outside PHOTO_DIR: ${photo.path}`, { retryable: false });
+    }
+
+    const mediaType = MEDIA_TYPES[path.extname(file).toLowerCase()];
+
+    if (!mediaType) {
+      throw createHttpError(400, `Unsupported photo type: ${photo.path}; expected ${Object.keys(MEDIA_TYPES).join(', ')}`, { retryable: false });
+    }
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw createHttpError(400, `Photo not found: ${photo.path}`, { retryable: false });
+      }
+      throw error;
+    }
+
+    if (stat.size > MAX_PHOTO_BYTES) {
+      throw createHttpError(400, `Photo is larger than ${MAX_PHOTO_BYTES / 1024 / 1024} MB: ${photo.path}`, { retryable: false });
+    }
+
+    return {
+      data: (await fs.promises.readFile(file)).toString('base64'),
+      mediaType,
+      name: path.basename(file)
+    };
+  }
+}
+
+module.exports = { PhotoAnalyzer };
@@ -0,0 +1,321 @@
+/**
+ * Property Store
+ * Property records that workflows and generated content reference
+ *
+ * A property is keyed by the `propertyId` clients already send (e.g. an MLS
+ * number). Workflows, description variants and content assets reference it
+ * by foreign key, so every campaign and every piece of copy for a house can be
+ * found from its record. Price changes are kept in property_price_history.
+ */
+
+const { getPool } = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { parsePaging } = require('../utils/paging');
+const { validatePropertyRecord, toPropertyRecord, PROPERTY_STATUSES } = require('../utils/property-record');
+const logger = require('../utils/logger');
+
+const JSON_COLUMNS = ['features', 'photos'];
+
+// Address parts read from the address line when not given; re-read when the address changes
+const ADDRESS_PARTS = ['street', 'city', 'state', 'postalCode'];
+
+// Postgres foreign_key_violation
+const FOREIGN_KEY_VIOLATION = '23503';
+
+class PropertyStore {
+  constructor() {
+    this.db = null;
+  }
+
+  initialize() {
+    this.db = getPool();
+  }
+
+  /**
+   * List properties, most recently updated first, filtered by status or agent
+   */
+  async list(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status && !PROPERTY_STATUSES.includes(filters.status)) {
+      throw createHttpError(400, `status must be one of ${PROPERTY_STATUSES.join(', ')}`);
+    }
+
+    for (const [filter, column] of [['status', 'status'], ['agentId', 'agent_id']]) {
+      if (filters[filter]) {
+        params.push(filters[filter]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { limit, offset } = parsePaging(filters);
+
+    const result = await this.db.query(
+      `SELECT * FROM properties ${where}
+       ORDER BY updated_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  async get(propertyId) {
+    const property = await this.find(propertyId);
+
+    if (!property) {
+      throw createHttpError(404, `Property ${propertyId} not found`);
+    }
+
+    return property;
+  }
+
+  /**
+   * A property, or null when there is none
+   */
+  async find(propertyId) {
+    const result = await this.db.query(
+      'SELECT * FROM properties WHERE property_id = $1',
+      [String(propertyId)]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a property
+   *
+   * @param {Object} data - propertyData fields (address, price, bedrooms, bathrooms,
+   *   sqft, propertyType, features, neighborhood, city, state, market, photos) plus
+   *   propertyId, street, postalCode, status (default active) and agentId
+   * @returns {Object} Created property row
+   */
+  async create(data) {
+    const property = await this._insert(data);
+
+    if (!property) {
+      throw createHttpError(409, `Property ${data.propertyId} already exists`);
+    }
+
+    return property;
+  }
+
+  /**
+   * The property a workflow or generation request refers to, registering it
+   * from the request's propertyData the first time it is seen
+   *
+   * @param {string} propertyId - Property ID from the request
+   * @param {Object} propertyData - Property data from the request, if any
+   * @returns {Object} Property row
+   */
+  async ensure(propertyId, propertyData) {
+    const existing = await this.find(propertyId);
+
+    if (existing) {
+      return existing;
+    }
+
+    if (!propertyData) {
+      throw createHttpError(400, `Unknown property "${propertyId}"; create it with POST /api/properties or include propertyData`, { retryable: false });
+    }
+
+    // A concurrent request may register it first; either way the stored row is returned
+    return await this._insert({ ...propertyData, propertyId }) || await this.get(propertyId);
+  }
+
+  /**
+   * Update a property; fields not given keep their current value and null
+   * clears an optional field. A new price is added to the price history.
+   */
+  async update(propertyId, data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw createHttpError(400, 'Invalid property', { errors: ['property must be an object'] });
+    }
+
+    const current = await this.get(propertyId);
+    const base = toPropertyRecord(current);
+
+    if (data.address !== undefined) {
+      ADDRESS_PARTS.forEach(field => delete base[field]);
+    }
+
+    const { valid, errors, value } = validatePropertyRecord({ ...base, ...data, propertyId: current.property_id });
+
+    if (!valid) {
+      throw createHttpError(400, 'Invalid property', { errors });
+    }
+
+    const columns = Object.keys(value).filter(column => column !== 'property_id');
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE properties
+         SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE property_id = $1
+         RETURNING *`,
+        [current.property_id, ...columns.map(column => this._param(column, value[column]))]
+      );
+
+      if (value.price !== current.price) {
+        await client.query(
+          'INSERT INTO property_price_history (property_id, price) VALUES ($1, $2)',
+          [current.property_id, value.price]
+        );
+        logger.info(`Property ${current.property_id} price changed from ${current.price} to ${value.price}`);
+      }
+
+      await client.query('COMMIT');
+
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw this._agentError(error, value.agent_id);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a property that no workflow or generated content references yet;
+   * otherwise its status should be changed instead
+   */
+  async delete(propertyId) {
+    let result;
+
+    try {
+      result = await this.db.query(
+        'DELETE FROM properties WHERE property_id = $1 RETURNING id',
+        [propertyId]
+      );
+    } catch (error) {
+      if (error.code === FOREIGN_KEY_VIOLATION) {
+        throw createHttpError(409, `Property ${propertyId} has workflows or generated content; set its status instead`);
+      }
+      throw error;
+    }
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Property ${propertyId} not found`);
+    }
+
+    logger.info(`Deleted property ${propertyId}`);
+  }
+
+  /**
+   * Prices the property has been listed at, newest first
+   */
+  async getPriceHistory(propertyId) {
+    const result = await this.db.query(
+      `SELECT price, changed_at FROM property_price_history
+       WHERE property_id = $1
+       ORDER BY changed_at DESC, id DESC`,
+      [propertyId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Workflows run for the property, newest first
+   */
+  async listWorkflows(propertyId) {
+    await this.get(propertyId);
+
+    const result = await this.db.query(
+      `SELECT id, name, status, created_at, updated_at, completed_at
+       FROM workflows
+       WHERE property_id = $1
+       ORDER BY created_at DESC, id DESC`,
+      [propertyId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Content assets written for the property, newest first
+   */
+  async listContent(propertyId) {
+    await this.get(propertyId);
+
+    const result = await this.db.query(
+      `SELECT asset_id, workflow_id, generation_id, channel, language, label, content,
+              compliance_status, status, revision, created_at, updated_at
+       FROM content_assets
+       WHERE property_id = $1
+       ORDER BY created_at DESC, channel ASC, label ASC`,
+      [propertyId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Insert a property with its first price; null when the propertyId is taken
+   * @private
+   */
+  async _insert(data) {
+    const { valid, errors, value } = validatePropertyRecord(data);
+
+    if (!valid) {
+      throw createHttpError(400, 'Invalid property', { errors, retryable: false });
+    }
+
+    const columns = Object.keys(value);
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO properties (${columns.join(', ')})
+         VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+         ON CONFLICT (property_id) DO NOTHING
+         RETURNING *`,
+        columns.map(column => this._param(column, value[column]))
+      );
+
+      if (result.rows.length > 0) {
+        await client.query(
+          'INSERT INTO property_price_history (property_id, price) VALUES ($1, $2)',
+          [value.property_id, value.price]
+        );
+        logger.info(`Created property ${value.property_id}`);
+      }
+
+      await client.query('COMMIT');
+
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw this._agentError(error, value.agent_id);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * A 400 for a listing agent with no profile; other errors are returned as they are
+   * @private
+   */
+  _agentError(error, agentId) {
+    if (error.code === FOREIGN_KEY_VIOLATION && agentId) {
+      return createHttpError(400, `Unknown agent "${agentId}"`, { retryable: false });
+    }
+    return error;
+  }
+
+  /**
+   * @private
+   */
+  _param(column, value) {
+    return JSON_COLUMNS.includes(column) ? JSON.stringify(value) : value;
+  }
+}
+
+module.exports = { PropertyStore };
@@ -0,0 +1,212 @@
+/**
+ * Workflow Definition Store
+ * Versioned workflow definitions kept in the workflow_definitions table
+ *
+ * Built-in definitions live as JSON/YAML files in src/workflows and are seeded
+ * into the table at startup; definitions saved through the API get the next
+ * version number for their name. Workflows run the latest version unless a
+ * specific one is requested.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { getPool } = require('../config/database');
+const { parseWorkflowDefinition, validateWorkflowDefinition } = require('../utils/workflow-definition');
+const { createHttpError } = require('../utils/http-error');
+const logger = require('../utils/logger');
+
+const DEFINITIONS_DIR = path.join(__dirname, '..', 'workflows');
+
+class WorkflowDefinitionStore {
+  constructor({ registry, definitionsDir = DEFINITIONS_DIR } = {}) {
+    this.db = null;
+    this.registry = registry;
+    this.definitionsDir = definitionsDir;
+  }
+
+  async initialize() {
+    this.db = getPool();
+    await this.loadFiles();
+  }
+
+  /**
+   * Seed the definitions shipped in src/workflows.
+   * An invalid file stops startup so a broken plan is never run.
+   *
+   * When the file's version is already taken by a different document (e.g. a
+   * definition saved through the API before an upgrade), the file is stored as
+   * the next version instead, so the shipped plan is never silently skipped.
+   */
+  async loadFiles() {
+    const files = fs.readdirSync(this.definitionsDir)
+      .filter(file => /\.(json|ya?ml)$/.test(file));
+
+    for (const file of files) {
+      const text = fs.readFileSync(path.join(this.definitionsDir, file), 'utf8');
+      const definition = parseWorkflowDefinition(text, file.endsWith('.json') ? 'json' : 'yaml');
+      const { errors, warnings } = validateWorkflowDefinition(definition, { registry: this.registry });
+
+      if (errors.length > 0) {
+        throw new Error(`Invalid workflow definition ${file}: ${errors.join('; ')}`);
+      }
+
+      warnings.forEach(warning => logger.warn(`Workflow definition ${file}: ${warning}`));
+
+      const version = definition.version || 1;
+      const document = this._document(definition);
+      const result = await this.db.query(
+        `INSERT INTO workflow_definitions (name, version, description, definition, source)
+         VALUES ($1, $2, $3, $4, 'file')
+         ON CONFLICT (name, version) DO NOTHING
+         RETURNING id`,
+        [definition.name, version, definition.description || null, JSON.stringify(document)]
+      );
+
+      if (result.rows.length > 0) {
+        logger.info(`Loaded workflow definition ${definition.name} v${version} from ${file}`);
+        continue;
+      }
+
+      await this._seedConflicting(file, definition, version, document);
+    }
+  }
+
+  /**
+   * Store a file definition whose version holds another document as the next
+   * version, unless an earlier startup already did
+   * @private
+   */
+  async _seedConflicting(file, definition, version, document) {
+    const stored = await this.listVersions(definition.name);
+    const taken = stored.find(row => row.version === version);
+
+    if (!taken || isDeepStrictEqual(taken.definition, document)) {
+      return;
+    }
+
+    const seeded = stored.find(row => row.source === 'file' && isDeepStrictEqual(row.definition, document));
+    if (seeded) {
+      return;
+    }
+
+    const saved = await this.db.query(
+      `INSERT INTO workflow_definitions (name, version, description, definition, source)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, 'file'
+       FROM workflow_definitions WHERE name = $1
+       RETURNING version`,
+      [definition.name, definition.description || null, JSON.stringify(document)]
+    );
+
+    logger.warn(
+      `Workflow definition ${definition.name} v${version} in ${file} differs from the stored ` +
+      `v${version} (source: ${taken.source}); loaded it as v${saved.rows[0].version}`
+    );
+  }
+
+  /**
+   * Validate and save a definition as the next version of its name
+   *
+   * @param {Object} definition - Parsed definition
+   * @returns {Object} Saved definition row plus validation warnings
+   */
+  async save(definition) {
+    const { errors, warnings } = validateWorkflowDefinition(definition, { registry: this.registry });
+
+    if (errors.length > 0) {
+      throw createHttpError(400, 'Invalid workflow definition', { errors });
+    }
+
+    try {
+      const result = await this.db.query(
+        `INSERT INTO workflow_definitions (name, version, description, definition, source)
+         SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, 'api'
+         FROM workflow_definitions WHERE name = $1
+         RETURNING *`,
+        [definition.name, definition.description || null, JSON.stringify(this._document(definition))]
+      );
+
+      const saved = result.rows[0];
+      logger.info(`Saved workflow definition ${saved.name} v${saved.version}`);
+
+      return { ...saved, warnings };
+    } catch (error) {
+      if (error.code === '23505') {
+        throw createHttpError(409, `Workflow definition ${definition.name} was saved concurrently; retry the request`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a definition by name, latest version unless one is given
+   *
+   * @returns {Object|null} Definition row
+   */
+  async get(name, version = null) {
+    const result = version
+      ? await this.db.query(
+        'SELECT * FROM workflow_definitions WHERE name = $1 AND version = $2',
+        [name, version]
+      )
+      : await this.db.query(
+        'SELECT * FROM workflow_definitions WHERE name = $1 ORDER BY version DESC LIMIT 1',
+        [name]
+      );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Resolve a workflow type to its definition and ordered execution plan.
+   * Unknown types are rejected rather than falling back to another plan.
+   */
+  async getPlan(name, version = null) {
+    const row = await this.get(name, version);
+
+    if (!row) {
+      const label = version ? `${name} v${version}` : name;
+      throw createHttpError(400, `Unknown workflow type "${label}"`);
+    }
+
+    const { errors, plan } = validateWorkflowDefinition(row.definition);
+    if (errors.length > 0) {
+      throw new Error(`Stored workflow definition ${row.name} v${row.version} is invalid: ${errors.join('; ')}`);
+    }
+
+    return { definition: row, plan };
+  }
+
+  /**
+   * Latest version of every definition
+   */
+  async list() {
+    const result = await this.db.query(
+      `SELECT DISTINCT ON (name) * FROM workflow_definitions
+       ORDER BY name, version DESC`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Every version of one definition, newest first
+   */
+  async listVersions(name) {
+    const result = await this.db.query(
+      'SELECT * FROM workflow_definitions WHERE name = $1 ORDER BY version DESC',
+      [name]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Stored document: the definition without its version, which lives in its own column
+   * @private
+   */
+  _document(definition) {
+    const { version, ...document } = definition;
+    return document;
+  }
+}
+
+module.exports = { WorkflowDefinitionStore };
@@ -0,0 +1,182 @@
+/**
+ * Agent Profile Utility
+ * Validates agent profiles and applies them to generated copy: voice
+ * instructions for the prompt, banned-phrase checks and the disclaimer and
+ * contact footer appended to the output
+ */
+
+const { checkCompliance, rewriteContent } = require('./compliance-checker');
+
+const AGENT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/;
+const MAX_PHRASES = 25;
+const MAX_PHRASE_LENGTH = 100;
+
+// Text fields: API name -> column and maximum length
+const TEXT_FIELDS = {
+  name: { column: 'name', maxLength: 255 },
+  brokerage: { column: 'brokerage', maxLength: 255 },
+  voice: { column: 'voice', maxLength: 2000 },
+  tone: { column: 'tone', maxLength: 50 },
+  disclaimer: { column: 'disclaimer', maxLength: 1000 },
+  contactBlock: { column: 'contact_block', maxLength: 500 }
+};
+
+const PHRASE_FIELDS = {
+  signaturePhrases: 'signature_phrases',
+  bannedPhrases: 'banned_phrases'
+};
+
+/**
+ * Validate profile fields and map them to their columns.
+ * With `partial`, only the fields given are checked (for updates).
+ *
+ * @param {Object} data - Profile fields in API (camelCase) form
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow missing required fields
+ * @returns {Object} { valid, errors, value } where value maps column -> value
+ */
+function validateAgentProfile(data, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['profile must be an object'], value };
+  }
+
+  if (!partial) {
+    if (typeof data.agentId !== 'string' || !AGENT_ID_PATTERN.test(data.agentId)) {
+      errors.push('agentId is required: lower-case letters, digits, "-" or "_", up to 100 characters');
+    } else {
+      value.agent_id = data.agentId;
+    }
+  }
+
+  if (!partial && data.name === undefined) {
+    errors.push('name is required');
+  }
+
+  for (const [field, { column, maxLength }] of Object.entries(TEXT_FIELDS)) {
+    if (data[field] === undefined) {
+      continue;
+    }
+    if (data[field] === null && field !== 'name') {
+      value[column] = null;
+    } else if (typeof data[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (data[field].length > maxLength) {
+      errors.push(`${field} must be at most ${maxLength} characters`);
+    } else if (field === 'name' && data[field].trim() === '') {
+      errors.push('name must not be empty');
+    } else {
+      value[column] = data[field].trim();
+    }
+  }
+
+  for (const [field, column] of Object.entries(PHRASE_FIELDS)) {
+    if (data[field] === undefined) {
+      continue;
+    }
+
+    const phrases = data[field] === null ? [] : data[field];
+
+    if (!Array.isArray(phrases) || phrases.some(phrase => typeof phrase !== 'string' || phrase.trim() === '')) {
+      errors.push(`${field} must be an array of non-empty strings`);
+    } else if (phrases.length > MAX_PHRASES) {
+      errors.push(`${field} may have at most ${MAX_PHRASES} entries`);
+    } else if (phrases.some(phrase => phrase.length > MAX_PHRASE_LENGTH)) {
+      errors.push(`${field} entries must be at most ${MAX_PHRASE_LENGTH} characters`);
+    } else {
+      value[column] = [...new Set(phrases.map(phrase => phrase.trim()))];
+    }
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Prompt requirement lines for writing in the agent's voice
+ *
+ * @param {Object} agent - agent_profiles row
+ * @returns {string} Requirement lines, each starting with "- "
+ */
+function describeAgentVoice(agent) {
+  let lines = `- Write as ${agent.name}${agent.brokerage ? ` of ${agent.brokerage}` : ''}, in their voice\n`;
+
+  if (agent.voice) {
+    lines += `- Agent's voice: ${agent.voice}\n`;
+  }
+  if (agent.signature_phrases && agent.signature_phrases.length > 0) {
+    lines += `- Work in one of the agent's signature phrases where it fits naturally: ${agent.signature_phrases.map(phrase => `"${phrase}"`).join(', ')}\n`;
+  }
+  if (agent.banned_phrases && agent.banned_phrases.length > 0) {
+    lines += `- Never use these words or phrases: ${agent.banned_phrases.map(phrase => `"${phrase}"`).join(', ')}\n`;
+  }
+
+  lines += '- Do not add a disclaimer, signature or contact details; they are appended separately\n';
+
+  return lines;
+}
+
+/**
+ * Banned phrases as compliance-style rules, so the compliance checker can
+ * find and remove them
+ * @private
+ */
+function bannedPhraseRules(agent) {
+  return (agent.banned_phrases || []).map((phrase, index) => ({
+    id: `agent-banned-phrase-${index + 1}`,
+    category: 'agent_voice',
+    severity: 'prohibited',
+    pattern: `(?<!\\w)${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')}(?!\\w)`,
+    reason: `${agent.name} never uses "${phrase}"`,
+    suggestion: null
+  }));
+}
+
+/**
+ * Find the agent's banned phrases in a content object
+ *
+ * @returns {Array<Object>} Flags in the compliance checker's shape
+ */
+function findBannedPhrases(agent, content) {
+  const rules = bannedPhraseRules(agent);
+  return rules.length > 0 ? checkCompliance(content, { rules }).flags : [];
+}
+
+/**
+ * Remove every banned phrase from a content object
+ *
+ * @returns {Object} { content, removed } with the number of phrases removed
+ */
+function removeBannedPhrases(agent, content) {
+  const flags = findBannedPhrases(agent, content);
+
+  return {
+    content: flags.length > 0 ? rewriteContent(content, flags) : content,
+    removed: flags.length
+  };
+}
+
+/**
+ * Disclaimer and contact block to append to copy, separated by blank lines.
+ * Channels that may not carry contact details get only the disclaimer.
+ *
+ * @param {Object} agent - agent_profiles row
+ * @param {Object} options
+ * @param {boolean} options.contactInfo - Whether the contact block may be included
+ * @returns {string} Footer text, empty when there is nothing to append
+ */
+function buildAgentFooter(agent, { contactInfo = true } = {}) {
+  return [contactInfo ? agent.contact_block : null, agent.disclaimer]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+module.exports = {
+  AGENT_ID_PATTERN,
+  validateAgentProfile,
+  describeAgentVoice,
+  findBannedPhrases,
+  removeBannedPhrases,
+  buildAgentFooter
+};
@@ -0,0 +1,242 @@
+/**
+ * Channel Formatter
+ * Turns a channel format (config/channel-formats) into an output schema and
+ * prompt rules, and checks and enforces the format's rules on generated copy
+ */
+
+const { CHANNEL_FORMATS } = require('../config/channel-formats');
+const { countWords, truncateWords, truncateChars } = require('./text');
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}️?/gu;
+const HASHTAG_PATTERN = /^#[A-Za-z0-9_]+$/;
+const INLINE_HASHTAG_PATTERN = /(^|\s)#[A-Za-z0-9_]+/;
+const CONTACT_PATTERNS = [
+  ['URL', /\b(?:https?:\/\/|www\.)\S+/i],
+  ['email address', /\b[\w.+-]+@[\w-]+\.[\w.]+\b/],
+  ['phone number', /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/]
+];
+
+const FORMAT_NAMES = Object.keys(CHANNEL_FORMATS);
+
+/**
+ * Get a channel format by name
+ *
+ * @param {string} name - Format name
+ * @param {Object} options
+ * @param {Object} options.market - Market profile whose MLS rules apply to the mls format
+ * @param {number} options.footerLength - Characters to reserve in the format's footerField
+ *   for an agent footer appended after generation
+ * @returns {Object|null} Format with its `name`, or null when unknown
+ */
+function getChannelFormat(name, { market, footerLength = 0 } = {}) {
+  if (!CHANNEL_FORMATS[name]) {
+    return null;
+  }
+
+  const format = { name, ...CHANNEL_FORMATS[name] };
+
+  if (name === 'mls' && market && market.mls) {
+    format.label = `${market.mls.name} public remarks`;
+    format.fields = {
+      remarks: { ...format.fields.remarks, maxLength: market.mls.remarksMaxLength || format.fields.remarks.maxLength }
+    };
+    format.guidelines = [...format.guidelines, ...(market.mls.rules || [])];
+  }
+
+  // Leave room for the footer (plus its blank-line separator) in the field it is appended to
+  if (footerLength > 0 && format.footerField) {
+    const field = format.fields[format.footerField];
+    format.fields = {
+      ...format.fields,
+      [format.footerField]: { ...field, maxLength: Math.max(field.maxLength - footerLength - 2, 0) }
+    };
+  }
+
+  return format;
+}
+
+/**
+ * JSON Schema for a format's output
+ */
+function buildFormatSchema(format) {
+  const properties = { ...format.fields };
+
+  if (format.hashtags) {
+    properties.hashtags = {
+      type: 'array',
+      description: 'Hashtags, each starting with # and without spaces',
+      minItems: format.hashtags.min,
+      maxItems: format.hashtags.max,
+      items: { type: 'string', minLength: 2 }
+    };
+  }
+
+  return {
+    type: 'object',
+    required: Object.keys(properties),
+    properties
+  };
+}
+
+/**
+ * Prompt lines describing a format's rules
+ */
+function describeFormatRules(format) {
+  const lines = [`Channel: ${format.label}`];
+
+  for (const [field, schema] of Object.entries(format.fields)) {
+    const limits = [];
+    if (schema.maxWords) {
+      limits.push(`${schema.maxWords} words`);
+    }
+    if (schema.maxLength) {
+      limits.push(`${schema.maxLength} characters`);
+    }
+    if (schema.type === 'array') {
+      limits.push(`${schema.minItems}-${schema.maxItems} items of at most ${schema.items.maxLength} characters`);
+    }
+    lines.push(`- ${field}: ${schema.description}, at most ${limits.join(' and ')}`);
+  }
+
+  lines.push(format.emoji > 0 ? `- Emoji: at most ${format.emoji} in total` : '- Emoji: none');
+  lines.push(format.hashtags
+    ? `- Hashtags: ${format.hashtags.min}-${format.hashtags.max} in the hashtags field only, not in the text`
+    : '- Hashtags: none');
+
+  if (!format.contactInfo) {
+    lines.push('- No URLs, email addresses or phone numbers');
+  }
+
+  lines.push(`- Call to action: ${format.cta}`);
+  format.guidelines.forEach(guideline => lines.push(`- ${guideline}`));
+
+  return lines;
+}
+
+/**
+ * Tidy hashtags into "#Word" form, dropping duplicates
+ */
+function normalizeFormatContent(format, content) {
+  if (!format.hashtags || !Array.isArray(content.hashtags)) {
+    return content;
+  }
+
+  const seen = new Set();
+  const hashtags = content.hashtags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => `#${tag.replace(/^#+/, '').replace(/[^A-Za-z0-9_]/g, '')}`)
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (tag.length < 2 || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+
+  return { ...content, hashtags };
+}
+
+/**
+ * Check the rules a JSON Schema cannot express: emoji, hashtags and contact details
+ *
+ * @returns {Array<string>} Errors, empty when the content follows the rules
+ */
+function checkFormatRules(format, content) {
+  const errors = [];
+  const texts = Object.keys(format.fields)
+    .flatMap(field => [].concat(content[field] || []))
+    .filter(text => typeof text === 'string');
+
+  const emojiCount = texts.reduce((total, text) => total + (text.match(EMOJI_PATTERN) || []).length, 0);
+  if (emojiCount > format.emoji) {
+    errors.push(format.emoji === 0
+      ? `${format.label} must not contain emoji (found ${emojiCount})`
+      : `${format.label} may contain at most ${format.emoji} emoji (found ${emojiCount})`);
+  }
+
+  if (texts.some(text => INLINE_HASHTAG_PATTERN.test(text))) {
+    errors.push(format.hashtags
+      ? 'Hashtags belong in the hashtags field, not in the text'
+      : `${format.label} must not contain hashtags`);
+  }
+
+  for (const tag of Array.isArray(content.hashtags) ? content.hashtags : []) {
+    if (typeof tag === 'string' && !HASHTAG_PATTERN.test(tag)) {
+      errors.push(`Invalid hashtag "${tag}"`);
+    }
+  }
+
+  if (!format.contactInfo) {
+    for (const [label, pattern] of CONTACT_PATTERNS) {
+      if (texts.some(text => pattern.test(text))) {
+        errors.push(`${format.label} must not contain a ${label}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Force content within the format's hard limits after the model has had its
+ * chances: trim over-long text, drop disallowed emoji and surplus hashtags
+ *
+ * @returns {{ content: Object, adjustments: Array<string> }}
+ */
+function enforceFormatLimits(format, content) {
+  const adjusted = { ...content };
+  const adjustments = [];
+
+  const fitText = (text, schema, label) => {
+    let value = text;
+
+    if (format.emoji === 0 && value.match(EMOJI_PATTERN)) {
+      value = value.replace(EMOJI_PATTERN, '').replace(/\s{2,}/g, ' ').trim();
+      adjustments.push(`removed emoji from ${label}`);
+    }
+    if (schema.maxWords && countWords(value) > schema.maxWords) {
+      value = truncateWords(value, schema.maxWords);
+      adjustments.push(`shortened ${label} to ${schema.maxWords} words`);
+    }
+    if (schema.maxLength && value.length > schema.maxLength) {
+      value = truncateChars(value, schema.maxLength);
+      adjustments.push(`shortened ${label} to ${schema.maxLength} characters`);
+    }
+
+    return value;
+  };
+
+  for (const [field, schema] of Object.entries(format.fields)) {
+    const value = adjusted[field];
+
+    if (typeof value === 'string') {
+      adjusted[field] = fitText(value, schema, field);
+    } else if (Array.isArray(value) && schema.items) {
+      if (schema.maxItems && value.length > schema.maxItems) {
+        adjustments.push(`kept the first ${schema.maxItems} ${field}`);
+      }
+      adjusted[field] = value
+        .slice(0, schema.maxItems || value.length)
+        .filter(item => typeof item === 'string')
+        .map((item, index) => fitText(item, schema.items, `${field}[${index}]`));
+    }
+  }
+
+  if (format.hashtags && Array.isArray(adjusted.hashtags) && adjusted.hashtags.length > format.hashtags.max) {
+    adjusted.hashtags = adjusted.hashtags.slice(0, format.hashtags.max);
+    adjustments.push(`kept the first ${format.hashtags.max} hashtags`);
+  }
+
+  return { content: adjusted, adjustments };
+}
+
+module.exports = {
+  FORMAT_NAMES,
+  getChannelFormat,
+  buildFormatSchema,
+  describeFormatRules,
+  normalizeFormatContent,
+  checkFormatRules,
+  enforceFormatLimits
+};
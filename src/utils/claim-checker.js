@@ -0,0 +1,66 @@
+/**
+ * Claim Checker
+ * Flags features claimed in generated copy that neither the property data
+ * nor its photos support
+ */
+
+const { FEATURE_CLAIMS } = require('../config/feature-claims');
+const { checkCompliance } = require('./compliance-checker');
+
+/**
+ * Text the claims are checked against: features (including any seen in the
+ * photos), neighborhood and property type
+ *
+ * @param {Object} propertyData - Normalized property data
+ * @returns {string}
+ */
+function buildClaimEvidence(propertyData) {
+  return [
+    ...(propertyData.features || []),
+    propertyData.neighborhood,
+    propertyData.propertyType
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Check content for unsupported feature claims
+ *
+ * @param {Object|string} content - Content object (e.g. { headline, description, highlights }) or text
+ * @param {string} evidence - Evidence text from buildClaimEvidence
+ * @returns {Object} { status, supported, unsupported }
+ *   status is 'supported' or 'review'; each entry in `unsupported` has the
+ *   field path, the matched span (start/end/text), the rule id and the claim
+ */
+function checkClaims(content, evidence) {
+  const rules = FEATURE_CLAIMS
+    .filter(claim => !new RegExp(claim.evidence, 'i').test(evidence))
+    .map(claim => ({
+      id: claim.id,
+      severity: 'unsupported',
+      pattern: claim.pattern,
+      reason: `Mentions ${claim.claim}, which is not in the property data or photos`,
+      suggestion: null
+    }));
+
+  const unsupported = checkCompliance(content, { rules }).flags
+    .map(({ field, start, end, text, ruleId, reason }) => ({
+      field,
+      start,
+      end,
+      text,
+      ruleId,
+      claim: FEATURE_CLAIMS.find(claim => claim.id === ruleId).claim,
+      reason
+    }));
+
+  return {
+    status: unsupported.length > 0 ? 'review' : 'supported',
+    supported: unsupported.length === 0,
+    unsupported
+  };
+}
+
+module.exports = {
+  buildClaimEvidence,
+  checkClaims
+};
@@ -0,0 +1,199 @@
+/**
+ * Compliance Checker
+ * Scans generated marketing copy against the Fair Housing rule set
+ *
+ * Works on any content object: every string field and every string in an
+ * array field is scanned, so descriptions, headlines, highlights, captions and
+ * posts from any content node can be checked the same way.
+ */
+
+const { FAIR_HOUSING_RULES } = require('../config/fair-housing-rules');
+
+const COMPLIANCE_MODES = ['annotate', 'rewrite', 'block'];
+
+/**
+ * Collect the scannable text fields of a content object as [path, text] pairs
+ */
+function collectFields(content, prefix = '') {
+  if (typeof content === 'string') {
+    return [[prefix || 'text', content]];
+  }
+
+  const fields = [];
+
+  for (const [key, value] of Object.entries(content || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (typeof value === 'string') {
+      fields.push([path, value]);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        if (typeof item === 'string') {
+          fields.push([`${path}[${index}]`, item]);
+        }
+      });
+    } else if (value && typeof value === 'object') {
+      fields.push(...collectFields(value, path));
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Scan content for prohibited and risky phrases
+ *
+ * @param {Object|string} content - Content object (e.g. { headline, description, highlights }) or text
+ * @param {Object} options
+ * @param {Array<Object>} options.rules - Rule set, defaults to the Fair Housing rules
+ * @returns {Object} { status, compliant, flags }
+ *   status is 'compliant', 'review' (only risky phrases) or 'non_compliant';
+ *   each flag has the field path, the matched span (start/end/text), the rule,
+ *   its reason and a suggested replacement
+ */
+function checkCompliance(content, { rules = FAIR_HOUSING_RULES } = {}) {
+  const flags = [];
+
+  for (const [field, text] of collectFields(content)) {
+    for (const rule of rules) {
+      for (const match of text.matchAll(new RegExp(rule.pattern, 'gi'))) {
+        flags.push({
+          field,
+          start: match.index,
+          end: match.index + match[0].length,
+          text: match[0],
+          ruleId: rule.id,
+          category: rule.category,
+          severity: rule.severity,
+          reason: rule.reason,
+          suggestion: rule.suggestion === null ? '' : match[0].replace(new RegExp(rule.pattern, 'i'), rule.suggestion)
+        });
+      }
+    }
+  }
+
+  const prohibited = flags.some(flag => flag.severity === 'prohibited');
+
+  return {
+    status: prohibited ? 'non_compliant' : flags.length > 0 ? 'review' : 'compliant',
+    compliant: !prohibited,
+    flags
+  };
+}
+
+/**
+ * Replace every flagged span with its suggestion
+ *
+ * @param {Object|string} content - Content that was checked
+ * @param {Array<Object>} flags - Flags from checkCompliance
+ * @returns {Object|string} Content of the same shape with the flagged phrases replaced
+ */
+function rewriteContent(content, flags) {
+  const byField = new Map();
+  for (const flag of flags) {
+    if (!byField.has(flag.field)) {
+      byField.set(flag.field, []);
+    }
+    byField.get(flag.field).push(flag);
+  }
+
+  const rewriteText = (text, fieldFlags) => {
+    // Apply from the end so earlier offsets stay valid; skip spans overlapping one already replaced
+    const sorted = [...fieldFlags].sort((a, b) => b.start - a.start || b.end - a.end);
+    let result = text;
+    let boundary = Infinity;
+
+    for (const flag of sorted) {
+      if (flag.end > boundary) {
+        continue;
+      }
+      result = result.slice(0, flag.start) + matchCase(flag.text, flag.suggestion) + result.slice(flag.end);
+      boundary = flag.start;
+    }
+
+    return result.replace(/\s{2,}/g, ' ').replace(/\s+([.,;:!?])/g, '$1').trim();
+  };
+
+  const rewrite = (value, path) => {
+    if (typeof value === 'string') {
+      return byField.has(path) ? rewriteText(value, byField.get(path)) : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => rewrite(item, `${path}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+      const rewritten = {};
+      for (const [key, child] of Object.entries(value)) {
+        rewritten[key] = rewrite(child, path ? `${path}.${key}` : key);
+      }
+      return rewritten;
+    }
+    return value;
+  };
+
+  return typeof content === 'string' ? rewrite(content, 'text') : rewrite(content, '');
+}
+
+/**
+ * Check content and apply a compliance mode
+ *
+ * - annotate: return the content unchanged with the report
+ * - rewrite: replace flagged phrases with their suggestions, then re-check
+ * - block: like annotate, but `blocked` is true when a prohibited phrase is found
+ *
+ * @param {Object|string} content - Content to check
+ * @param {string} mode - 'annotate', 'rewrite' or 'block'
+ * @returns {Object} { content, compliance } where compliance is the report plus
+ *   `mode`, `blocked`, and for rewrites the `originalFlags`
+ */
+function enforceCompliance(content, mode = 'annotate') {
+  if (!COMPLIANCE_MODES.includes(mode)) {
+    throw new Error(`Unknown compliance mode "${mode}"; expected one of ${COMPLIANCE_MODES.join(', ')}`);
+  }
+
+  const report = checkCompliance(content);
+
+  if (mode === 'rewrite' && report.flags.length > 0) {
+    const rewritten = rewriteContent(content, report.flags);
+    const recheck = checkCompliance(rewritten);
+
+    return {
+      content: rewritten,
+      compliance: {
+        ...recheck,
+        mode,
+        blocked: false,
+        rewritten: true,
+        originalFlags: report.flags
+      }
+    };
+  }
+
+  return {
+    content,
+    compliance: {
+      ...report,
+      mode,
+      blocked: mode === 'block' && !report.compliant,
+      rewritten: false
+    }
+  };
+}
+
+/**
+ * Give a replacement the capitalization of the text it replaces
+ * @private
+ */
+function matchCase(original, replacement) {
+  if (!replacement || !/^[A-Z]/.test(original)) {
+    return replacement;
+  }
+  return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+}
+
+module.exports = {
+  COMPLIANCE_MODES,
+  checkCompliance,
+  rewriteContent,
+  enforceCompliance
+};
@@ -0,0 +1,32 @@
+/**
+ * CSV Utility
+ * Serializes rows for CSV downloads (RFC 4180 quoting)
+ */
+
+/**
+ * Quote a value when it contains a delimiter, quote or line break
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = Array.isArray(value) ? value.join(' | ') : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ *
+ * @param {Array<string>} columns - Column names, also the keys read from each row
+ * @param {Array<Object>} rows - Rows keyed by column name; arrays are joined with " | "
+ * @returns {string} CSV text with a header line and CRLF line endings
+ */
+function toCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escapeCsvValue).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
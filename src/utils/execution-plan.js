@@ -0,0 +1,72 @@
+/**
+ * Execution Plan Utility
+ * Validates workflow plans declared as dependency graphs and orders their steps
+ */
+
+/**
+ * Build an execution plan from a list of steps.
+ *
+ * Each step is `{ name, dependsOn }`. Steps are returned in a topological order
+ * (every step after the steps it depends on) with their `dependsOn` normalized to
+ * an array. Throws if a step name is duplicated, a dependency is unknown, or the
+ * graph contains a cycle.
+ *
+ * @param {Array<Object>} steps - Plan steps
+ * @param {string} planName - Plan name used in error messages
+ * @returns {Array<Object>} Ordered steps
+ */
+function buildExecutionPlan(steps, planName = 'plan') {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error(`Execution plan "${planName}" must declare at least one step`);
+  }
+
+  const byName = new Map();
+
+  for (const step of steps) {
+    if (!step || typeof step.name !== 'string' || step.name.length === 0) {
+      throw new Error(`Execution plan "${planName}" has a step without a name`);
+    }
+    if (byName.has(step.name)) {
+      throw new Error(`Execution plan "${planName}" declares step "${step.name}" more than once`);
+    }
+    byName.set(step.name, { ...step, dependsOn: step.dependsOn || [] });
+  }
+
+  for (const step of byName.values()) {
+    for (const dependency of step.dependsOn) {
+      if (!byName.has(dependency)) {
+        throw new Error(`Step "${step.name}" in execution plan "${planName}" depends on unknown step "${dependency}"`);
+      }
+    }
+  }
+
+  // Depth-first topological sort; a step seen again while still on the stack closes a cycle
+  const ordered = [];
+  const state = new Map();
+
+  const visit = (name, path) => {
+    if (state.get(name) === 'done') {
+      return;
+    }
+    if (state.get(name) === 'visiting') {
+      const cycle = path.slice(path.indexOf(name)).concat(name);
+      throw new Error(`Execution plan "${planName}" contains a dependency cycle: ${cycle.join(' -> ')}`);
+    }
+
+    state.set(name, 'visiting');
+    const step = byName.get(name);
+    for (const dependency of step.dependsOn) {
+      visit(dependency, path.concat(name));
+    }
+    state.set(name, 'done');
+    ordered.push(step);
+  };
+
+  for (const name of byName.keys()) {
+    visit(name, []);
+  }
+
+  return ordered;
+}
+
+module.exports = { buildExecutionPlan };
@@ -0,0 +1,79 @@
+/**
+ * Generation Options Utility
+ * Checks the options of a description generation request before any work
+ * is queued or started
+ */
+
+const { MARKET_IDS } = require('../config/markets');
+const { LANGUAGES } = require('../config/locales');
+const { FORMAT_NAMES } = require('./channel-formatter');
+const { AGENT_ID_PATTERN } = require('./agent-profile');
+
+// Every validation attempt is a paid LLM call, so a request may not ask for more
+const MAX_VALIDATION_ATTEMPTS = 5;
+const MIN_MAX_LENGTH = 25;
+const MAX_MAX_LENGTH = 1000;
+const MAX_TONE_LENGTH = 50;
+
+const isWholeNumberIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate description generation options. Agent profiles are only checked
+ * for a well-formed agentId; whether the profile exists needs the database.
+ *
+ * @param {Object} options - Options as sent to /api/generate-description
+ * @returns {Array<string>} Error messages, empty when the options are valid
+ */
+function validateGenerationOptions(options) {
+  const errors = [];
+
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return ['options must be an object'];
+  }
+
+  if (options.variants !== undefined && !isWholeNumberIn(options.variants, 1, 5)) {
+    errors.push('options.variants must be a whole number from 1 to 5');
+  }
+
+  if (options.maxValidationAttempts !== undefined &&
+      !isWholeNumberIn(options.maxValidationAttempts, 1, MAX_VALIDATION_ATTEMPTS)) {
+    errors.push(`options.maxValidationAttempts must be a whole number from 1 to ${MAX_VALIDATION_ATTEMPTS}`);
+  }
+
+  if (options.maxLength !== undefined && !isWholeNumberIn(options.maxLength, MIN_MAX_LENGTH, MAX_MAX_LENGTH)) {
+    errors.push(`options.maxLength must be a whole number of words from ${MIN_MAX_LENGTH} to ${MAX_MAX_LENGTH}`);
+  }
+
+  if (options.tone !== undefined &&
+      (typeof options.tone !== 'string' || !options.tone.trim() ||
+       options.tone.length > MAX_TONE_LENGTH || /[\r\n]/.test(options.tone))) {
+    errors.push(`options.tone must be a single line of 1 to ${MAX_TONE_LENGTH} characters`);
+  }
+
+  if (options.market !== undefined && !MARKET_IDS.includes(options.market)) {
+    errors.push(`Unknown market "${options.market}"; expected one of ${MARKET_IDS.join(', ')}`);
+  }
+
+  const languages = [].concat(options.languages || options.language || []);
+  const unknownLanguages = languages.filter(language => !LANGUAGES.includes(language));
+
+  if (unknownLanguages.length > 0) {
+    errors.push(`Unknown language(s) ${unknownLanguages.join(', ')}; expected one of ${LANGUAGES.join(', ')}`);
+  }
+
+  const formats = [].concat(options.formats || options.format || []);
+  const unknownFormats = formats.filter(format => !FORMAT_NAMES.includes(format));
+
+  if (unknownFormats.length > 0) {
+    errors.push(`Unknown format(s) ${unknownFormats.join(', ')}; expected one of ${FORMAT_NAMES.join(', ')}`);
+  }
+
+  if (options.agentId !== undefined &&
+      (typeof options.agentId !== 'string' || !AGENT_ID_PATTERN.test(options.agentId))) {
+    errors.push(`Unknown agent "${options.agentId}"`);
+  }
+
+  return errors;
+}
+
+module.exports = { validateGenerationOptions, MAX_VALIDATION_ATTEMPTS };
@@ -0,0 +1,53 @@
+/**
+ * HTTP Error Utility
+ * Errors carrying the HTTP status the API should answer with
+ */
+
+const logger = require('./logger');
+
+/**
+ * Create an Error with a `statusCode` for the route handlers to respond with
+ *
+ * @param {number} statusCode - HTTP status code (e.g. 400, 404, 409)
+ * @param {string} message - Error message returned to the client
+ * @param {Object} details - Extra fields copied onto the error
+ * @returns {Error}
+ */
+function createHttpError(statusCode, message, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Send an error response using the error's `statusCode` (500 when absent).
+ * Only server errors are logged; client errors are expected traffic.
+ *
+ * @param {Object} res - Express response
+ * @param {string} route - Route label for the log entry
+ * @param {Error} error - Error to report
+ */
+function sendError(res, route, error) {
+  const statusCode = error.statusCode || 500;
+
+  if (statusCode >= 500) {
+    logger.error(`Error in ${route}:`, error);
+  }
+
+  const body = {
+    success: false,
+    error: error.message
+  };
+
+  if (error.errors) {
+    body.errors = error.errors;
+  }
+
+  res.status(statusCode).json(body);
+}
+
+module.exports = {
+  createHttpError,
+  sendError
+};
@@ -0,0 +1,138 @@
+/**
+ * JSON Schema Utility
+ * Validation for the JSON Schema subset used to describe structured LLM output
+ *
+ * Supported keywords: type (object, array, string, number, integer, boolean),
+ * properties, required, items, minItems, maxItems, minLength, maxLength, enum,
+ * and the non-standard maxWords for word limits on strings.
+ */
+
+const { countWords } = require('./text');
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} Human-readable errors, empty when valid
+ */
+function validateSchema(value, schema, path = 'response') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push(`${path}.${key} is required`);
+        }
+      }
+      for (const [key, childSchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined && value[key] !== null) {
+          errors.push(...validateSchema(value[key], childSchema, `${path}.${key}`));
+        }
+      }
+      break;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return [`${path} must be an array`];
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items (has ${value.length})`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items (has ${value.length})`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+      break;
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        return [`${path} must be a string`];
+      }
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} must be at most ${schema.maxLength} characters (has ${value.length})`);
+      }
+      if (schema.maxWords !== undefined && countWords(value) > schema.maxWords) {
+        errors.push(`${path} must be at most ${schema.maxWords} words (has ${countWords(value)})`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+      }
+      break;
+    }
+
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || Number.isNaN(value) ||
+          (schema.type === 'integer' && !Number.isInteger(value))) {
+        return [`${path} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`];
+      }
+      break;
+    }
+
+    case 'boolean': {
+      if (typeof value !== 'boolean') {
+        return [`${path} must be a boolean`];
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a JSON object out of model output, tolerating code fences or prose around it
+ *
+ * @param {string} text - Model output
+ * @returns {Object|null} Parsed object, or null when no JSON object is found
+ */
+function parseJsonResponse(text) {
+  const candidates = [text];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidates.push(fenced[1]);
+  }
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate.trim());
+      if (parsed && typeof parsed === 'object') {
+        return parsed;
+      }
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateSchema,
+  parseJsonResponse
+};
@@ -0,0 +1,45 @@
+/**
+ * Locale Formatting Utility
+ * Number, currency and template formatting for a locale from config/locales
+ */
+
+/**
+ * Format an amount in the locale's currency, without cents
+ */
+function formatCurrency(amount, locale) {
+  return new Intl.NumberFormat(locale.locale, {
+    style: 'currency',
+    currency: locale.currency,
+    maximumFractionDigits: 0
+  }).format(amount);
+}
+
+/**
+ * Format a number with the locale's grouping and decimal separators
+ */
+function formatNumber(value, locale) {
+  return new Intl.NumberFormat(locale.locale).format(value);
+}
+
+/**
+ * Fill {placeholders} in a template; returns null when a placeholder has no value
+ */
+function fillTemplate(template, values) {
+  let missing = false;
+
+  const text = template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (values[key] === undefined || values[key] === null || values[key] === '') {
+      missing = true;
+      return '';
+    }
+    return values[key];
+  });
+
+  return missing ? null : text;
+}
+
+module.exports = {
+  formatCurrency,
+  formatNumber,
+  fillTemplate
+};
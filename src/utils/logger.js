@@ -16,6 +16,8 @@ const logger = winston.createLogger({
     winston.format.json()
   ),
   defaultMeta: { service: 'empire-system' },
+  // Keep test runs quiet
+  silent: process.env.NODE_ENV === 'test',
   transports: [
     // Console output
     new winston.transports.Console({
@@ -36,8 +38,8 @@ const logger = winston.createLogger({
   ]
 });
 
-// If we're not in production, log to file as well
-if (process.env.NODE_ENV !== 'production') {
+// If we're not in production (or under test), log to file as well
+if (!['production', 'test'].includes(process.env.NODE_ENV)) {
   logger.add(new winston.transports.File({ 
     filename: 'logs/error.log', 
     level: 'error' 
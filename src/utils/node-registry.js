@@ -0,0 +1,106 @@
+/**
+ * Node Registry
+ * Discovers executable nodes in src/nodes and maps execution plan steps to them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const NODES_DIR = path.join(__dirname, '..', 'nodes');
+
+class NodeRegistry {
+  constructor(nodesDir = NODES_DIR) {
+    this.nodesDir = nodesDir;
+    this.steps = new Map();
+    this.initializing = new Map();
+  }
+
+  /**
+   * Load every node module and register the classes that implement execute(context).
+   * A node declares the plan steps it handles in its `steps` property.
+   */
+  discover() {
+    const files = fs.readdirSync(this.nodesDir).filter(file => file.endsWith('.js'));
+
+    for (const file of files) {
+      const exported = require(path.join(this.nodesDir, file));
+
+      for (const NodeClass of Object.values(exported)) {
+        if (typeof NodeClass !== 'function' || typeof NodeClass.prototype.execute !== 'function') {
+          continue;
+        }
+
+        this.register(new NodeClass());
+      }
+    }
+
+    logger.info(`Node registry loaded ${this.steps.size} step handlers from ${this.nodesDir}`);
+  }
+
+  /**
+   * Register a node instance for each of its declared steps
+   */
+  register(node) {
+    const steps = node.steps || [];
+
+    if (steps.length === 0) {
+      logger.warn(`Node ${node.nodeId} implements execute() but declares no steps; skipping`);
+      return;
+    }
+
+    for (const step of steps) {
+      const existing = this.steps.get(step);
+      if (existing && existing !== node) {
+        throw new Error(`Step "${step}" is already handled by ${existing.nodeId}; cannot register ${node.nodeId}`);
+      }
+      this.steps.set(step, node);
+    }
+  }
+
+  has(step) {
+    return this.steps.has(step);
+  }
+
+  /**
+   * Get the node registered for a step without initializing it
+   */
+  get(step) {
+    return this.steps.get(step) || null;
+  }
+
+  /**
+   * Resolve a step to its node, initializing the node on first use
+   */
+  async resolve(step) {
+    const node = this.steps.get(step);
+
+    if (!node) {
+      throw new Error(`No node registered for step "${step}"`);
+    }
+
+    if (!this.initializing.has(node)) {
+      const pending = Promise.resolve(node.initialize ? node.initialize() : true);
+      this.initializing.set(node, pending);
+
+      // Let a failed initialization be retried on the next job
+      pending.catch(() => this.initializing.delete(node));
+    }
+
+    await this.initializing.get(node);
+    return node;
+  }
+
+  /**
+   * List registered steps and the node handling each
+   */
+  list() {
+    return Array.from(this.steps.entries()).map(([step, node]) => ({
+      step,
+      nodeId: node.nodeId,
+      nodeName: node.nodeName
+    }));
+  }
+}
+
+module.exports = { NodeRegistry };
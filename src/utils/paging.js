@@ -0,0 +1,24 @@
+/**
+ * Paging Utility
+ * Limit and offset for list endpoints, read from query strings
+ */
+
+/**
+ * Parse `limit` and `offset` into whole numbers safe to bind as query
+ * parameters. Missing or invalid values fall back to the defaults and the
+ * limit is capped, so a client cannot ask for the whole table.
+ *
+ * @param {Object} filters - Filters holding `limit` and `offset` (strings or numbers)
+ * @param {Object} defaults
+ * @param {number} defaults.defaultLimit - Limit when none is given
+ * @param {number} defaults.maxLimit - Largest limit allowed
+ * @returns {{limit: number, offset: number}}
+ */
+function parsePaging({ limit, offset } = {}, { defaultLimit = 50, maxLimit = 100 } = {}) {
+  return {
+    limit: Math.min(Math.max(parseInt(limit) || defaultLimit, 1), maxLimit),
+    offset: Math.max(parseInt(offset) || 0, 0)
+  };
+}
+
+module.exports = { parsePaging };
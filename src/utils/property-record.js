@@ -0,0 +1,169 @@
+/**
+ * Property Record Utility
+ * Validates stored property records and converts between records and the
+ * propertyData content nodes work from
+ *
+ * A record is propertyData (validated by property-validator) plus the fields
+ * only the database keeps: propertyId, street, postalCode, listing status and
+ * the listing agent.
+ */
+
+const { validatePropertyData } = require('./property-validator');
+const { AGENT_ID_PATTERN } = require('./agent-profile');
+
+const PROPERTY_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:-]{0,254}$/;
+const PROPERTY_STATUSES = ['coming_soon', 'active', 'pending', 'sold', 'withdrawn', 'expired'];
+
+// Optional text fields only the record keeps: API name -> column and maximum length
+const RECORD_TEXT_FIELDS = {
+  street: { column: 'street', maxLength: 255 },
+  postalCode: { column: 'postal_code', maxLength: 20 }
+};
+
+/**
+ * Street, city, state and postal code of an address such as
+ * "123 Main St, Loveland, CO 80537"; parts that cannot be read are left out
+ */
+function parseAddress(address) {
+  const parts = (address || '').split(',').map(part => part.trim()).filter(Boolean);
+
+  if (parts.length < 3) {
+    return {};
+  }
+
+  const region = parts[parts.length - 1].match(/^([A-Za-z]{2})(?:\s+(\d{5}(?:-\d{4})?))?$/);
+
+  return {
+    street: parts.slice(0, -2).join(', '),
+    city: parts[parts.length - 2],
+    state: region ? region[1].toUpperCase() : undefined,
+    postalCode: region ? region[2] : undefined
+  };
+}
+
+/**
+ * Validate a property record and map it to its columns
+ *
+ * @param {Object} data - propertyData fields plus propertyId, street, postalCode,
+ *   status and agentId, in API (camelCase) form
+ * @returns {Object} { valid, errors, value } where value maps column -> value
+ */
+function validatePropertyRecord(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['property must be an object'], value: null };
+  }
+
+  const { valid, errors, value: propertyData } = validatePropertyData(data);
+  const propertyId = typeof data.propertyId === 'number' ? String(data.propertyId) : data.propertyId;
+
+  if (typeof propertyId !== 'string' || !PROPERTY_ID_PATTERN.test(propertyId)) {
+    errors.push('propertyId is required: letters, digits, "_", "-", "." or ":", up to 255 characters');
+  }
+
+  for (const [field, { maxLength }] of Object.entries(RECORD_TEXT_FIELDS)) {
+    if (data[field] !== undefined && data[field] !== null) {
+      if (typeof data[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      } else if (data[field].length > maxLength) {
+        errors.push(`${field} must be at most ${maxLength} characters`);
+      }
+    }
+  }
+
+  if (data.status !== undefined && !PROPERTY_STATUSES.includes(data.status)) {
+    errors.push(`status must be one of ${PROPERTY_STATUSES.join(', ')} (got ${JSON.stringify(data.status)})`);
+  }
+
+  if (data.agentId !== undefined && data.agentId !== null &&
+      (typeof data.agentId !== 'string' || !AGENT_ID_PATTERN.test(data.agentId))) {
+    errors.push(`agentId must be an agent profile ID (got ${JSON.stringify(data.agentId)})`);
+  }
+
+  if (!valid || errors.length > 0) {
+    return { valid: false, errors, value: null };
+  }
+
+  // Address components not given are read from the address line
+  const parsed = parseAddress(propertyData.address);
+  const text = (field) => (typeof data[field] === 'string' && data[field].trim()) || null;
+
+  return {
+    valid: true,
+    errors,
+    value: {
+      property_id: propertyId,
+      address: propertyData.address,
+      street: text('street') || parsed.street || null,
+      city: propertyData.city || parsed.city || null,
+      state: propertyData.state || parsed.state || null,
+      postal_code: text('postalCode') || parsed.postalCode || null,
+      neighborhood: propertyData.neighborhood || null,
+      market: propertyData.market || null,
+      price: propertyData.price,
+      bedrooms: propertyData.bedrooms,
+      bathrooms: propertyData.bathrooms,
+      sqft: propertyData.sqft,
+      property_type: propertyData.propertyType,
+      features: propertyData.features,
+      photos: propertyData.photos,
+      status: data.status || 'active',
+      agent_id: data.agentId || null
+    }
+  };
+}
+
+/**
+ * A stored record in API (camelCase) form, the shape validatePropertyRecord accepts
+ */
+function toPropertyRecord(row) {
+  const record = {
+    propertyId: row.property_id,
+    ...toPropertyData(row),
+    street: row.street,
+    postalCode: row.postal_code,
+    status: row.status,
+    agentId: row.agent_id
+  };
+
+  for (const key of Object.keys(record)) {
+    if (record[key] === null) {
+      delete record[key];
+    }
+  }
+
+  return record;
+}
+
+/**
+ * propertyData for the content nodes from a stored record
+ */
+function toPropertyData(row) {
+  const propertyData = {
+    address: row.address,
+    price: row.price,
+    bedrooms: row.bedrooms,
+    // NUMERIC columns are read back as strings
+    bathrooms: Number(row.bathrooms),
+    sqft: row.sqft,
+    propertyType: row.property_type,
+    features: row.features || [],
+    photos: row.photos || []
+  };
+
+  for (const [field, column] of [['neighborhood', 'neighborhood'], ['city', 'city'], ['state', 'state'], ['market', 'market']]) {
+    if (row[column]) {
+      propertyData[field] = row[column];
+    }
+  }
+
+  return propertyData;
+}
+
+module.exports = {
+  PROPERTY_ID_PATTERN,
+  PROPERTY_STATUSES,
+  parseAddress,
+  validatePropertyRecord,
+  toPropertyRecord,
+  toPropertyData
+};
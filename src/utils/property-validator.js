@@ -0,0 +1,289 @@
+/**
+ * Property Validator
+ * Validates and normalizes the propertyData every content node works from
+ *
+ * Accepts the shapes agents and MLS exports commonly send ("$450,000",
+ * "450k", "3.5" baths, "1,800 sq ft", features as one comma-separated
+ * string) and returns clean values, or every invalid field at once.
+ * Fields not described here are passed through unchanged.
+ */
+
+const { MARKET_IDS } = require('../config/markets');
+const { createHttpError } = require('./http-error');
+
+const PROPERTY_TYPES = ['house', 'condo', 'townhouse', 'multi-family', 'manufactured', 'land'];
+
+// Common spellings mapped onto PROPERTY_TYPES
+const PROPERTY_TYPE_ALIASES = {
+  'single family': 'house',
+  'single-family': 'house',
+  'single family home': 'house',
+  'single family residence': 'house',
+  'home': 'house',
+  'ranch': 'house',
+  'condominium': 'condo',
+  'apartment': 'condo',
+  'townhome': 'townhouse',
+  'town home': 'townhouse',
+  'duplex': 'multi-family',
+  'triplex': 'multi-family',
+  'fourplex': 'multi-family',
+  'multifamily': 'multi-family',
+  'multi family': 'multi-family',
+  'mobile home': 'manufactured',
+  'mobile': 'manufactured',
+  'lot': 'land',
+  'vacant land': 'land'
+};
+
+const MAX_FEATURES = 30;
+const MAX_FEATURE_LENGTH = 120;
+const MAX_PHOTOS = 25;
+
+/**
+ * Read a number from a number or a string such as "$450,000", "450k", "1.2M" or "1,800 sq ft"
+ *
+ * @returns {number|null} The number, or null when the value is not numeric
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?)([km])?(?:sq\.?ft\.?|sqft|squarefeet|baths?|beds?)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const multiplier = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+  return parseFloat(match[1]) * multiplier;
+}
+
+/**
+ * Split a feature list given as an array or as one comma, semicolon or line separated string
+ */
+function parseFeatures(value) {
+  const items = Array.isArray(value) ? value : String(value).split(/[,;\n]|\s+•\s+/);
+  const seen = new Set();
+
+  return items
+    .filter(item => typeof item === 'string')
+    .map(item => item.replace(/^[-•*]\s*/, '').trim())
+    .filter(item => {
+      const key = item.toLowerCase();
+      if (!item || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Normalize a photo list given as URLs, local paths or { url | path, caption } objects
+ *
+ * @returns {{ photos: Array<Object>, errors: Array<string> }} Photos as
+ *   { url, caption } or { path, caption } objects; paths are relative to PHOTO_DIR
+ */
+function parsePhotos(value) {
+  if (!Array.isArray(value)) {
+    return { photos: [], errors: ['photos must be an array of URLs, paths or { url | path, caption } objects'] };
+  }
+
+  if (value.length > MAX_PHOTOS) {
+    return { photos: [], errors: [`photos must have at most ${MAX_PHOTOS} items (got ${value.length})`] };
+  }
+
+  const photos = [];
+  const errors = [];
+
+  value.forEach((item, index) => {
+    const photo = typeof item === 'string' ? { source: item } : item;
+    const source = photo && typeof photo === 'object' ? photo.url || photo.path || photo.source : null;
+
+    if (typeof source !== 'string' || source.trim() === '') {
+      errors.push(`photos[${index}] must be a URL, a path or an object with a url or path`);
+      return;
+    }
+    if (photo.caption !== undefined && photo.caption !== null && typeof photo.caption !== 'string') {
+      errors.push(`photos[${index}].caption must be a string`);
+      return;
+    }
+
+    const trimmed = source.trim();
+    const caption = photo.caption ? photo.caption.trim() : undefined;
+
+    if (/^https?:\/\//i.test(trimmed)) {
+      photos.push({ url: trimmed, caption });
+    } else if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed) || photo.url) {
+      errors.push(`photos[${index}] must be an http(s) URL or a local path (got ${JSON.stringify(trimmed.slice(0, 40))})`);
+    } else {
+      photos.push({ path: trimmed, caption });
+    }
+  });
+
+  return { photos, errors };
+}
+
+/**
+ * Validate and normalize property data
+ *
+ * @param {Object} propertyData - Raw property data
+ * @returns {{ valid: boolean, errors: Array<string>, value: Object|null }}
+ *   `value` is the normalized data when valid
+ */
+function validatePropertyData(propertyData) {
+  if (propertyData === null || typeof propertyData !== 'object' || Array.isArray(propertyData)) {
+    return { valid: false, errors: ['propertyData must be an object'], value: null };
+  }
+
+  const errors = [];
+  const value = { ...propertyData };
+
+  // address: required text
+  if (typeof propertyData.address !== 'string' || propertyData.address.trim() === '') {
+    errors.push('address is required');
+  } else {
+    value.address = propertyData.address.trim().replace(/\s{2,}/g, ' ');
+  }
+
+  // price: required, positive
+  const price = parseNumber(propertyData.price);
+  if (propertyData.price === undefined || propertyData.price === null || propertyData.price === '') {
+    errors.push('price is required');
+  } else if (price === null || price <= 0 || price > 1e9) {
+    errors.push(`price must be a positive amount (got ${JSON.stringify(propertyData.price)})`);
+  } else {
+    value.price = Math.round(price);
+  }
+
+  // bedrooms: required whole number
+  const bedrooms = parseNumber(propertyData.bedrooms);
+  if (propertyData.bedrooms === undefined || propertyData.bedrooms === null || propertyData.bedrooms === '') {
+    errors.push('bedrooms is required');
+  } else if (bedrooms === null || !Number.isInteger(bedrooms) || bedrooms < 0 || bedrooms > 50) {
+    errors.push(`bedrooms must be a whole number from 0 to 50 (got ${JSON.stringify(propertyData.bedrooms)})`);
+  } else {
+    value.bedrooms = bedrooms;
+  }
+
+  // bathrooms: required, in quarter baths
+  const bathrooms = parseNumber(propertyData.bathrooms);
+  if (propertyData.bathrooms === undefined || propertyData.bathrooms === null || propertyData.bathrooms === '') {
+    errors.push('bathrooms is required');
+  } else if (bathrooms === null || bathrooms < 0 || bathrooms > 50 || !Number.isInteger(bathrooms * 4)) {
+    errors.push(`bathrooms must be a number from 0 to 50 in steps of 0.25 (got ${JSON.stringify(propertyData.bathrooms)})`);
+  } else {
+    value.bathrooms = bathrooms;
+  }
+
+  // sqft: required whole square feet
+  const sqft = parseNumber(propertyData.sqft);
+  if (propertyData.sqft === undefined || propertyData.sqft === null || propertyData.sqft === '') {
+    errors.push('sqft is required');
+  } else if (sqft === null || sqft < 100 || sqft > 100000) {
+    errors.push(`sqft must be a number from 100 to 100,000 (got ${JSON.stringify(propertyData.sqft)})`);
+  } else {
+    value.sqft = Math.round(sqft);
+  }
+
+  // propertyType: required, one of PROPERTY_TYPES or a known alias
+  if (typeof propertyData.propertyType !== 'string' || propertyData.propertyType.trim() === '') {
+    errors.push('propertyType is required');
+  } else {
+    const type = propertyData.propertyType.trim().toLowerCase().replace(/_/g, ' ');
+    const normalized = PROPERTY_TYPES.includes(type.replace(/ /g, '-'))
+      ? type.replace(/ /g, '-')
+      : PROPERTY_TYPE_ALIASES[type];
+
+    if (!normalized) {
+      errors.push(`propertyType must be one of ${PROPERTY_TYPES.join(', ')} (got "${propertyData.propertyType}")`);
+    } else {
+      value.propertyType = normalized;
+    }
+  }
+
+  // features: optional list of short phrases
+  if (propertyData.features !== undefined && propertyData.features !== null) {
+    if (!Array.isArray(propertyData.features) && typeof propertyData.features !== 'string') {
+      errors.push('features must be an array of strings or a comma-separated string');
+    } else {
+      const features = parseFeatures(propertyData.features);
+      const tooLong = features.filter(feature => feature.length > MAX_FEATURE_LENGTH);
+
+      if (features.length > MAX_FEATURES) {
+        errors.push(`features must have at most ${MAX_FEATURES} items (got ${features.length})`);
+      } else if (tooLong.length > 0) {
+        errors.push(`features must each be at most ${MAX_FEATURE_LENGTH} characters ("${tooLong[0].slice(0, 30)}..." is ${tooLong[0].length})`);
+      } else {
+        value.features = features;
+      }
+    }
+  } else {
+    value.features = [];
+  }
+
+  // neighborhood: optional text
+  if (propertyData.neighborhood !== undefined && propertyData.neighborhood !== null) {
+    if (typeof propertyData.neighborhood !== 'string') {
+      errors.push('neighborhood must be a string');
+    } else {
+      value.neighborhood = propertyData.neighborhood.trim() || undefined;
+    }
+  }
+
+  // city and state: optional text, used to pick the market when the address has no city
+  for (const field of ['city', 'state']) {
+    if (propertyData[field] !== undefined && propertyData[field] !== null) {
+      if (typeof propertyData[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      } else {
+        value[field] = propertyData[field].trim() || undefined;
+      }
+    }
+  }
+
+  // photos: optional list of photo URLs or local paths
+  if (propertyData.photos !== undefined && propertyData.photos !== null) {
+    const { photos, errors: photoErrors } = parsePhotos(propertyData.photos);
+    errors.push(...photoErrors);
+    value.photos = photos;
+  } else {
+    value.photos = [];
+  }
+
+  // market: optional market profile id
+  if (propertyData.market !== undefined && propertyData.market !== null && !MARKET_IDS.includes(propertyData.market)) {
+    errors.push(`market must be one of ${MARKET_IDS.join(', ')} (got ${JSON.stringify(propertyData.market)})`);
+  }
+
+  return errors.length > 0
+    ? { valid: false, errors, value: null }
+    : { valid: true, errors, value };
+}
+
+/**
+ * Normalize property data, throwing a 400 error that lists every invalid field
+ *
+ * @returns {Object} Normalized property data
+ */
+function assertValidPropertyData(propertyData) {
+  const { valid, errors, value } = validatePropertyData(propertyData);
+
+  if (!valid) {
+    throw createHttpError(400, 'Invalid propertyData', { errors });
+  }
+
+  return value;
+}
+
+module.exports = {
+  PROPERTY_TYPES,
+  MAX_PHOTOS,
+  parsePhotos,
+  validatePropertyData,
+  assertValidPropertyData
+};
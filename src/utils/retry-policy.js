@@ -0,0 +1,105 @@
+/**
+ * Retry Policy Utility
+ * Decides whether a failed workflow job is retried and how long to wait
+ */
+
+/**
+ * Policy applied to any node that does not declare its own `retryPolicy`.
+ *
+ * - maxAttempts: total attempts including the first one
+ * - backoff: 'exponential' doubles `delay` after each attempt up to `maxDelay`;
+ *   'fixed' always waits `delay` milliseconds
+ * - retryOn: error classes that are retried (see classifyError)
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  backoff: {
+    type: 'exponential',
+    delay: 1000,
+    maxDelay: 60000
+  },
+  retryOn: ['rate_limit', 'server_error', 'timeout', 'network', 'interrupted', 'retryable']
+};
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Merge a node's policy (and optional per-step overrides) over the default policy
+ */
+function resolveRetryPolicy(...overrides) {
+  return overrides.filter(Boolean).reduce((policy, override) => ({
+    ...policy,
+    ...override,
+    backoff: { ...policy.backoff, ...(override.backoff || {}) }
+  }), DEFAULT_RETRY_POLICY);
+}
+
+/**
+ * Classify an error into one of the classes a policy can retry on:
+ * rate_limit, server_error, timeout, network, interrupted, retryable or fatal.
+ * 'interrupted' is a job whose worker stopped mid-run (crash or stalled job).
+ */
+function classifyError(error) {
+  if (error.retryable === false) {
+    return 'fatal';
+  }
+
+  if (error.code === 'JOB_INTERRUPTED') {
+    return 'interrupted';
+  }
+
+  const status = error.status || (error.response && error.response.status);
+
+  if (status === 429) {
+    return 'rate_limit';
+  }
+  if (status >= 500) {
+    return 'server_error';
+  }
+  if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+    return 'timeout';
+  }
+  if (NETWORK_ERROR_CODES.includes(error.code)) {
+    return 'network';
+  }
+  if (error.retryable === true) {
+    return 'retryable';
+  }
+
+  return 'fatal';
+}
+
+/**
+ * Whether a job that just failed its `attempts`-th attempt should run again
+ */
+function shouldRetry(policy, error, attempts) {
+  return attempts < policy.maxAttempts && policy.retryOn.includes(classifyError(error));
+}
+
+/**
+ * Delay in milliseconds before attempt number `attempts + 1`.
+ * A Retry-After header on a rate-limited response is honored when it is longer.
+ */
+function getRetryDelay(policy, attempts, error) {
+  const { type, delay, maxDelay } = policy.backoff;
+
+  let wait = type === 'fixed' ? delay : delay * Math.pow(2, attempts - 1);
+  wait = Math.min(wait, maxDelay || wait);
+
+  const headers = error && error.response && error.response.headers;
+  const retryAfter = headers && parseInt(headers['retry-after']);
+  if (retryAfter > 0) {
+    wait = Math.max(wait, retryAfter * 1000);
+  }
+
+  return wait;
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  classifyError,
+  shouldRetry,
+  getRetryDelay
+};
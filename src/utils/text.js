@@ -0,0 +1,52 @@
+/**
+ * Text Utility
+ * Word counting and length helpers for generated copy
+ */
+
+/**
+ * Count words as runs of non-whitespace characters
+ */
+function countWords(text) {
+  return ((text || '').match(/\S+/g) || []).length;
+}
+
+/**
+ * Shorten text to at most `maxWords` words, ending at a sentence boundary
+ * when one falls in the second half of the kept text
+ */
+function truncateWords(text, maxWords) {
+  const words = (text || '').match(/\S+/g) || [];
+
+  if (words.length <= maxWords) {
+    return text;
+  }
+
+  const kept = words.slice(0, maxWords).join(' ');
+  const sentenceEnd = Math.max(kept.lastIndexOf('. '), kept.lastIndexOf('! '), kept.lastIndexOf('? '));
+
+  if (sentenceEnd > kept.length / 2) {
+    return kept.slice(0, sentenceEnd + 1);
+  }
+
+  return kept.replace(/[,;:]$/, '') + '…';
+}
+
+/**
+ * Shorten text to at most `maxChars` characters, cutting at a word boundary
+ */
+function truncateChars(text, maxChars) {
+  if (!text || text.length <= maxChars) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxChars - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+
+  return (lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.]+$/, '') + '…';
+}
+
+module.exports = {
+  countWords,
+  truncateWords,
+  truncateChars
+};
@@ -0,0 +1,214 @@
+/**
+ * Workflow Definition Utility
+ * Parses and validates declarative workflow definitions (JSON or YAML)
+ *
+ * A definition looks like:
+ *
+ *   name: full_listing
+ *   description: Full listing campaign
+ *   steps:
+ *     - name: master_content_generator
+ *       node: master_content_generator   # registered step to run (defaults to name)
+ *       dependsOn: [property_photos_collector]
+ *       options: { tone: luxury }         # handed to the node as context.options
+ *       retry: { maxAttempts: 5 }         # overrides the node's retry policy
+ *       requires: [property_photos_collector]
+ *     - name: listing_approval
+ *       type: approval                    # waits for sign-off instead of running a node
+ *       dependsOn: [master_content_generator]
+ *       approval:
+ *         assignTo: jane_doe              # agent asked to sign off (defaults to the workflow's agent)
+ *         timeoutMinutes: 1440            # optional; then onTimeout applies
+ *         onTimeout: escalate             # 'reject' (default) or 'escalate'
+ *         escalateTo: broker_of_record
+ */
+
+const yaml = require('js-yaml');
+const { buildExecutionPlan } = require('./execution-plan');
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const STEP_FIELDS = ['name', 'type', 'node', 'dependsOn', 'options', 'retry', 'requires', 'approval'];
+const STEP_TYPES = ['node', 'approval'];
+const APPROVAL_FIELDS = ['assignTo', 'timeoutMinutes', 'onTimeout', 'escalateTo'];
+const TIMEOUT_ACTIONS = ['reject', 'escalate'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Parse a definition document
+ *
+ * @param {string} text - Document source
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {Object} Parsed definition
+ */
+function parseWorkflowDefinition(text, format = 'json') {
+  return format === 'yaml' ? yaml.load(text) : JSON.parse(text);
+}
+
+/**
+ * Validate a definition and build its execution plan.
+ *
+ * Errors make the definition unusable; warnings (e.g. a step with no
+ * registered node yet) are reported but do not block saving.
+ *
+ * @param {Object} definition - Parsed definition
+ * @param {Object} options
+ * @param {NodeRegistry} options.registry - Registry used to warn about unknown nodes
+ * @returns {{ errors: Array<string>, warnings: Array<string>, plan: Array<Object>|null }}
+ */
+function validateWorkflowDefinition(definition, { registry } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(definition)) {
+    return { errors: ['Definition must be an object'], warnings, plan: null };
+  }
+
+  if (typeof definition.name !== 'string' || !NAME_PATTERN.test(definition.name)) {
+    errors.push('name must be lowercase letters, digits and underscores, starting with a letter');
+  }
+
+  if (definition.description !== undefined && typeof definition.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+    return { errors, warnings, plan: null };
+  }
+
+  definition.steps.forEach((step, index) => {
+    const label = isPlainObject(step) && step.name ? `steps[${index}] (${step.name})` : `steps[${index}]`;
+
+    if (!isPlainObject(step)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    for (const field of Object.keys(step)) {
+      if (!STEP_FIELDS.includes(field)) {
+        errors.push(`${label} has unknown field "${field}"`);
+      }
+    }
+
+    if (typeof step.name !== 'string' || !NAME_PATTERN.test(step.name)) {
+      errors.push(`${label}.name must be lowercase letters, digits and underscores, starting with a letter`);
+    }
+    if (step.node !== undefined && (typeof step.node !== 'string' || !NAME_PATTERN.test(step.node))) {
+      errors.push(`${label}.node must be a registered step name`);
+    }
+    if (step.dependsOn !== undefined && !isStringArray(step.dependsOn)) {
+      errors.push(`${label}.dependsOn must be an array of step names`);
+    }
+    if (step.requires !== undefined && !isStringArray(step.requires)) {
+      errors.push(`${label}.requires must be an array of step names`);
+    }
+    if (step.options !== undefined && !isPlainObject(step.options)) {
+      errors.push(`${label}.options must be an object`);
+    }
+    if (step.retry !== undefined) {
+      if (!isPlainObject(step.retry)) {
+        errors.push(`${label}.retry must be an object`);
+      } else if (step.retry.maxAttempts !== undefined &&
+                 !(Number.isInteger(step.retry.maxAttempts) && step.retry.maxAttempts >= 1)) {
+        errors.push(`${label}.retry.maxAttempts must be a positive integer`);
+      }
+    }
+
+    if (step.type !== undefined && !STEP_TYPES.includes(step.type)) {
+      errors.push(`${label}.type must be one of ${STEP_TYPES.join(', ')}`);
+    }
+
+    if (step.type === 'approval') {
+      errors.push(...validateApproval(step, label));
+      return;
+    }
+
+    if (step.approval !== undefined) {
+      errors.push(`${label}.approval is only used by steps of type "approval"`);
+    }
+
+    const node = step.node || step.name;
+    if (registry && typeof node === 'string' && !registry.has(node)) {
+      warnings.push(`${label} runs "${node}", which has no registered node; the step will fail until one is added`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors, warnings, plan: null };
+  }
+
+  try {
+    const plan = buildExecutionPlan(definition.steps, definition.name);
+
+    const stepNames = new Set(plan.map(step => step.name));
+    for (const step of plan) {
+      for (const required of step.requires || []) {
+        if (!stepNames.has(required)) {
+          errors.push(`Step "${step.name}" requires unknown step "${required}"`);
+        }
+      }
+    }
+
+    return { errors, warnings, plan: errors.length > 0 ? null : plan };
+  } catch (error) {
+    errors.push(error.message);
+    return { errors, warnings, plan: null };
+  }
+}
+
+/**
+ * Errors in the settings of an approval step
+ */
+function validateApproval(step, label) {
+  const errors = [];
+  const approval = step.approval === undefined ? {} : step.approval;
+
+  for (const field of ['node', 'options', 'retry', 'requires']) {
+    if (step[field] !== undefined) {
+      errors.push(`${label}.${field} is not used by approval steps`);
+    }
+  }
+
+  if (!isPlainObject(approval)) {
+    errors.push(`${label}.approval must be an object`);
+    return errors;
+  }
+
+  for (const field of Object.keys(approval)) {
+    if (!APPROVAL_FIELDS.includes(field)) {
+      errors.push(`${label}.approval has unknown field "${field}"`);
+    }
+  }
+
+  for (const field of ['assignTo', 'escalateTo']) {
+    if (approval[field] !== undefined && (typeof approval[field] !== 'string' || approval[field].trim() === '')) {
+      errors.push(`${label}.approval.${field} must be a non-empty string`);
+    }
+  }
+
+  if (approval.timeoutMinutes !== undefined &&
+      !(Number.isInteger(approval.timeoutMinutes) && approval.timeoutMinutes >= 1)) {
+    errors.push(`${label}.approval.timeoutMinutes must be a positive integer`);
+  }
+
+  if (approval.onTimeout !== undefined) {
+    if (!TIMEOUT_ACTIONS.includes(approval.onTimeout)) {
+      errors.push(`${label}.approval.onTimeout must be one of ${TIMEOUT_ACTIONS.join(', ')}`);
+    } else if (approval.timeoutMinutes === undefined) {
+      errors.push(`${label}.approval.onTimeout needs approval.timeoutMinutes`);
+    }
+  }
+
+  if (approval.onTimeout === 'escalate' && approval.escalateTo === undefined) {
+    errors.push(`${label}.approval.escalateTo is required when onTimeout is "escalate"`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  parseWorkflowDefinition,
+  validateWorkflowDefinition
+};
@@ -0,0 +1,94 @@
+/**
+ * Test Fakes
+ * In-memory stand-ins for the Postgres pool and the Bull queue
+ *
+ * FakeDb answers each query with the handler of the first pattern (most
+ * recently added first) matching its whitespace-collapsed SQL, and records
+ * every call so tests can assert on the statements a transition ran.
+ */
+
+class FakeDb {
+  constructor() {
+    this.handlers = [];
+    this.calls = [];
+  }
+
+  /**
+   * Answer queries matching `pattern` with `result`: an array of rows, or a
+   * function (params, sql) returning one
+   */
+  on(pattern, result) {
+    this.handlers.unshift({ pattern, result });
+    return this;
+  }
+
+  async query(sql, params = []) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    this.calls.push({ text, params });
+
+    const handler = this.handlers.find(entry => entry.pattern.test(text));
+    const rows = handler
+      ? (typeof handler.result === 'function' ? await handler.result(params, text) : handler.result)
+      : [];
+
+    return { rows, rowCount: rows.length };
+  }
+
+  async connect() {
+    return {
+      query: (sql, params) => this.query(sql, params),
+      release() {}
+    };
+  }
+
+  /**
+   * Calls whose SQL matches `pattern`
+   */
+  queries(pattern) {
+    return this.calls.filter(call => pattern.test(call.text));
+  }
+}
+
+class FakeQueue {
+  constructor() {
+    this.added = [];
+    this.jobs = new Map();
+    this.processors = [];
+    this.listeners = [];
+  }
+
+  process(...args) {
+    this.processors.push(args);
+  }
+
+  on(event, listener) {
+    this.listeners.push([event, listener]);
+  }
+
+  /**
+   * Same call shapes as Bull: add(data, options) or add(name, data, options)
+   */
+  async add(...args) {
+    const [name, data, options] = typeof args[0] === 'string' ? args : [null, ...args];
+    const job = {
+      id: this.added.length + 1,
+      name,
+      data,
+      options: options || {},
+      state: 'waiting',
+      removed: false,
+      getState: async () => job.state,
+      remove: async () => { job.removed = true; }
+    };
+
+    this.added.push(job);
+    this.jobs.set(String(job.id), job);
+    return job;
+  }
+
+  async getJob(id) {
+    return this.jobs.get(String(id)) || null;
+  }
+}
+
+module.exports = { FakeDb, FakeQueue };
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ListingDescriptionGenerator } = require('../../src/nodes/listing-description-generator');
+const { FakeDb } = require('../helpers/fakes');
+
+const property = {
+  address: '123 Main St, Loveland, CO',
+  price: 450000,
+  bedrooms: 3,
+  bathrooms: 2,
+  sqft: 1800,
+  propertyType: 'house',
+  features: ['Vaulted ceilings']
+};
+
+const agent = {
+  agent_id: 'jane',
+  name: 'Jane Doe',
+  brokerage: 'Front Range Realty',
+  tone: null,
+  banned_phrases: [],
+  signature_phrases: [],
+  contact_block: 'Call Jane Doe at 970-555-0100',
+  disclaimer: 'Equal Housing Opportunity.'
+};
+
+/**
+ * Generator whose model answers every completion with `output`
+ */
+function createGenerator(output) {
+  const generator = new ListingDescriptionGenerator();
+  const requests = [];
+
+  generator.llm = {
+    name: 'mock',
+    config: { model: 'mock-listing-writer' },
+    complete: async (request) => {
+      requests.push(request);
+      return { text: JSON.stringify(output), provider: 'mock', model: 'mock-listing-writer', usage: {} };
+    }
+  };
+  generator.usageTracker.db = new FakeDb();
+  generator.agentProfiles.get = async () => agent;
+
+  return { generator, requests };
+}
+
+test('reserves the agent footer\'s words and counts them in the final description', async () => {
+  const description = Array.from({ length: 10 }, () => 'word').join(' ');
+  const { generator, requests } = createGenerator({
+    headline: 'Loveland Ranch With Vaulted Ceilings',
+    description,
+    highlights: ['Vaulted ceilings']
+  });
+
+  const result = await generator.generateDescription(property, { agentId: 'jane', maxLength: 20 });
+
+  assert.equal(result.success, true);
+  assert.equal(result.description, `${description}\n\nCall Jane Doe at 970-555-0100\n\nEqual Housing Opportunity.`);
+  assert.equal(result.metadata.wordCount, 18);
+  assert.equal(result.metadata.withinMaxLength, true);
+  assert.equal(result.metadata.agent.footerAppended, true);
+  assert.match(requests[0].messages[0].content, /Maximum length: 12 words/);
+});
+
+test('checks Fair Housing compliance on the description with the footer', async () => {
+  const { generator } = createGenerator({
+    headline: 'Loveland Ranch With Vaulted Ceilings',
+    description: 'A bright home with vaulted ceilings.',
+    highlights: ['Vaulted ceilings']
+  });
+  generator.agentProfiles.get = async () => ({ ...agent, disclaimer: 'Perfect for young professionals.' });
+
+  const result = await generator.generateDescription(property, { agentId: 'jane' });
+
+  assert.equal(result.compliance.status, 'review');
+  assert.deepEqual(result.compliance.flags.map(flag => flag.ruleId), ['age-target-buyer']);
+});
+
+test('leaves out a footer that would take more than half of maxLength', async () => {
+  const { generator, requests } = createGenerator({
+    headline: 'Loveland Ranch With Vaulted Ceilings',
+    description: 'A bright home with vaulted ceilings.',
+    highlights: ['Vaulted ceilings']
+  });
+
+  const result = await generator.generateDescription(property, { agentId: 'jane', maxLength: 12 });
+
+  assert.equal(result.description, 'A bright home with vaulted ceilings.');
+  assert.equal(result.metadata.agent.footerAppended, false);
+  assert.match(requests[0].messages[0].content, /Maximum length: 12 words/);
+});
+
+test('caps the validation attempts a caller can ask for', async () => {
+  const { generator, requests } = createGenerator({ headline: 'Loveland Ranch', description: '', highlights: [] });
+
+  await generator.generateDescription(property, { maxValidationAttempts: 1e6 });
+
+  assert.equal(requests.length, 5);
+});
@@ -0,0 +1,397 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { WorkflowOrchestrator } = require('../../src/nodes/workflow-orchestrator');
+const { FakeDb, FakeQueue } = require('../helpers/fakes');
+
+function createOrchestrator(db = new FakeDb(), queue = new FakeQueue()) {
+  const orchestrator = new WorkflowOrchestrator();
+  orchestrator.db = db;
+  orchestrator.jobQueue = queue;
+  orchestrator.properties.db = db;
+  orchestrator.approvals.db = db;
+  orchestrator.notifier.db = db;
+  return { orchestrator, db, queue };
+}
+
+/**
+ * A node for `step` whose execute() runs `execute`
+ */
+function registerNode(orchestrator, step, execute, retryPolicy = null) {
+  orchestrator.registry.register({ nodeId: `${step}-node`, steps: [step], retryPolicy, execute });
+}
+
+/**
+ * Let the next claim succeed for a job with `stepConfig` in a running workflow
+ */
+function claimable(db, stepConfig) {
+  db.on(/^UPDATE jobs SET status = 'running'/, [{ step_config: stepConfig }]);
+  db.on(/^SELECT \* FROM workflows WHERE id/, [{ id: 5, name: 'full_listing', status: 'running', metadata: {} }]);
+}
+
+const bullJob = (jobId, nodeName) => ({ data: { jobId, workflowId: 5, nodeName } });
+
+describe('enqueueReadyJobs', () => {
+  test('queues the jobs whose dependencies completed and remembers their queue IDs', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    db.on(/^UPDATE jobs SET status = 'queued'/, [
+      { id: 11, node_name: 'property_photos_collector', priority: 2 },
+      { id: 12, node_name: 'competitive_analysis_engine', priority: 3 }
+    ]);
+
+    await orchestrator.enqueueReadyJobs(5);
+
+    assert.deepEqual(queue.added.map(job => [job.data, job.options.priority]), [
+      [{ jobId: 11, workflowId: 5, nodeName: 'property_photos_collector' }, 2],
+      [{ jobId: 12, workflowId: 5, nodeName: 'competitive_analysis_engine' }, 3]
+    ]);
+    assert.deepEqual(db.queries(/^UPDATE jobs SET queue_job_id/).map(call => call.params), [['1', 11], ['2', 12]]);
+
+    // Claimed in one statement: only pending jobs of an active workflow whose dependencies completed
+    const [claim] = db.queries(/^UPDATE jobs SET status = 'queued'/);
+    assert.match(claim.text, /status = 'pending'/);
+    assert.match(claim.text, /dep\.status <> 'completed'/);
+  });
+
+  test('completes the workflow once no job is left unfinished', async () => {
+    const { orchestrator, db } = createOrchestrator();
+    db.on(/^SELECT COUNT\(\*\) FROM jobs/, [{ count: '0' }]);
+    db.on(/^UPDATE workflows SET status = 'completed'/, [{ id: 5 }]);
+
+    await orchestrator.enqueueReadyJobs(5);
+
+    assert.equal(db.queries(/^UPDATE workflows SET status = 'completed'/).length, 1);
+  });
+
+  test('leaves the workflow running while a job is unfinished', async () => {
+    const { orchestrator, db } = createOrchestrator();
+    db.on(/^SELECT COUNT\(\*\) FROM jobs/, [{ count: '2' }]);
+
+    await orchestrator.enqueueReadyJobs(5);
+
+    assert.equal(db.queries(/^UPDATE workflows SET status = 'completed'/).length, 0);
+  });
+});
+
+describe('processJob', () => {
+  test('completes the job, saves its output and queues the next steps', async () => {
+    const { orchestrator, db } = createOrchestrator();
+    registerNode(orchestrator, 'writer', async context => ({ wrote: context.workflowId }));
+    claimable(db, { node: 'writer' });
+    db.on(/^SELECT COUNT\(\*\) FROM jobs/, [{ count: '1' }]);
+
+    const result = await orchestrator.processJob(bullJob(21, 'writer'));
+
+    assert.deepEqual(result.output, { wrote: 5 });
+    const [completed] = db.queries(/^UPDATE jobs SET status = 'completed'/);
+    assert.equal(completed.params[1], 21);
+    assert.equal(db.queries(/^UPDATE workflows SET metadata = jsonb_set/)[0].params[1], 'writer');
+    assert.equal(db.queries(/^UPDATE jobs SET status = 'queued'/).length, 1);
+  });
+
+  test('skips a job that is no longer queued', async () => {
+    const { orchestrator } = createOrchestrator();
+    let ran = false;
+    registerNode(orchestrator, 'writer', async () => { ran = true; });
+
+    assert.deepEqual(await orchestrator.processJob(bullJob(21, 'writer')), { skipped: true });
+    assert.equal(ran, false);
+  });
+
+  test('puts a retryable failure back on the queue after its backoff', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    const error = Object.assign(new Error('upstream down'), { status: 503 });
+    registerNode(orchestrator, 'writer', async () => { throw error; }, { backoff: { delay: 250 } });
+    claimable(db, { node: 'writer' });
+    db.on(/^SELECT attempts, step_config FROM jobs/, [{ attempts: 1, step_config: { node: 'writer' } }]);
+    db.on(/^UPDATE jobs SET status = 'retrying'/, [{ id: 21 }]);
+
+    const result = await orchestrator.processJob(bullJob(21, 'writer'));
+
+    assert.deepEqual(result, { retrying: true, attempts: 1, delay: 250 });
+    assert.equal(db.queries(/^UPDATE jobs SET status = 'retrying'/)[0].params[0], 'upstream down');
+    assert.deepEqual(queue.added.map(job => [job.data.jobId, job.options.delay]), [[21, 250]]);
+    assert.equal(db.queries(/^UPDATE workflows SET status = 'failed'/).length, 0);
+  });
+
+  test('fails the job and its workflow on a fatal error or the last attempt', async () => {
+    for (const [error, attempts] of [[new Error('bad data'), 1], [Object.assign(new Error('still down'), { status: 503 }), 3]]) {
+      const { orchestrator, db, queue } = createOrchestrator();
+      registerNode(orchestrator, 'writer', async () => { throw error; });
+      claimable(db, { node: 'writer' });
+      db.on(/^SELECT attempts, step_config FROM jobs/, [{ attempts, step_config: { node: 'writer' } }]);
+
+      await assert.rejects(orchestrator.processJob(bullJob(21, 'writer')), error);
+
+      assert.equal(db.queries(/^UPDATE jobs SET status = 'failed'/)[0].params[0], error.message);
+      assert.equal(db.queries(/^UPDATE workflows SET status = 'failed'/).length, 1);
+      assert.equal(queue.added.length, 0);
+    }
+  });
+
+  test('fails a step whose required outputs are missing', async () => {
+    const { orchestrator, db } = createOrchestrator();
+    registerNode(orchestrator, 'writer', async () => ({}));
+    claimable(db, { node: 'writer', requires: ['property_photos_collector'] });
+    db.on(/^SELECT attempts, step_config FROM jobs/, [{ attempts: 1, step_config: {} }]);
+
+    await assert.rejects(orchestrator.processJob(bullJob(21, 'writer')), /requires output from "property_photos_collector"/);
+  });
+});
+
+describe('cancelWorkflow and resumeWorkflow', () => {
+  const workflowIn = (db, status) => db.on(/^SELECT \* FROM workflows WHERE id/, [{ id: 5, name: 'full_listing', status }]);
+
+  test('cancels the waiting jobs and removes them from the queue', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    const waiting = await queue.add({ jobId: 31 });
+    workflowIn(db, 'running');
+    db.on(/^UPDATE jobs SET status = 'cancelled'/, [{ id: 31, queue_job_id: String(waiting.id) }]);
+
+    await orchestrator.cancelWorkflow(5);
+
+    assert.equal(db.queries(/^UPDATE workflows SET status = 'cancelled'/).length, 1);
+    assert.equal(waiting.removed, true);
+  });
+
+  test('refuses to cancel a finished workflow or resume an active one', async () => {
+    const { orchestrator, db } = createOrchestrator();
+
+    workflowIn(db, 'completed');
+    await assert.rejects(orchestrator.cancelWorkflow(5), { statusCode: 409 });
+
+    workflowIn(db, 'running');
+    await assert.rejects(orchestrator.resumeWorkflow(5), { statusCode: 409 });
+  });
+
+  test('resumes a failed workflow from its failed jobs', async () => {
+    const { orchestrator, db } = createOrchestrator();
+    workflowIn(db, 'failed');
+    db.on(/^UPDATE jobs SET status = 'pending'/, [{ id: 31 }]);
+    db.on(/^SELECT COUNT\(\*\) FROM jobs/, [{ count: '1' }]);
+
+    await orchestrator.resumeWorkflow(5);
+
+    assert.match(db.queries(/^UPDATE jobs SET status = 'pending'/)[0].text, /status IN \('failed', 'cancelled', 'rejected'\)/);
+    assert.equal(db.queries(/^UPDATE workflows SET status = 'queued'/).length, 1);
+    assert.equal(db.queries(/^UPDATE jobs SET status = 'queued'/).length, 1);
+  });
+
+  test('only claims jobs of an active workflow', async () => {
+    const { orchestrator, db } = createOrchestrator();
+    registerNode(orchestrator, 'writer', async () => ({}));
+
+    assert.deepEqual(await orchestrator.processJob(bullJob(21, 'writer')), { skipped: true });
+    assert.match(db.queries(/^UPDATE jobs SET status = 'running'/)[0].text, /w\.status IN \('queued', 'running', 'awaiting_approval'\)/);
+  });
+
+  test('does not retry a job whose workflow was cancelled while it ran, nor fail the workflow', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    registerNode(orchestrator, 'writer', async () => { throw Object.assign(new Error('upstream down'), { status: 503 }); });
+    claimable(db, { node: 'writer' });
+    db.on(/^SELECT attempts, step_config FROM jobs/, [{ attempts: 1, step_config: { node: 'writer' } }]);
+
+    await assert.rejects(orchestrator.processJob(bullJob(21, 'writer')), /upstream down/);
+
+    assert.equal(queue.added.length, 0);
+    assert.match(db.queries(/^UPDATE jobs SET status = 'retrying'/)[0].text, /AND status = 'running'/);
+    assert.match(db.queries(/^UPDATE jobs SET status = 'failed'/)[0].text, /AND status = 'running'/);
+    assert.match(db.queries(/^UPDATE workflows SET status = 'failed'/)[0].text, /status NOT IN \('cancelled', 'rejected', 'completed'\)/);
+  });
+});
+
+describe('recovering interrupted jobs', () => {
+  const inFlight = (db, jobs) => {
+    db.on(/^SELECT j\.\* FROM jobs j JOIN workflows/, jobs);
+    db.on(/^SELECT COUNT\(\*\) FROM jobs/, [{ count: '1' }]);
+  };
+  const job = (fields) => ({ workflow_id: 5, node_name: 'writer', priority: 4, step_config: { node: 'writer' }, attempts: 1, ...fields });
+
+  test('leaves active and waiting queue jobs alone', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    const active = await queue.add({ jobId: 41 });
+    const waiting = await queue.add({ jobId: 42 });
+    active.state = 'active';
+    inFlight(db, [
+      job({ id: 41, status: 'running', queue_job_id: String(active.id) }),
+      job({ id: 42, status: 'queued', queue_job_id: String(waiting.id) })
+    ]);
+
+    assert.deepEqual(await orchestrator.recoverInFlightJobs(), []);
+    assert.equal(queue.added.length, 2);
+  });
+
+  test('queues a job again when its queue job is gone', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    inFlight(db, [job({ id: 43, status: 'queued', queue_job_id: '99' })]);
+
+    assert.deepEqual(await orchestrator.recoverInFlightJobs(), ['43 (writer): requeued']);
+    assert.deepEqual(queue.added.map(added => added.data), [{ jobId: 43, workflowId: 5, nodeName: 'writer' }]);
+  });
+
+  test('counts a job interrupted mid-run as an attempt and fails it once they are used up', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    registerNode(orchestrator, 'writer', async () => ({}), { maxAttempts: 2 });
+    inFlight(db, [
+      job({ id: 44, status: 'running', attempts: 1, queue_job_id: null }),
+      job({ id: 45, status: 'running', attempts: 2, queue_job_id: null })
+    ]);
+
+    assert.deepEqual(await orchestrator.recoverInFlightJobs(), ['44 (writer): requeued', '45 (writer): failed']);
+    assert.deepEqual(queue.added.map(added => added.data.jobId), [44]);
+    assert.equal(db.queries(/^UPDATE jobs SET status = 'failed'/)[0].params[1], 45);
+  });
+
+  test('ignores failures reported without a job or for other queue jobs', async () => {
+    const { orchestrator, db } = createOrchestrator();
+
+    await orchestrator.handleInterruptedJob(null, 'failed in queue');
+    await orchestrator.handleInterruptedJob({ name: 'description-batch-item', data: { batchId: 1 } }, 'failed in queue');
+
+    assert.equal(db.calls.length, 0);
+  });
+
+  test('recovers a stalled running job', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    const stalled = await queue.add({ jobId: 46, workflowId: 5, nodeName: 'writer' });
+    db.on(/^SELECT \* FROM jobs WHERE id/, [job({ id: 46, status: 'running', queue_job_id: String(stalled.id) })]);
+    db.on(/^SELECT COUNT\(\*\) FROM jobs/, [{ count: '1' }]);
+
+    await orchestrator.handleInterruptedJob(stalled, 'stalled in queue');
+
+    // Still waiting in Bull, so it is reset to run there rather than added again
+    assert.equal(db.queries(/^UPDATE jobs SET status = 'queued', error/)[0].params[1], 46);
+    assert.equal(queue.added.length, 1);
+  });
+});
+
+describe('approvals', () => {
+  const workflowIn = (db, status) => db.on(/^SELECT \* FROM workflows WHERE id/, [{ id: 5, name: 'full_listing', status, metadata: {}, property_id: 'P1' }]);
+  const request = (fields) => ({
+    id: 9,
+    workflow_id: 5,
+    job_id: 31,
+    step_name: 'agent_review',
+    assigned_to: 'jane_doe',
+    status: 'pending',
+    timeout_minutes: 60,
+    on_timeout: 'escalate',
+    escalate_to: 'broker_of_record',
+    escalated_at: null,
+    ...fields
+  });
+  const notifications = (db) => db.queries(/^INSERT INTO system_logs/).map(call => JSON.parse(call.params[2]).event);
+
+  test('pauses the step, schedules its timeout and notifies the agent', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    workflowIn(db, 'running');
+    db.on(/^INSERT INTO workflow_approvals/, [request()]);
+
+    const result = await orchestrator.openApproval(31, 5, 'agent_review', {
+      assignTo: 'jane_doe',
+      timeoutMinutes: 60,
+      onTimeout: 'escalate',
+      escalateTo: 'broker_of_record'
+    });
+
+    assert.deepEqual(result, { awaitingApproval: true, approvalId: 9, assignedTo: 'jane_doe' });
+    assert.deepEqual(db.queries(/^UPDATE jobs SET status = 'awaiting_approval'/)[0].params, [31]);
+    assert.equal(db.queries(/^UPDATE workflows SET status = 'awaiting_approval'/).length, 1);
+    assert.deepEqual(queue.added.map(job => [job.name, job.data, job.options.delay]), [
+      ['workflow-approval-timeout', { approvalId: 9, workflowId: 5 }, 3600000]
+    ]);
+    assert.deepEqual(db.queries(/^UPDATE workflow_approvals SET timeout_job_id/)[0].params, ['1', 9]);
+    assert.deepEqual(notifications(db), ['approval_requested']);
+  });
+
+  test('approving completes the step, drops its timeout and resumes the workflow', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    const timeout = await queue.add('workflow-approval-timeout', { approvalId: 9 });
+    timeout.state = 'delayed';
+    workflowIn(db, 'awaiting_approval');
+    db.on(/status = 'pending' ORDER BY id ASC/, [request()]);
+    db.on(/^UPDATE workflow_approvals SET status = \$2/, (params) => [request({ status: params[1], decided_by: params[2], timeout_job_id: String(timeout.id) })]);
+    db.on(/^SELECT COUNT\(\*\) FROM jobs/, [{ count: '1' }]);
+
+    await orchestrator.decideApproval(5, 'approved', { decidedBy: 'jane_doe' });
+
+    assert.equal(timeout.removed, true);
+    assert.equal(db.queries(/^UPDATE jobs SET status = 'completed'/)[0].params[1], 31);
+    assert.match(db.queries(/^UPDATE workflows SET status = 'running'/)[0].text, /NOT EXISTS/);
+  });
+
+  test('rejecting needs a comment and stops an active workflow', async () => {
+    const { orchestrator, db } = createOrchestrator();
+    workflowIn(db, 'awaiting_approval');
+    db.on(/status = 'pending' ORDER BY id ASC/, [request()]);
+    db.on(/^UPDATE workflow_approvals SET status = \$2/, (params) => [request({ status: params[1], decided_by: 'jane_doe', comment: params[3] })]);
+
+    await assert.rejects(orchestrator.decideApproval(5, 'rejected', { decidedBy: 'jane_doe' }), { statusCode: 400 });
+    await orchestrator.decideApproval(5, 'rejected', { decidedBy: 'jane_doe', comment: 'Price is wrong' });
+
+    assert.deepEqual(db.queries(/^UPDATE jobs SET status = 'rejected'/)[0].params, ['Rejected by jane_doe: Price is wrong', 31]);
+    const [rejected] = db.queries(/^UPDATE workflows SET status = 'rejected'/);
+    assert.deepEqual(rejected.params, [5, ['pending', 'queued', 'running', 'awaiting_approval']]);
+    assert.equal(db.queries(/^UPDATE workflow_approvals SET status = 'cancelled'/).length, 1);
+  });
+
+  test('escalates on timeout and schedules a follow-up timeout', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    workflowIn(db, 'awaiting_approval');
+    db.on(/^SELECT \* FROM workflow_approvals WHERE id = \$1/, [request()]);
+    db.on(/^UPDATE workflow_approvals SET escalated_at/, [request({ escalated_at: new Date() })]);
+
+    assert.deepEqual(await orchestrator.handleApprovalTimeout({ data: { approvalId: 9 } }), { escalated: true });
+
+    assert.match(db.queries(/^UPDATE workflow_approvals SET escalated_at/)[0].text, /due_at = CURRENT_TIMESTAMP \+ make_interval/);
+    assert.deepEqual(queue.added.map(job => [job.name, job.options.delay]), [['workflow-approval-timeout', 3600000]]);
+    assert.deepEqual(db.queries(/^UPDATE workflow_approvals SET timeout_job_id/)[0].params, ['1', 9]);
+    assert.deepEqual(notifications(db), ['approval_escalated']);
+    assert.equal(db.queries(/^UPDATE workflows SET status = 'rejected'/).length, 0);
+  });
+
+  test('rejects a request still undecided after its escalation times out', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    db.on(/^SELECT \* FROM workflow_approvals WHERE id = \$1/, [request({ escalated_at: new Date() })]);
+    db.on(/^UPDATE workflow_approvals SET status = \$2/, (params) => [request({ status: params[1], decided_by: params[2], comment: params[3] })]);
+
+    assert.deepEqual(await orchestrator.handleApprovalTimeout({ data: { approvalId: 9 } }), { rejected: true });
+
+    assert.equal(db.queries(/^UPDATE workflow_approvals SET status = \$2/)[0].params[3], 'No decision within 60 minutes of escalating to broker_of_record');
+    assert.equal(db.queries(/^UPDATE workflows SET status = 'rejected'/).length, 1);
+    assert.equal(queue.added.length, 0);
+  });
+
+  test('does nothing when the timeout fires after a decision', async () => {
+    const { orchestrator, db } = createOrchestrator();
+    db.on(/^SELECT \* FROM workflow_approvals WHERE id = \$1/, [request({ status: 'approved' })]);
+
+    assert.deepEqual(await orchestrator.handleApprovalTimeout({ data: { approvalId: 9 } }), { skipped: true });
+    assert.equal(db.calls.length, 1);
+  });
+
+  test('cancelling a workflow cancels its pending approvals and their timeouts', async () => {
+    const { orchestrator, db, queue } = createOrchestrator();
+    const timeout = await queue.add('workflow-approval-timeout', { approvalId: 9 });
+    timeout.state = 'delayed';
+    workflowIn(db, 'awaiting_approval');
+    db.on(/^UPDATE workflow_approvals SET status = 'cancelled'/, [request({ status: 'cancelled', timeout_job_id: String(timeout.id) })]);
+
+    await orchestrator.cancelWorkflow(5);
+
+    assert.equal(timeout.removed, true);
+  });
+});
+
+describe('job processors', () => {
+  test('starts added processors together with its own on the shared queue', () => {
+    const { orchestrator, queue } = createOrchestrator();
+    const handler = async () => {};
+    orchestrator.addJobProcessor('description-batch-item', 3, handler);
+
+    orchestrator.startProcessing();
+
+    assert.deepEqual(queue.processors.map(args => args.slice(0, -1)), [[5], ['workflow-approval-timeout'], ['description-batch-item', 3]]);
+    assert.equal(queue.processors[2][2], handler);
+    assert.throws(() => orchestrator.addJobProcessor('late', 1, handler), /after the queue has started processing/);
+  });
+});
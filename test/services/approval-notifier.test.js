@@ -0,0 +1,53 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { ApprovalNotifier } = require('../../src/services/approval-notifier');
+const { FakeDb } = require('../helpers/fakes');
+
+const post = axios.post;
+afterEach(() => { axios.post = post; });
+
+const approval = { id: 9, step_name: 'agent_review', assigned_to: 'jane_doe', escalate_to: 'broker_of_record', due_at: null };
+const workflow = { id: 5, name: 'full_listing', property_id: 'P1' };
+
+function createNotifier(webhookUrl) {
+  const notifier = new ApprovalNotifier({ webhookUrl });
+  notifier.db = new FakeDb();
+  return notifier;
+}
+
+test('logs the notification and posts it to the webhook', async () => {
+  const notifier = createNotifier('https://hooks.example.com/approvals');
+  const posts = [];
+  axios.post = async (...args) => { posts.push(args); return { status: 204 }; };
+
+  await notifier.notify('approval_escalated', approval, workflow);
+
+  const [logged] = notifier.db.queries(/^INSERT INTO system_logs/);
+  assert.equal(JSON.parse(logged.params[2]).recipient, 'broker_of_record');
+
+  const [[url, body, options]] = posts;
+  assert.equal(url, 'https://hooks.example.com/approvals');
+  assert.equal(body.event, 'approval_escalated');
+  assert.equal(body.approveUrl, '/api/workflows/5/approve');
+  assert.match(body.message, /escalated to broker_of_record/);
+  assert.equal(options.timeout, 10000);
+});
+
+test('never fails the workflow when the webhook cannot be reached', async () => {
+  const notifier = createNotifier('https://hooks.example.com/approvals');
+  axios.post = async () => { throw Object.assign(new Error('Request failed with status code 502'), { response: { status: 502 } }); };
+
+  await notifier.notify('approval_requested', approval, workflow);
+
+  assert.equal(notifier.db.queries(/^INSERT INTO system_logs/).length, 1);
+});
+
+test('only logs when no webhook is configured', async () => {
+  const notifier = createNotifier(null);
+  axios.post = async () => { throw new Error('should not post'); };
+
+  await notifier.notify('approval_requested', approval, workflow);
+
+  assert.equal(notifier.db.calls.length, 1);
+});
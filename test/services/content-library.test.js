@@ -0,0 +1,82 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ContentLibrary } = require('../../src/services/content-library');
+const { FakeDb } = require('../helpers/fakes');
+
+function createLibrary(db = new FakeDb()) {
+  const library = new ContentLibrary();
+  library.db = db;
+  return { library, db };
+}
+
+describe('approve', () => {
+  const asset = {
+    asset_id: 'a1',
+    property_id: 'P1',
+    channel: 'description',
+    language: 'en',
+    variant_id: 'v1',
+    compliance_status: 'compliant',
+    compliance: { flags: [] }
+  };
+
+  function withAsset(fields = {}) {
+    const { library, db } = createLibrary();
+    const row = { ...asset, ...fields };
+    db.on(/SELECT \* FROM content_assets WHERE asset_id = \$1 FOR UPDATE/, [row]);
+    db.on(/UPDATE content_assets SET status = \$2/, (params) => [{ ...row, status: params[1], compliance_override: params[4] }]);
+    return { library, db };
+  }
+
+  test('supersedes the current approved copy and selects the variant', async () => {
+    const { library, db } = withAsset();
+
+    const approved = await library.approve('a1', { decidedBy: 'jane', note: 'Ready to publish' });
+
+    assert.equal(approved.status, 'approved');
+    assert.equal(approved.compliance_override, false);
+    assert.deepEqual(db.queries(/SET status = 'superseded'/)[0].params, ['P1', 'description', 'en', 'a1']);
+    assert.deepEqual(db.queries(/UPDATE description_variants/)[0].params, ['v1', 'selected', 'jane', 'Ready to publish']);
+    assert.equal(db.queries(/^COMMIT$/).length, 1);
+  });
+
+  test('refuses copy flagged for review without an override and a note', async () => {
+    const flags = [{ field: 'description', text: 'perfect for retirees', severity: 'risky', reason: 'Targets buyers by age or life stage' }];
+    const { library, db } = withAsset({ compliance_status: 'review', compliance: { flags } });
+
+    await assert.rejects(library.approve('a1', { decidedBy: 'jane' }), {
+      statusCode: 409,
+      errors: ['description: "perfect for retirees" (risky) Targets buyers by age or life stage']
+    });
+    await assert.rejects(library.approve('a1', { decidedBy: 'jane', override: true, note: ' ' }), { statusCode: 409 });
+
+    assert.equal(db.queries(/SET status = 'superseded'/).length, 0);
+    assert.equal(db.queries(/^ROLLBACK$/).length, 2);
+  });
+
+  test('approves copy flagged for review on an explicit override', async () => {
+    const { library } = withAsset({ compliance_status: 'review' });
+
+    const approved = await library.approve('a1', { decidedBy: 'jane', override: true, note: 'Describes the 55+ community rules' });
+
+    assert.equal(approved.compliance_override, true);
+  });
+
+  test('never approves copy with prohibited phrases', async () => {
+    const { library } = withAsset({ compliance_status: 'non_compliant' });
+
+    await assert.rejects(
+      library.approve('a1', { decidedBy: 'jane', override: true, note: 'Approved anyway' }),
+      { statusCode: 409, message: /edit the copy before approving it/ }
+    );
+  });
+
+  test('rejects the variant along with its asset', async () => {
+    const { library, db } = withAsset();
+
+    await library.reject('a1', { decidedBy: 'jane', note: 'Too long' });
+
+    assert.equal(db.queries(/SET status = 'superseded'/).length, 0);
+    assert.deepEqual(db.queries(/UPDATE description_variants/)[0].params, ['v1', 'rejected', 'jane', 'Too long']);
+  });
+});
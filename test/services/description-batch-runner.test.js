@@ -0,0 +1,106 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DescriptionBatchRunner, BATCH_JOB_NAME } = require('../../src/services/description-batch-runner');
+const { FakeDb, FakeQueue } = require('../helpers/fakes');
+
+function createRunner(db, queue = new FakeQueue()) {
+  const runner = new DescriptionBatchRunner({
+    registry: { get: () => ({ retryPolicy: { maxAttempts: 2 } }) },
+    agents: null,
+    properties: null
+  });
+  runner.db = db.on(/SELECT COUNT\(\*\) FROM description_batch_items/, [{ count: '1' }]);
+  runner.jobQueue = queue;
+  return runner;
+}
+
+function item(fields) {
+  return { id: 7, batch_id: 3, item_index: 4, status: 'queued', attempts: 0, queue_job_id: '1', ...fields };
+}
+
+// Status updates made by recovery, which also sets the attempts
+function updates(db, status) {
+  return db.queries(new RegExp(`^UPDATE description_batch_items SET status = '${status}', attempts`));
+}
+
+describe('handleInterruptedItem', () => {
+  test('ignores a failure Bull reports without a job', async () => {
+    const db = new FakeDb();
+    const runner = createRunner(db);
+
+    await runner.handleInterruptedItem(null, 'failed in queue: job stalled more than allowable limit');
+
+    assert.equal(db.calls.length, 0);
+  });
+
+  test('re-queues a queued item whose queue job failed, counting the attempt', async () => {
+    const db = new FakeDb();
+    const queue = new FakeQueue();
+    const runner = createRunner(db, queue);
+    const failed = await queue.add(BATCH_JOB_NAME, { batchId: 3, itemId: 7 });
+    failed.state = 'failed';
+    db.on(/SELECT \* FROM description_batch_items WHERE id = \$1/, [item({ queue_job_id: String(failed.id) })]);
+
+    await runner.handleInterruptedItem(failed, 'failed in queue: connection lost');
+
+    const [requeue] = updates(db, 'queued');
+    assert.equal(requeue.params[0], 1);
+    assert.equal(queue.added.length, 2);
+    assert.deepEqual(queue.added[1].data, { batchId: 3, itemId: 7 });
+  });
+
+  test('fails a running item that has used up its attempts', async () => {
+    const db = new FakeDb();
+    const queue = new FakeQueue();
+    const runner = createRunner(db, queue);
+    const failed = await queue.add(BATCH_JOB_NAME, { batchId: 3, itemId: 7 });
+    failed.state = 'failed';
+    db.on(/SELECT \* FROM description_batch_items WHERE id = \$1/, [item({ status: 'running', attempts: 2 })]);
+
+    await runner.handleInterruptedItem(failed, 'stalled in queue');
+
+    const [failure] = updates(db, 'failed');
+    assert.deepEqual(failure.params, [2, 'Batch 3 item 4 was interrupted: stalled in queue', 7]);
+    assert.equal(queue.added.length, 1);
+  });
+
+  test('ignores a queue job the item has moved on from', async () => {
+    const db = new FakeDb();
+    const queue = new FakeQueue();
+    const runner = createRunner(db, queue);
+    const stale = await queue.add(BATCH_JOB_NAME, { batchId: 3, itemId: 7 });
+    stale.state = 'failed';
+    db.on(/SELECT \* FROM description_batch_items WHERE id = \$1/, [item({ status: 'retrying', queue_job_id: '9' })]);
+
+    await runner.handleInterruptedItem(stale, 'failed in queue: connection lost');
+
+    assert.equal(updates(db, 'queued').length, 0);
+    assert.equal(queue.added.length, 1);
+  });
+});
+
+describe('recoverInFlightItems', () => {
+  test('re-queues items whose queue jobs are gone and leaves live ones alone', async () => {
+    const db = new FakeDb();
+    const queue = new FakeQueue();
+    const runner = createRunner(db, queue);
+    const waiting = await queue.add(BATCH_JOB_NAME, { batchId: 3, itemId: 8 });
+    const active = await queue.add(BATCH_JOB_NAME, { batchId: 3, itemId: 9 });
+    active.state = 'active';
+
+    db.on(/WHERE status = ANY\(\$1\) ORDER BY id ASC/, [
+      item({ id: 7, queue_job_id: null }),
+      item({ id: 8, item_index: 5, queue_job_id: String(waiting.id) }),
+      item({ id: 9, item_index: 6, status: 'running', attempts: 1, queue_job_id: String(active.id) }),
+      item({ id: 10, item_index: 7, status: 'running', attempts: 1, queue_job_id: '99' })
+    ]);
+    db.on(/SELECT id FROM description_batches WHERE status <> 'completed'/, [{ id: 3 }]);
+
+    const recovered = await runner.recoverInFlightItems();
+
+    assert.deepEqual(recovered, ['batch 3 item 4: requeued', 'batch 3 item 7: requeued']);
+    assert.deepEqual(updates(db, 'queued').map(call => call.params[2]), [7, 10]);
+    assert.deepEqual(queue.added.slice(2).map(job => job.data.itemId), [7, 10]);
+    assert.equal(db.queries(/FOR UPDATE/).length, 1);
+  });
+});
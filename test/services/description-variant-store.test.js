@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DescriptionVariantStore } = require('../../src/services/description-variant-store');
+const { FakeDb } = require('../helpers/fakes');
+
+const result = {
+  generationId: 'gen-1',
+  variants: [
+    { variantId: 'v-a', label: 'A', headline: 'Bright Ranch', description: 'Copy A', highlights: [], compliance: { status: 'pass' } },
+    { variantId: 'v-b', label: 'B', headline: 'Quiet Ranch', description: 'Copy B', highlights: [], compliance: { status: 'pass' } }
+  ],
+  metadata: { language: 'es', tone: 'warm', market: 'colorado' }
+};
+
+/**
+ * Store over a fake description_variants table keyed by variant_id
+ */
+function createStore() {
+  const store = new DescriptionVariantStore();
+  const rows = new Map();
+
+  store.db = new FakeDb()
+    .on(/^INSERT INTO description_variants/, ([variantId, generationId, propertyId, workflowId, label, language]) => {
+      if (rows.has(variantId)) return [];
+      const row = { variant_id: variantId, generation_id: generationId, property_id: propertyId, workflow_id: workflowId, label, language, status: 'proposed', channel: null };
+      rows.set(variantId, row);
+      return [row];
+    })
+    .on(/^UPDATE description_variants/, ([variantId, status, channel, decidedBy, note]) => {
+      const row = rows.get(variantId);
+      if (!row) return [];
+      Object.assign(row, { status, channel, decided_by: decidedBy, decision_note: note });
+      return [row];
+    });
+
+  return { store, rows };
+}
+
+test('records every variant as proposed against the property', async () => {
+  const { store } = createStore();
+
+  const recorded = await store.record({ propertyId: 42, workflowId: 7 }, result);
+
+  assert.deepEqual(recorded.map(row => [row.variant_id, row.label, row.status]), [['v-a', 'A', 'proposed'], ['v-b', 'B', 'proposed']]);
+  assert.equal(recorded[0].property_id, '42');
+  assert.equal(recorded[0].workflow_id, 7);
+  assert.equal(recorded[0].language, 'es');
+  assert.equal(store.db.queries(/^COMMIT/).length, 1);
+});
+
+test('recording a cached result again stores nothing', async () => {
+  const { store, rows } = createStore();
+  await store.record({ propertyId: 'P1' }, result);
+  await store.select('v-a');
+
+  assert.deepEqual(await store.record({ propertyId: 'P1' }, result), []);
+  assert.equal(rows.size, 2);
+  assert.equal(rows.get('v-a').status, 'selected');
+});
+
+test('selects a variant for a channel and rejects another', async () => {
+  const { store } = createStore();
+  await store.record({ propertyId: 'P1' }, result);
+
+  const selected = await store.select('v-a', { channel: 'zillow', decidedBy: 'jane', note: 'Stronger headline' });
+  const rejected = await store.reject('v-b', { channel: 'zillow', decidedBy: 'jane' });
+
+  assert.equal(selected.status, 'selected');
+  assert.equal(selected.channel, 'zillow');
+  assert.equal(selected.decided_by, 'jane');
+  assert.equal(selected.decision_note, 'Stronger headline');
+  assert.equal(rejected.status, 'rejected');
+  assert.equal(rejected.channel, null);
+});
+
+test('answers 404 when deciding on an unknown variant', async () => {
+  const { store } = createStore();
+
+  await assert.rejects(store.select('missing'), { statusCode: 404, message: 'Description variant missing not found' });
+  await assert.rejects(store.reject('missing'), { statusCode: 404 });
+});
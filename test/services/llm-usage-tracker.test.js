@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LLMUsageTracker } = require('../../src/services/llm-usage-tracker');
+const { FakeDb } = require('../helpers/fakes');
+
+function createTracker(spent, monthlyBudget = 10) {
+  const tracker = new LLMUsageTracker({ monthlyBudget, timezone: 'America/Denver' });
+  tracker.db = new FakeDb().on(/SUM\(estimated_cost\), 0\) AS spent/, () => [{ spent: String(spent.value) }]);
+  return tracker;
+}
+
+test('refuses new generation once the monthly budget is used up', async () => {
+  const spent = { value: 4 };
+  const tracker = createTracker(spent);
+
+  await tracker.assertWithinBudget();
+
+  spent.value = 12;
+  tracker.spendCache = null;
+
+  await assert.rejects(tracker.assertWithinBudget(), { statusCode: 402, code: 'LLM_BUDGET_EXCEEDED', retryable: false });
+});
+
+test('does not enforce a budget when none is set', async () => {
+  const tracker = createTracker({ value: 1000 }, null);
+
+  await tracker.assertWithinBudget();
+
+  assert.equal(tracker.db.calls.length, 0);
+});
+
+test('reuses the cached spend within the month and drops it in the next', async () => {
+  const spent = { value: 9.5 };
+  const tracker = createTracker(spent);
+  tracker.currentMonth = () => '2026-10';
+
+  assert.equal(await tracker.getMonthToDateSpend(), 9.5);
+  spent.value = 0;
+  assert.equal(await tracker.getMonthToDateSpend(), 9.5);
+  assert.equal(tracker.db.queries(/AS spent/).length, 1);
+
+  tracker.currentMonth = () => '2026-11';
+
+  assert.equal(await tracker.getMonthToDateSpend(), 0);
+  await tracker.assertWithinBudget();
+});
+
+test('does not add new costs to a previous month\'s cached spend', async () => {
+  const tracker = createTracker({ value: 9.5 });
+  tracker.currentMonth = () => '2026-10';
+  await tracker.getMonthToDateSpend();
+
+  tracker.currentMonth = () => '2026-11';
+  await tracker.record({
+    completion: { provider: 'openai', model: 'gpt-4o', usage: { promptTokens: 1000000, completionTokens: 1000000, totalTokens: 2000000 } },
+    nodeId: 'listing_description_generator'
+  });
+
+  assert.equal(tracker.spendCache.spent, 9.5);
+});
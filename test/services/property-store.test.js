@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PropertyStore } = require('../../src/services/property-store');
+const { FakeDb } = require('../helpers/fakes');
+
+const propertyData = {
+  address: '123 Main St, Loveland, CO 80537',
+  price: 450000,
+  bedrooms: 3,
+  bathrooms: 2,
+  sqft: 1800,
+  propertyType: 'house'
+};
+
+// JSONB columns come back parsed, as from pg
+const read = (column, value) => (['features', 'photos'].includes(column) ? JSON.parse(value) : value);
+
+/**
+ * Store over fake properties and property_price_history tables
+ */
+function createStore() {
+  const store = new PropertyStore();
+  const properties = new Map();
+  const prices = [];
+
+  store.db = new FakeDb()
+    .on(/^SELECT \* FROM properties WHERE property_id = \$1/, ([propertyId]) => {
+      return properties.has(propertyId) ? [{ ...properties.get(propertyId) }] : [];
+    })
+    .on(/^INSERT INTO properties/, (params, text) => {
+      const columns = text.match(/^INSERT INTO properties \(([^)]+)\)/)[1].split(', ');
+      const row = Object.fromEntries(columns.map((column, index) => [column, read(column, params[index])]));
+      if (properties.has(row.property_id)) return [];
+      properties.set(row.property_id, row);
+      return [{ ...row }];
+    })
+    .on(/^UPDATE properties/, ([propertyId, ...values], text) => {
+      const columns = [...text.matchAll(/(\w+) = \$\d+/g)].map(match => match[1]).filter(column => column !== 'property_id');
+      const row = { ...properties.get(propertyId) };
+      columns.forEach((column, index) => { row[column] = read(column, values[index]); });
+      properties.set(propertyId, row);
+      return [{ ...row }];
+    })
+    .on(/^INSERT INTO property_price_history/, ([propertyId, price]) => {
+      prices.push([propertyId, price]);
+      return [];
+    });
+
+  return { store, properties, prices };
+}
+
+test('creates a property with its first price and refuses a duplicate', async () => {
+  const { store, prices } = createStore();
+
+  const property = await store.create({ ...propertyData, propertyId: 'IR1001', agentId: 'jane' });
+
+  assert.equal(property.property_id, 'IR1001');
+  assert.equal(property.street, '123 Main St');
+  assert.equal(property.postal_code, '80537');
+  assert.equal(property.status, 'active');
+  assert.equal(property.agent_id, 'jane');
+  assert.deepEqual(prices, [['IR1001', 450000]]);
+
+  await assert.rejects(store.create({ ...propertyData, propertyId: 'IR1001' }), { statusCode: 409 });
+  await assert.rejects(store.create({ propertyId: 'IR1002' }), { statusCode: 400, message: 'Invalid property' });
+});
+
+test('updates the given fields and adds a changed price to the history', async () => {
+  const { store, prices } = createStore();
+  await store.create({ ...propertyData, propertyId: 'IR1001' });
+
+  const pending = await store.update('IR1001', { status: 'pending' });
+
+  assert.equal(pending.status, 'pending');
+  assert.equal(pending.bedrooms, 3);
+  assert.equal(prices.length, 1);
+
+  const reduced = await store.update('IR1001', { price: 435000 });
+
+  assert.equal(reduced.price, 435000);
+  assert.deepEqual(prices, [['IR1001', 450000], ['IR1001', 435000]]);
+});
+
+test('re-reads the address parts when the address changes', async () => {
+  const { store } = createStore();
+  await store.create({ ...propertyData, propertyId: 'IR1001' });
+
+  const moved = await store.update('IR1001', { address: '9 Elm Ave, Fort Collins, CO 80521' });
+
+  assert.equal(moved.street, '9 Elm Ave');
+  assert.equal(moved.city, 'Fort Collins');
+  assert.equal(moved.postal_code, '80521');
+  await assert.rejects(store.update('IR1001', { price: -1 }), { statusCode: 400 });
+  await assert.rejects(store.update('IR9999', { price: 1 }), { statusCode: 404 });
+});
+
+test('ensure registers an unknown property from propertyData and returns a stored one as it is', async () => {
+  const { store, properties } = createStore();
+
+  const registered = await store.ensure('IR1001', propertyData);
+  const again = await store.ensure('IR1001', { ...propertyData, price: 1 });
+
+  assert.equal(registered.price, 450000);
+  assert.equal(again.price, 450000);
+  assert.equal(properties.size, 1);
+  await assert.rejects(store.ensure('IR1002'), { statusCode: 400, retryable: false });
+});
+
+test('refuses to delete a property that workflows or variants reference', async () => {
+  const { store } = createStore();
+  store.db.on(/^DELETE FROM properties/, () => {
+    throw Object.assign(new Error('violates foreign key constraint "workflows_property_id_fkey"'), { code: '23503' });
+  });
+
+  await assert.rejects(store.delete('IR1001'), { statusCode: 409, message: /set its status instead/ });
+});
+
+test('lists the workflows of a stored property only', async () => {
+  const { store } = createStore();
+  await store.create({ ...propertyData, propertyId: 'IR1001' });
+  store.db.on(/FROM workflows WHERE property_id = \$1/, [{ id: 5, name: 'full_listing', status: 'completed' }]);
+
+  assert.deepEqual((await store.listWorkflows('IR1001')).map(workflow => workflow.id), [5]);
+  await assert.rejects(store.listWorkflows('IR1002'), { statusCode: 404 });
+});
+
+test('rejects an unknown status filter', async () => {
+  const store = new PropertyStore();
+  store.db = new FakeDb();
+
+  await assert.rejects(store.list({ status: 'archived' }), { statusCode: 400 });
+});
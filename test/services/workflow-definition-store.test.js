@@ -0,0 +1,77 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkflowDefinitionStore } = require('../../src/services/workflow-definition-store');
+const { FakeDb } = require('../helpers/fakes');
+
+const shipped = {
+  name: 'full_listing',
+  version: 2,
+  description: 'Shipped plan',
+  steps: [{ name: 'writer', dependsOn: [] }, { name: 'listing_approval', type: 'approval', dependsOn: ['writer'] }]
+};
+const { version, ...shippedDocument } = shipped;
+
+describe('loadFiles', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'definitions-'));
+    fs.writeFileSync(path.join(dir, 'full_listing.json'), JSON.stringify(shipped));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const createStore = (db) => {
+    const store = new WorkflowDefinitionStore({ definitionsDir: dir });
+    store.db = db;
+    return store;
+  };
+  const inserts = (db) => db.queries(/^INSERT INTO workflow_definitions/);
+
+  test('seeds a version that is not stored yet', async () => {
+    const db = new FakeDb().on(/^INSERT INTO workflow_definitions/, [{ id: 1 }]);
+
+    await createStore(db).loadFiles();
+
+    assert.equal(inserts(db).length, 1);
+    assert.deepEqual(inserts(db)[0].params.slice(0, 2), ['full_listing', 2]);
+  });
+
+  test('leaves a version stored with the same document alone', async () => {
+    const db = new FakeDb().on(/^SELECT \* FROM workflow_definitions WHERE name/, [
+      { version: 2, source: 'file', definition: shippedDocument }
+    ]);
+
+    await createStore(db).loadFiles();
+
+    assert.equal(inserts(db).length, 1);
+  });
+
+  test('stores the file as the next version when its version holds another document', async () => {
+    const db = new FakeDb()
+      .on(/^SELECT \* FROM workflow_definitions WHERE name/, [
+        { version: 2, source: 'api', definition: { name: 'full_listing', steps: [{ name: 'writer' }] } },
+        { version: 1, source: 'file', definition: { name: 'full_listing', steps: [{ name: 'writer' }] } }
+      ])
+      .on(/SELECT \$1, COALESCE\(MAX\(version\), 0\) \+ 1/, [{ version: 3 }]);
+
+    await createStore(db).loadFiles();
+
+    assert.equal(inserts(db).length, 2);
+    assert.match(inserts(db)[1].text, /COALESCE\(MAX\(version\), 0\) \+ 1, \$2, \$3, 'file'/);
+  });
+
+  test('does not store the file again once an earlier startup did', async () => {
+    const db = new FakeDb().on(/^SELECT \* FROM workflow_definitions WHERE name/, [
+      { version: 3, source: 'file', definition: shippedDocument },
+      { version: 2, source: 'api', definition: { name: 'full_listing', steps: [{ name: 'writer' }] } }
+    ]);
+
+    await createStore(db).loadFiles();
+
+    assert.equal(inserts(db).length, 1);
+  });
+});
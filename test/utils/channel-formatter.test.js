@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getChannelFormat,
+  buildFormatSchema,
+  describeFormatRules,
+  normalizeFormatContent,
+  checkFormatRules,
+  enforceFormatLimits
+} = require('../../src/utils/channel-formatter');
+
+test('returns null for an unknown format', () => {
+  assert.equal(getChannelFormat('myspace'), null);
+});
+
+test('takes MLS limits and rules from the market', () => {
+  const market = { mls: { name: 'IRES', remarksMaxLength: 600, rules: ['No square footage claims'] } };
+  const format = getChannelFormat('mls', { market });
+
+  assert.equal(format.label, 'IRES public remarks');
+  assert.equal(format.fields.remarks.maxLength, 600);
+  assert.ok(format.guidelines.includes('No square footage claims'));
+});
+
+test('reserves room for an agent footer in the footer field', () => {
+  assert.equal(getChannelFormat('facebook', { footerLength: 98 }).fields.post.maxLength, 1200 - 98 - 2);
+  assert.equal(getChannelFormat('mls', { footerLength: 98 }).fields.remarks.maxLength, 1000);
+});
+
+test('builds a schema requiring every field plus hashtags where the channel takes them', () => {
+  const schema = buildFormatSchema(getChannelFormat('instagram'));
+
+  assert.deepEqual(schema.required, ['caption', 'hashtags']);
+  assert.deepEqual([schema.properties.hashtags.minItems, schema.properties.hashtags.maxItems], [5, 15]);
+  assert.deepEqual(buildFormatSchema(getChannelFormat('mls')).required, ['remarks']);
+});
+
+test('describes the rules for the prompt', () => {
+  const lines = describeFormatRules(getChannelFormat('mls'));
+
+  assert.equal(lines[0], 'Channel: MLS public remarks');
+  assert.ok(lines.includes('- Emoji: none'));
+  assert.ok(lines.includes('- No URLs, email addresses or phone numbers'));
+});
+
+test('tidies hashtags and drops duplicates regardless of case', () => {
+  const content = normalizeFormatContent(getChannelFormat('instagram'), { caption: 'x', hashtags: ['LovelandCO', '#loveland co', '#lovelandco', '#', 7] });
+  assert.deepEqual(content.hashtags, ['#LovelandCO']);
+});
+
+test('checks emoji, inline hashtags and contact details', () => {
+  assert.deepEqual(checkFormatRules(getChannelFormat('mls'), { remarks: 'Call 970-555-1234 🏡 #home' }), [
+    'MLS public remarks must not contain emoji (found 1)',
+    'MLS public remarks must not contain hashtags',
+    'MLS public remarks must not contain a phone number'
+  ]);
+  assert.deepEqual(checkFormatRules(getChannelFormat('instagram'), { caption: 'Sunny deck', hashtags: ['#Ok', '#not ok'] }), [
+    'Invalid hashtag "#not ok"'
+  ]);
+  assert.deepEqual(checkFormatRules(getChannelFormat('facebook'), { post: 'Message us at 970-555-1234 😊' }), []);
+});
+
+test('forces content within the hard limits and lists the adjustments', () => {
+  const format = getChannelFormat('mls', { market: { mls: { name: 'IRES', remarksMaxLength: 40 } } });
+  const { content, adjustments } = enforceFormatLimits(format, { remarks: 'Sunny 🏡 ranch with vaulted ceilings and a huge deck' });
+
+  assert.ok(content.remarks.length <= 40);
+  assert.ok(!content.remarks.includes('🏡'));
+  assert.deepEqual(adjustments, ['removed emoji from remarks', 'shortened remarks to 40 characters']);
+
+  const tagged = enforceFormatLimits(getChannelFormat('instagram'), { caption: 'Deck', hashtags: Array.from({ length: 20 }, (_, i) => `#t${i}`) });
+  assert.equal(tagged.content.hashtags.length, 15);
+  assert.deepEqual(tagged.adjustments, ['kept the first 15 hashtags']);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkCompliance, rewriteContent, enforceCompliance } = require('../../src/utils/compliance-checker');
+
+const copy = {
+  headline: 'Perfect for families near the park',
+  description: 'A bright home in a family-friendly neighborhood with a big yard.',
+  highlights: ['Three bedrooms', 'Walk-in closet']
+};
+
+test('flags prohibited and risky phrases with their field and span', () => {
+  const report = checkCompliance(copy);
+
+  assert.equal(report.status, 'non_compliant');
+  assert.equal(report.compliant, false);
+
+  const [headline] = report.flags.filter(flag => flag.field === 'headline');
+  assert.deepEqual(
+    [headline.ruleId, headline.severity, headline.start, headline.end, headline.text],
+    ['familial-perfect-for-families', 'prohibited', 0, 20, 'Perfect for families']
+  );
+  assert.ok(report.flags.some(flag => flag.field === 'description' && flag.severity === 'risky'));
+});
+
+test('reports review for risky phrases only and compliant for clean copy', () => {
+  assert.equal(checkCompliance('Set in a family-friendly neighborhood.').status, 'review');
+  assert.deepEqual(checkCompliance({ description: 'Vaulted ceilings and a quartz kitchen.' }), {
+    status: 'compliant',
+    compliant: true,
+    flags: []
+  });
+});
+
+test('checks strings inside arrays by index', () => {
+  const report = checkCompliance({ highlights: ['Quartz counters', 'Great for kids'] });
+  assert.deepEqual(report.flags.map(flag => flag.field), ['highlights[1]']);
+});
+
+test('rewrites flagged phrases keeping capitalization and the content shape', () => {
+  const rewritten = rewriteContent(copy, checkCompliance(copy).flags);
+
+  assert.equal(rewritten.headline, 'Offering room to grow near the park');
+  assert.deepEqual(rewritten.highlights, copy.highlights);
+  assert.equal(checkCompliance(rewritten).status, 'compliant');
+});
+
+test('applies the compliance mode', () => {
+  const annotated = enforceCompliance(copy, 'annotate');
+  assert.equal(annotated.content, copy);
+  assert.equal(annotated.compliance.blocked, false);
+
+  assert.equal(enforceCompliance(copy, 'block').compliance.blocked, true);
+
+  const rewritten = enforceCompliance(copy, 'rewrite');
+  assert.equal(rewritten.compliance.rewritten, true);
+  assert.equal(rewritten.compliance.status, 'compliant');
+  assert.ok(rewritten.compliance.originalFlags.length > 0);
+
+  assert.throws(() => enforceCompliance(copy, 'ignore'), /Unknown compliance mode "ignore"/);
+});
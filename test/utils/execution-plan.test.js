@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildExecutionPlan } = require('../../src/utils/execution-plan');
+
+test('orders every step after the steps it depends on', () => {
+  const plan = buildExecutionPlan([
+    { name: 'publish', dependsOn: ['write'] },
+    { name: 'write', dependsOn: ['photos', 'comps'] },
+    { name: 'photos', dependsOn: ['ingest'] },
+    { name: 'comps', dependsOn: ['ingest'] },
+    { name: 'ingest' }
+  ]);
+  const order = plan.map(step => step.name);
+
+  for (const step of plan) {
+    for (const dependency of step.dependsOn) {
+      assert.ok(order.indexOf(dependency) < order.indexOf(step.name), `${dependency} before ${step.name}`);
+    }
+  }
+  assert.deepEqual(plan.find(step => step.name === 'ingest').dependsOn, []);
+});
+
+test('keeps step fields other than dependsOn', () => {
+  const [step] = buildExecutionPlan([{ name: 'write', options: { tone: 'luxury' } }]);
+  assert.deepEqual(step.options, { tone: 'luxury' });
+});
+
+test('rejects duplicate steps, unknown dependencies and cycles', () => {
+  assert.throws(() => buildExecutionPlan([]), /at least one step/);
+  assert.throws(() => buildExecutionPlan([{ name: 'a' }, { name: 'a' }]), /more than once/);
+  assert.throws(() => buildExecutionPlan([{ name: 'a', dependsOn: ['b'] }]), /unknown step "b"/);
+  assert.throws(
+    () => buildExecutionPlan([{ name: 'a', dependsOn: ['c'] }, { name: 'b', dependsOn: ['a'] }, { name: 'c', dependsOn: ['b'] }], 'loop'),
+    /"loop" contains a dependency cycle: a -> c -> b -> a/
+  );
+});
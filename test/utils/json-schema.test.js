@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, parseJsonResponse } = require('../../src/utils/json-schema');
+
+const schema = {
+  type: 'object',
+  required: ['headline', 'description', 'highlights'],
+  properties: {
+    headline: { type: 'string', minLength: 5, maxLength: 40 },
+    description: { type: 'string', maxWords: 5 },
+    highlights: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string' } },
+    tone: { type: 'string', enum: ['professional', 'luxury'] },
+    score: { type: 'integer' }
+  }
+};
+
+test('accepts a value matching the schema', () => {
+  assert.deepEqual(validateSchema({ headline: 'Mountain retreat', description: 'Views from every room.', highlights: ['Deck'] }, schema), []);
+});
+
+test('reports every violation with its path', () => {
+  const errors = validateSchema({
+    headline: 'Hi',
+    description: 'One two three four five six',
+    highlights: ['Deck', 7, 'Pool'],
+    tone: 'casual',
+    score: 1.5
+  }, schema);
+
+  assert.deepEqual(errors, [
+    'response.headline must be at least 5 characters',
+    'response.description must be at most 5 words (has 6)',
+    'response.highlights must have at most 2 items (has 3)',
+    'response.highlights[1] must be a string',
+    'response.tone must be one of professional, luxury',
+    'response.score must be an integer'
+  ]);
+});
+
+test('reports missing required fields and wrong types under the given path', () => {
+  assert.deepEqual(validateSchema({ headline: 'Mountain retreat' }, schema, 'content'), [
+    'content.description is required',
+    'content.highlights is required'
+  ]);
+  assert.deepEqual(validateSchema([], schema), ['response must be an object']);
+});
+
+test('parses JSON wrapped in code fences or prose', () => {
+  assert.deepEqual(parseJsonResponse('{"a":1}'), { a: 1 });
+  assert.deepEqual(parseJsonResponse('```json\n{"a":1}\n```'), { a: 1 });
+  assert.deepEqual(parseJsonResponse('Here you go: {"a":{"b":2}} Enjoy!'), { a: { b: 2 } });
+  assert.equal(parseJsonResponse('no json here'), null);
+  assert.equal(parseJsonResponse('"just a string"'), null);
+});
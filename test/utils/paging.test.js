@@ -0,0 +1,11 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePaging } = require('../../src/utils/paging');
+
+test('parses, defaults and caps limit and offset', () => {
+  assert.deepEqual(parsePaging({ limit: '25', offset: '50' }), { limit: 25, offset: 50 });
+  assert.deepEqual(parsePaging({}), { limit: 50, offset: 0 });
+  assert.deepEqual(parsePaging({ limit: '500', offset: '-5' }), { limit: 100, offset: 0 });
+  assert.deepEqual(parsePaging({ limit: '-3', offset: 'abc' }), { limit: 1, offset: 0 });
+  assert.deepEqual(parsePaging({ limit: 'all' }, { defaultLimit: 20 }), { limit: 20, offset: 0 });
+});
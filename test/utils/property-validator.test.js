@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_PHOTOS,
+  parsePhotos,
+  validatePropertyData,
+  assertValidPropertyData
+} = require('../../src/utils/property-validator');
+
+const property = {
+  address: '  123 Main St,  Loveland, CO ',
+  price: '$450,000',
+  bedrooms: '3',
+  bathrooms: '2.5 baths',
+  sqft: '1,800 sq ft',
+  propertyType: 'Single Family'
+};
+
+test('normalizes the shapes agents and MLS exports send', () => {
+  const { valid, errors, value } = validatePropertyData({
+    ...property,
+    features: 'Vaulted ceilings\n- Quartz counters; vaulted ceilings',
+    photos: ['https://example.com/front.jpg', { path: 'kitchen.jpg', caption: ' Kitchen ' }],
+    mlsNumber: 'IR1001'
+  });
+
+  assert.equal(valid, true);
+  assert.deepEqual(errors, []);
+  assert.equal(value.address, '123 Main St, Loveland, CO');
+  assert.equal(value.price, 450000);
+  assert.equal(value.bedrooms, 3);
+  assert.equal(value.bathrooms, 2.5);
+  assert.equal(value.sqft, 1800);
+  assert.equal(value.propertyType, 'house');
+  assert.deepEqual(value.features, ['Vaulted ceilings', 'Quartz counters']);
+  assert.deepEqual(value.photos, [
+    { url: 'https://example.com/front.jpg', caption: undefined },
+    { path: 'kitchen.jpg', caption: 'Kitchen' }
+  ]);
+  assert.equal(value.mlsNumber, 'IR1001');
+});
+
+test('reads k and M suffixes on the price', () => {
+  assert.equal(validatePropertyData({ ...property, price: '450k' }).value.price, 450000);
+  assert.equal(validatePropertyData({ ...property, price: '1.2M' }).value.price, 1200000);
+});
+
+test('defaults features and photos to empty lists', () => {
+  const { value } = validatePropertyData(property);
+
+  assert.deepEqual(value.features, []);
+  assert.deepEqual(value.photos, []);
+});
+
+test('reports every invalid field at once', () => {
+  const { valid, errors, value } = validatePropertyData({
+    price: 'call for price',
+    bedrooms: 2.5,
+    bathrooms: 2.1,
+    sqft: 50,
+    propertyType: 'castle',
+    market: 'atlantis'
+  });
+
+  assert.equal(valid, false);
+  assert.equal(value, null);
+  assert.equal(errors.length, 7);
+  assert.ok(errors.includes('address is required'));
+  assert.ok(errors.some(error => error.startsWith('price must be a positive amount')));
+  assert.ok(errors.some(error => error.startsWith('bedrooms must be a whole number')));
+  assert.ok(errors.some(error => error.startsWith('bathrooms must be a number')));
+  assert.ok(errors.some(error => error.startsWith('sqft must be a number')));
+  assert.ok(errors.some(error => error.startsWith('propertyType must be one of')));
+  assert.ok(errors.some(error => error.startsWith('market must be one of')));
+});
+
+test('rejects property data that is not an object', () => {
+  for (const input of [null, 'house', [property]]) {
+    assert.deepEqual(validatePropertyData(input), {
+      valid: false,
+      errors: ['propertyData must be an object'],
+      value: null
+    });
+  }
+});
+
+test('parses photos and rejects unsupported sources', () => {
+  const { photos, errors } = parsePhotos([
+    'front.jpg',
+    { url: 'ftp://example.com/back.jpg' },
+    { url: 'https://example.com/yard.jpg', caption: 3 },
+    ''
+  ]);
+
+  assert.deepEqual(photos, [{ path: 'front.jpg', caption: undefined }]);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /^photos\[1\] must be an http\(s\) URL/);
+  assert.equal(errors[1], 'photos[2].caption must be a string');
+  assert.match(errors[2], /^photos\[3\] must be a URL/);
+});
+
+test('limits the number of photos', () => {
+  const tooMany = Array.from({ length: MAX_PHOTOS + 1 }, (_, index) => `photo-${index}.jpg`);
+
+  assert.deepEqual(parsePhotos(tooMany).errors, [`photos must have at most ${MAX_PHOTOS} items (got ${MAX_PHOTOS + 1})`]);
+  assert.deepEqual(parsePhotos('front.jpg').photos, []);
+});
+
+test('throws a 400 listing the errors', () => {
+  assert.equal(assertValidPropertyData(property).propertyType, 'house');
+  assert.throws(
+    () => assertValidPropertyData({ ...property, sqft: undefined }),
+    error => error.statusCode === 400 && error.message === 'Invalid propertyData' &&
+      error.errors.length === 1 && error.errors[0] === 'sqft is required'
+  );
+});
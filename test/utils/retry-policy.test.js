@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  classifyError,
+  shouldRetry,
+  getRetryDelay
+} = require('../../src/utils/retry-policy');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+test('classifies errors by status, code and retryable flag', () => {
+  assert.equal(classifyError(httpError(429)), 'rate_limit');
+  assert.equal(classifyError(httpError(503)), 'server_error');
+  assert.equal(classifyError(Object.assign(new Error('t'), { code: 'ETIMEDOUT' })), 'timeout');
+  assert.equal(classifyError(Object.assign(new Error('n'), { code: 'ECONNRESET' })), 'network');
+  assert.equal(classifyError(Object.assign(new Error('i'), { code: 'JOB_INTERRUPTED' })), 'interrupted');
+  assert.equal(classifyError(Object.assign(new Error('r'), { retryable: true })), 'retryable');
+  assert.equal(classifyError(Object.assign(httpError(503), { retryable: false })), 'fatal');
+  assert.equal(classifyError(new Error('bad data')), 'fatal');
+});
+
+test('merges node and step overrides over the default policy', () => {
+  const policy = resolveRetryPolicy({ maxAttempts: 5, backoff: { delay: 500 } }, { maxAttempts: 2 });
+
+  assert.equal(policy.maxAttempts, 2);
+  assert.deepEqual(policy.backoff, { ...DEFAULT_RETRY_POLICY.backoff, delay: 500 });
+  assert.deepEqual(policy.retryOn, DEFAULT_RETRY_POLICY.retryOn);
+});
+
+test('retries retryable errors until the attempts are used up', () => {
+  const policy = resolveRetryPolicy({ maxAttempts: 3 });
+
+  assert.equal(shouldRetry(policy, httpError(503), 1), true);
+  assert.equal(shouldRetry(policy, httpError(503), 3), false);
+  assert.equal(shouldRetry(policy, new Error('bad data'), 1), false);
+});
+
+test('backs off exponentially up to maxDelay and honors Retry-After', () => {
+  const policy = resolveRetryPolicy({ backoff: { delay: 1000, maxDelay: 5000 } });
+
+  assert.deepEqual([1, 2, 3, 4].map(attempts => getRetryDelay(policy, attempts)), [1000, 2000, 4000, 5000]);
+  assert.equal(getRetryDelay(resolveRetryPolicy({ backoff: { type: 'fixed', delay: 300 } }), 4), 300);
+  assert.equal(getRetryDelay(policy, 1, httpError(429, { 'retry-after': '30' })), 30000);
+});
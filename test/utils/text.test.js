@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { countWords, truncateWords, truncateChars } = require('../../src/utils/text');
+
+test('counts runs of non-whitespace as words', () => {
+  assert.equal(countWords('  Open   floor plan,\nvaulted ceilings '), 5);
+  assert.equal(countWords(''), 0);
+  assert.equal(countWords(null), 0);
+});
+
+test('truncates to a sentence boundary in the second half, or with an ellipsis', () => {
+  assert.equal(truncateWords('Short text.', 5), 'Short text.');
+  assert.equal(truncateWords('Bright open kitchen. Vaulted ceilings throughout the home', 5), 'Bright open kitchen.');
+  assert.equal(truncateWords('Bright, open kitchen with quartz counters, and more', 5), 'Bright, open kitchen with quartz…');
+});
+
+test('truncates to a character limit at a word boundary', () => {
+  assert.equal(truncateChars('Mountain views', 20), 'Mountain views');
+  assert.equal(truncateChars('Mountain views from the deck', 20), 'Mountain views…');
+  assert.ok(truncateChars('Mountain views from the deck', 20).length <= 20);
+});